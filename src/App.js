@@ -2,6 +2,90 @@
 import React, { useMemo, useState, useEffect } from "react";
 import { MapContainer, TileLayer, Polyline, useMap } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
+import useQuoteEstimate from "./useQuoteEstimate";
+import { loadRateCardVersions, saveRateCardVersions } from "./rateCardVersions";
+import { pricingInputs } from "./pricingInputs";
+import RateCardAdmin from "./components/RateCardAdmin";
+import { createRoutingProviders, geocodeAll, routeThrough } from "./routing";
+import { FieldError, Input, Section } from "./components/ui";
+import PlaceInput from "./components/PlaceInput";
+import {
+  DEFAULT_QUOTE,
+  mergeQuote,
+  persistQuote,
+  restoreQuote,
+  shareUrlFor,
+} from "./quoteState";
+import {
+  MAX_HISTORY,
+  loadQuoteHistory,
+  saveQuoteHistory,
+  snapshotQuote,
+} from "./quoteHistory";
+import QuoteHistory from "./components/QuoteHistory";
+import LanePresets from "./components/LanePresets";
+import FuelSchedule from "./components/FuelSchedule";
+import PaymentForm from "./components/PaymentForm";
+import { createPaymentGateway } from "./payments";
+import BookingFlow from "./components/BookingFlow";
+import { createBookingBackend } from "./booking";
+import Tracking from "./components/Tracking";
+import { createTracker } from "./tracking";
+import ContactForm from "./components/ContactForm";
+import { createContactAdapter } from "./contact";
+import CustomerPortal, { SignIn } from "./components/CustomerPortal";
+import { AddressPicker } from "./components/AddressBook";
+import { createAuthProvider } from "./auth";
+import DispatchConsole from "./components/DispatchConsole";
+import { createDispatchStore } from "./dispatch";
+import { itemFromBooking, itemFromInquiry } from "./dispatch/dispatch";
+import {
+  EMPTY_ACCOUNT,
+  addressesFor,
+  applyDefaultAccessories,
+  loadAccount,
+  quoteWithAddress,
+  recordBooking,
+  saveAccount,
+  saveQuoteToAccount,
+} from "./account";
+import {
+  clearDieselPrice,
+  defaultDieselPrice,
+  describeBand,
+  fuelLabel,
+  loadDieselPrice,
+  saveDieselPrice,
+} from "./fuelSurcharge";
+import {
+  applyPreset,
+  builtInPresets,
+  loadCustomPresets,
+  presetFromQuote,
+  saveCustomPresets,
+} from "./lanePresets";
+import { buildQuoteDocument, makeQuoteNumber } from "./quoteDocument";
+import { addDays, formatDate, toDateInput } from "./dates";
+import { PRICED_FIELDS, validateQuote } from "./quoteValidation";
+import { estimateTransit } from "./transitTime";
+import { summarizeRoute } from "./routeStats";
+import { coverageRegions, coverageWarnings } from "./coverage";
+import { laneEndsFor } from "./laneRules";
+import CoverageMap from "./components/CoverageMap";
+import {
+  RouteStatsOverlay,
+  StopMarkers,
+  TurnByTurnPanel,
+} from "./components/RouteMap";
+import { emptyPiece } from "./freight";
+import {
+  describeCapacity,
+  fits,
+  recommendVehicle,
+  resolveVehicle,
+  vehicleLimits,
+  vehicleList,
+} from "./vehicles";
 
 const BRAND = {
   name: "T&S EXPRESS LOGISTICS",
@@ -11,34 +95,28 @@ const BRAND = {
   ctaPrimary: "Get a Quote",
 };
 
-const Section = ({ id, title, subtitle, children }) => (
-  <section id={id} className="scroll-mt-24 py-16 md:py-24">
-    <div className="mx-auto max-w-7xl px-4">
-      {title && (
-        <div className="mb-10 md:mb-14">
-          <h2 className="text-3xl font-semibold md:text-4xl">{title}</h2>
-          {subtitle && (
-            <p className="mt-3 max-w-2xl text-neutral-600 md:text-lg">
-              {subtitle}
-            </p>
-          )}
-        </div>
-      )}
-      {children}
-    </div>
-  </section>
+const paymentGateway = createPaymentGateway(
+  process.env.REACT_APP_PAYMENT_GATEWAY
 );
 
-const Input = (props) => (
-  <input
-    {...props}
-    className={
-      "w-full rounded-xl border border-neutral-300 bg-white px-4 py-3 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200 " +
-      (props.className || "")
-    }
-  />
+const bookingBackend = createBookingBackend(
+  process.env.REACT_APP_BOOKING_BACKEND
+);
+
+const tracker = createTracker(process.env.REACT_APP_TRACKER);
+
+const contactAdapter = createContactAdapter(
+  process.env.REACT_APP_CONTACT_ADAPTER
 );
 
+const auth = createAuthProvider(process.env.REACT_APP_AUTH_PROVIDER);
+
+const dispatchStore = createDispatchStore(process.env.REACT_APP_DISPATCH_STORE);
+
+const DISPATCH_HASH = "#dispatch";
+
+const makeStopId = () => Math.random().toString(36).slice(2, 10);
+
 function FitBoundsToRoute({ coords }) {
   const map = useMap();
   useEffect(() => {
@@ -49,77 +127,159 @@ function FitBoundsToRoute({ coords }) {
   return null;
 }
 
-function useQuoteEstimate({ distanceMi, weightLbs, urgency, accessories }) {
-  return useMemo(() => {
-    if (!distanceMi) return null;
-
-    const base = 89;
-    const perMile = 3;
-    const fuelSurcharge = 0.18;
-
-    const dist = Number(distanceMi || 0);
-    const heavySurcharge = weightLbs > 150 ? 45 : 0;
-    const rushFee = urgency === "expedited" ? 95 : 0;
-
-    const accessorialsTotal =
-      (accessories.inside ? 35 : 0) +
-      (accessories.whiteGlove ? 55 : 0) +
-      (accessories.afterHours ? 40 : 0);
-
-    const linehaul = base + dist * perMile;
-    const subtotal = linehaul + heavySurcharge + rushFee + accessorialsTotal;
-    const total = Math.round(subtotal * (1 + fuelSurcharge) * 100) / 100;
-
-    return {
-      base,
-      perMile,
-      fuelSurcharge,
-      heavySurcharge,
-      rushFee,
-      accessorialsTotal,
-      dist,
-      linehaul,
-      subtotal,
-      total,
-    };
-  }, [distanceMi, weightLbs, urgency, accessories]);
-}
-
 export default function App() {
-  const [quote, setQuote] = useState({
-    origin: "Miami, FL",
-    destination: "Atlanta, GA",
-    distance: 663,
-    weight: 120,
-    pallets: 2,
-    urgency: "expedited",
-    pickupDate: "",
-    deliveryDate: "",
-    accessories: {
-      inside: false,
-      whiteGlove: false,
-      afterHours: false,
-    },
-    notes: "",
-  });
+  const [quote, setQuote] = useState(() => restoreQuote(DEFAULT_QUOTE));
+  const [shareStatus, setShareStatus] = useState("");
+  const [quoteHistory, setQuoteHistory] = useState(loadQuoteHistory);
+  const [touched, setTouched] = useState({});
+  const [checkoutAttempted, setCheckoutAttempted] = useState(false);
 
   const [menuOpen, setMenuOpen] = useState(false);
-  const [routeCoords, setRouteCoords] = useState(null);
+  // Routes from the last Auto Distance run, primary first, each
+  // { coords, legs, distanceMi, durationS, provider, waypoints }; one is
+  // selected.
+  const [routes, setRoutes] = useState(null);
+  const [routeIndex, setRouteIndex] = useState(0);
+  const route = routes ? routes[routeIndex] : null;
+  const routeStats = useMemo(() => summarizeRoute(route), [route]);
   const [autoLoading, setAutoLoading] = useState(false);
   const [autoError, setAutoError] = useState("");
 
   const [showIntro, setShowIntro] = useState(true);
-  const [showHauloverDetails, setShowHauloverDetails] = useState(false);
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const [activePresetId, setActivePresetId] = useState(null);
 
   const apiKey = process.env.REACT_APP_ORS_API_KEY;
+  const routingProviders = useMemo(
+    () => createRoutingProviders(apiKey),
+    [apiKey]
+  );
 
+  const [rateCardVersions, setRateCardVersions] =
+    useState(loadRateCardVersions);
+  const [dispatchDiesel, setDiesel] = useState(loadDieselPrice);
+  const [user, setUser] = useState(null);
+  const isDispatcher = Boolean(user && user.role === "dispatcher");
+  const { rateCard, diesel } = useMemo(
+    () =>
+      pricingInputs({
+        isDispatcher,
+        versions: rateCardVersions,
+        diesel: dispatchDiesel,
+      }),
+    [isDispatcher, rateCardVersions, dispatchDiesel]
+  );
+  // Memoized so validation below only recomputes when the vehicle changes.
+  const vehicle = useMemo(
+    () => resolveVehicle(rateCard, quote.vehicle, quote.weight, quote.pallets),
+    [rateCard, quote.vehicle, quote.weight, quote.pallets]
+  );
+  const recommendedVehicle = useMemo(
+    () => recommendVehicle(rateCard, quote.weight, quote.pallets),
+    [rateCard, quote.weight, quote.pallets]
+  );
+  const validation = useMemo(
+    () => validateQuote(quote, { limits: vehicleLimits(vehicle) }),
+    [quote, vehicle]
+  );
+  const pricingBlocked = PRICED_FIELDS.some((f) => validation.errors[f]);
+  const partnerWarnings = useMemo(() => coverageWarnings(quote), [quote]);
+  // Field errors appear once a field is touched, or all at once after a
+  // blocked checkout attempt.
+  const shownErrors = Object.fromEntries(
+    Object.entries(validation.errors).filter(
+      ([field]) => touched[field] || checkoutAttempted
+    )
+  );
+  const fieldProps = (field) => ({
+    onBlur: () => setTouched((t) => (t[field] ? t : { ...t, [field]: true })),
+    "aria-invalid": Boolean(shownErrors[field]),
+  });
+
+  const transit = useMemo(
+    () =>
+      pricingBlocked
+        ? null
+        : estimateTransit({
+            distanceMi: quote.distance,
+            route,
+            urgency: quote.urgency,
+            stops: quote.stops.filter((s) => s.address.trim()).length,
+            pickupDate: quote.pickupDate,
+            deliveryDate: quote.deliveryDate,
+          }),
+    [pricingBlocked, quote, route]
+  );
+
+  const [payment, setPayment] = useState(null);
+  // Bumped after each booking so the payment form starts over and one
+  // authorization can't be attached to a second load.
+  const [paymentRound, setPaymentRound] = useState(0);
+  const [account, setAccount] = useState(EMPTY_ACCOUNT);
+  // The dispatch console isn't linked for visitors; it opens on #dispatch
+  // and stays open for the rest of the visit.
+  const [showDispatch, setShowDispatch] = useState(
+    () => window.location.hash === DISPATCH_HASH
+  );
+  const laneEnds = useMemo(() => laneEndsFor(quote, route), [quote, route]);
   const estimate = useQuoteEstimate({
-    distanceMi: quote.distance,
+    distanceMi: pricingBlocked ? null : quote.distance,
     weightLbs: Number(quote.weight),
+    pallets: Number(quote.pallets),
+    pieces: quote.pieces,
+    stops: quote.stops.filter((s) => s.address.trim()).length,
     urgency: quote.urgency,
     accessories: quote.accessories,
+    vehicle: quote.vehicle,
+    lane: laneEnds,
+    diesel,
+    rateCard,
   });
 
+  useEffect(() => {
+    persistQuote(quote);
+  }, [quote]);
+
+  useEffect(() => {
+    saveQuoteHistory(quoteHistory);
+  }, [quoteHistory]);
+
+  useEffect(() => {
+    saveCustomPresets(customPresets);
+  }, [customPresets]);
+
+  useEffect(() => {
+    saveRateCardVersions(rateCardVersions);
+  }, [rateCardVersions]);
+
+  // Restore the signed-in customer from the provider's session.
+  useEffect(() => {
+    let cancelled = false;
+    auth
+      .currentUser()
+      .then((u) => {
+        if (cancelled || !u) return;
+        setUser(u);
+        setAccount(loadAccount(u.id));
+      })
+      .catch((err) => console.error("[auth] session restore failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (user) saveAccount(user.id, account);
+  }, [user, account]);
+
+  useEffect(() => {
+    const onHashChange = () => {
+      if (window.location.hash === DISPATCH_HASH) setShowDispatch(true);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
   // Intro visible for 5 seconds
   useEffect(() => {
     const t = setTimeout(() => setShowIntro(false), 5000);
@@ -133,112 +293,267 @@ export default function App() {
     }));
   };
 
-  const handleAutoDistance = async () => {
-    if (!apiKey) {
-      setAutoError("API key missing. Check .env (REACT_APP_ORS_API_KEY).");
-      return;
-    }
+  const handleStopChange = (id, changes) => {
+    setQuote((q) => ({
+      ...q,
+      stops: q.stops.map((stop) =>
+        stop.id === id ? { ...stop, ...changes } : stop
+      ),
+    }));
+  };
+
+  const handleAddStop = () => {
+    setQuote((q) => ({
+      ...q,
+      stops: [...q.stops, { id: makeStopId(), address: "", place: null }],
+    }));
+  };
+
+  const handleRemoveStop = (id) => {
+    setQuote((q) => ({
+      ...q,
+      stops: q.stops.filter((stop) => stop.id !== id),
+    }));
+  };
 
-    const qEnc = encodeURIComponent;
+  const handleMoveStop = (index, delta) => {
+    setQuote((q) => {
+      const target = index + delta;
+      if (target < 0 || target >= q.stops.length) return q;
+      const stops = [...q.stops];
+      [stops[index], stops[target]] = [stops[target], stops[index]];
+      return { ...q, stops };
+    });
+  };
+
+  const handlePieceChange = (id, changes) => {
+    setQuote((q) => ({
+      ...q,
+      pieces: q.pieces.map((p) => (p.id === id ? { ...p, ...changes } : p)),
+    }));
+  };
+
+  const handleAddPiece = () => {
+    setQuote((q) => ({ ...q, pieces: [...q.pieces, emptyPiece()] }));
+  };
+
+  const handleRemovePiece = (id) => {
+    setQuote((q) => ({ ...q, pieces: q.pieces.filter((p) => p.id !== id) }));
+  };
+
+  const handleAutoDistance = async () => {
+    // Origin, any extra pickups/drops in order, then destination.
+    const waypoints = [
+      { text: quote.origin, place: quote.originPlace },
+      ...quote.stops
+        .filter((s) => s.address.trim())
+        .map((s) => ({ text: s.address, place: s.place })),
+      { text: quote.destination, place: quote.destinationPlace },
+    ];
+    const stopNames = waypoints.map((w) => w.text);
 
     try {
       setAutoLoading(true);
       setAutoError("");
 
-      const [fromRes, toRes] = await Promise.all([
-        fetch(
-          `https://api.openrouteservice.org/geocode/search?api_key=${apiKey}&text=${qEnc(
-            quote.origin
-          )}&boundary.country=US&size=1`
-        ),
-        fetch(
-          `https://api.openrouteservice.org/geocode/search?api_key=${apiKey}&text=${qEnc(
-            quote.destination
-          )}&boundary.country=US&size=1`
-        ),
-      ]);
-
-      const fromData = await fromRes.json();
-      const toData = await toRes.json();
-
-      if (!fromData.features?.length || !toData.features?.length) {
-        setAutoError("No route found. Try a more specific city / state.");
-        setRouteCoords(null);
-        return;
-      }
-
-      const [fromLon, fromLat] = fromData.features[0].geometry.coordinates;
-      const [toLon, toLat] = toData.features[0].geometry.coordinates;
-
-      const dirRes = await fetch(
-        `https://api.openrouteservice.org/v2/directions/driving-hgv/geojson`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: apiKey,
-          },
-          body: JSON.stringify({
-            coordinates: [
-              [fromLon, fromLat],
-              [toLon, toLat],
-            ],
-          }),
-        }
+      // Only geocode the waypoints the user didn't pick from the typeahead.
+      const unpinned = waypoints.filter((w) => !w.place);
+      const looked = await geocodeAll(
+        routingProviders,
+        unpinned.map((w) => w.text)
       );
-
-      const dirData = await dirRes.json();
-      const feature = dirData.features && dirData.features[0];
-
-      if (!feature) {
+      const places = waypoints.map((w) =>
+        w.place ? w.place : looked[unpinned.indexOf(w)]
+      );
+      const routed = places.every(Boolean)
+        ? await routeThrough(routingProviders, places, {
+            avoid: quote.avoid,
+            alternatives: true,
+          })
+        : null;
+
+      if (!routed) {
         setAutoError("No route found. Try a more specific city / state.");
-        setRouteCoords(null);
+        setRoutes(null);
         return;
       }
 
-      const coords = feature.geometry.coordinates || [];
-      const segment = feature.properties?.segments?.[0];
-
-      const distanceKm = segment?.distance ? segment.distance / 1000 : 0;
-      const distanceMi = distanceKm * 0.621371;
-
-      const leafletCoords = coords.map(([lon, lat]) => [lat, lon]);
-
-      setRouteCoords(leafletCoords);
+      const { alternatives, provider } = routed;
+      setRoutes(
+        [routed, ...alternatives].map((r) => ({
+          ...r,
+          provider,
+          waypoints: places.map((place, i) => ({
+            ...place,
+            text: stopNames[i],
+          })),
+          legs: r.legs.map((leg, i) => ({
+            ...leg,
+            from: stopNames[i],
+            to: stopNames[i + 1],
+            miles: Math.round(leg.distanceMi),
+          })),
+        }))
+      );
+      setRouteIndex(0);
       setQuote((q) => ({
         ...q,
-        distance: Math.round(distanceMi),
+        distance: Math.round(routed.distanceMi),
       }));
     } catch (err) {
       console.error(err);
       setAutoError("Error talking to routing service. Try again.");
-      setRouteCoords(null);
+      setRoutes(null);
     } finally {
       setAutoLoading(false);
     }
   };
 
-  // Haulover preset + expanded details
-  const applyHauloverPreset = () => {
-    setAutoError("");
-    setRouteCoords(null);
+  const handleSelectRoute = (index) => {
+    setRouteIndex(index);
+    setQuote((q) => ({
+      ...q,
+      distance: Math.round(routes[index].distanceMi),
+    }));
+  };
+
+  const handleAvoidToggle = (key) => {
     setQuote((q) => ({
       ...q,
-      origin: "Miami, FL (Haulover)",
-      destination: "Orlando, FL",
-      distance: 235,
-      weight: 120,
-      pallets: 2,
-      urgency: "expedited",
+      avoid: { ...q.avoid, [key]: !q.avoid[key] },
     }));
-    setShowHauloverDetails(true);
   };
 
-  const handlePaymentSubmit = (e) => {
-    e.preventDefault();
-    window.alert(
-      "Demo checkout only. Your real payment will be handled by dispatch."
+  const handleCopyShareLink = async () => {
+    const url = shareUrlFor(quote);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("Link copied — it opens this estimate pre-filled.");
+    } catch (err) {
+      window.prompt("Copy this quote link:", url);
+      setShareStatus("");
+    }
+  };
+
+  const handleSaveQuote = () => {
+    if (!estimate) return;
+    setQuoteHistory((list) =>
+      [snapshotQuote(quote, estimate), ...list].slice(0, MAX_HISTORY)
     );
+    setShareStatus("Saved to your quote history below.");
+  };
+
+  const handleLoadSavedQuote = (entry) => {
+    setQuote(mergeQuote(DEFAULT_QUOTE, entry.quote));
+    setRoutes(null);
+    setAutoError("");
+    setActivePresetId(null);
+    setShareStatus(`Loaded “${entry.name}” into the form.`);
+  };
+
+  const handleResetQuote = () => {
+    setQuote(
+      applyDefaultAccessories(DEFAULT_QUOTE, account.defaultAccessories)
+    );
+    setTouched({});
+    setCheckoutAttempted(false);
+    setRoutes(null);
+    setAutoError("");
+    setActivePresetId(null);
+    setShareStatus("");
+  };
+
+  const handleApplyPreset = (preset) => {
+    setAutoError("");
+    setRoutes(null);
+    setQuote((q) => applyPreset(q, preset));
+    setActivePresetId(preset.id);
+  };
+
+  const handleSavePreset = (details) => {
+    const preset = presetFromQuote(quote, details);
+    setCustomPresets((list) => [preset, ...list]);
+    setActivePresetId(preset.id);
+  };
+
+  const handlePickAddress = (end, entry) => {
+    setAutoError("");
+    setRoutes(null);
+    setActivePresetId(null);
+    setQuote((q) => quoteWithAddress(q, end, entry));
+  };
+
+  const handleSignedIn = (signedIn) => {
+    const saved = loadAccount(signedIn.id);
+    setUser(signedIn);
+    setAccount(saved);
+    setQuote((q) => applyDefaultAccessories(q, saved.defaultAccessories));
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await auth.signOut();
+    } catch (err) {
+      console.error("[auth] sign out failed", err);
+    }
+    setUser(null);
+    setAccount(EMPTY_ACCOUNT);
+  };
+
+  // Queue failures are logged, not shown: the customer's request already
+  // went through.
+  const queueForDispatch = (item) =>
+    dispatchStore
+      .record(item)
+      .catch((err) => console.error("[dispatch] could not queue", err));
+
+  const handleInquirySubmitted = (inquiry, { reference }) =>
+    queueForDispatch(itemFromInquiry(inquiry, { reference, quote, estimate }));
+
+  const handleBooked = (booking) => {
+    queueForDispatch(itemFromBooking(booking));
+    setPayment(null);
+    setPaymentRound((n) => n + 1);
+    if (user) setAccount((a) => recordBooking(a, booking));
+  };
+
+  const handleSaveQuoteToAccount = () => {
+    if (!estimate) return;
+    setAccount((a) => saveQuoteToAccount(a, snapshotQuote(quote, estimate)));
+  };
+
+  const handleDownloadQuote = () => {
+    if (!estimate) return;
+    const issuedAt = new Date();
+    const quoteNumber = makeQuoteNumber(issuedAt);
+    const html = buildQuoteDocument({
+      brand: BRAND,
+      logoUrl: `${window.location.origin}${process.env.PUBLIC_URL}/logo.png`,
+      quote,
+      estimate,
+      route,
+      quoteNumber,
+      issuedAt,
+      validUntil: addDays(issuedAt, estimate.validityDays),
+    });
+
+    // Print dialog lets the customer "Save as PDF"; if pop-ups are blocked,
+    // hand them the same document as a file instead.
+    const win = window.open("", "_blank");
+    if (win) {
+      win.document.open();
+      win.document.write(html);
+      win.document.close();
+      win.addEventListener("load", () => win.print());
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${quoteNumber}.html`;
+    a.click();
+    // Revoking right away can cancel the download in Firefox and Safari.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   };
 
   const reviews = [
@@ -490,6 +805,14 @@ export default function App() {
                 ["Coverage", "#coverage"],
                 ["Get a Quote", "#quote"],
                 ["Checkout", "#checkout"],
+                ["Tracking", "#tracking"],
+                ["Account", "#account"],
+                ...(isDispatcher
+                  ? [
+                      ["Dispatch", DISPATCH_HASH],
+                      ["Rate card", "#rate-card"],
+                    ]
+                  : []),
               ].map(([label, href]) => (
                 <a
                   key={href}
@@ -538,7 +861,7 @@ export default function App() {
             className={[
               "md:hidden overflow-hidden border-t border-neutral-200 bg-white/95",
               "transition-all duration-500",
-              menuOpen ? "max-h-72 opacity-100" : "max-h-0 opacity-0",
+              menuOpen ? "max-h-[40rem] opacity-100" : "max-h-0 opacity-0",
             ].join(" ")}
           >
             <nav className="flex flex-col gap-2 p-4 text-sm">
@@ -549,6 +872,14 @@ export default function App() {
                 ["Coverage", "#coverage"],
                 ["Get a Quote", "#quote"],
                 ["Checkout", "#checkout"],
+                ["Tracking", "#tracking"],
+                ["Account", "#account"],
+                ...(isDispatcher
+                  ? [
+                      ["Dispatch", DISPATCH_HASH],
+                      ["Rate card", "#rate-card"],
+                    ]
+                  : []),
                 ["Contact", "#contact"],
               ].map(([label, href]) => (
                 <a
@@ -734,76 +1065,30 @@ export default function App() {
                 in Florida to cross-country Sprinter moves.
               </p>
 
+              <div className="mb-6 h-72 w-full overflow-hidden rounded-2xl border border-neutral-100">
+                {!showIntro && <CoverageMap />}
+              </div>
+
               <div className="grid gap-6 text-sm md:grid-cols-2 lg:grid-cols-3">
-                <div>
-                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
-                    Southeast
-                  </p>
-                  <p className="mb-2">
-                    FL, GA, AL, SC, NC, TN, MS, LA, AR, KY, WV
-                  </p>
-                  <p className="text-xs text-neutral-500">
-                    Key: Miami, Orlando, Tampa, Jacksonville, Atlanta,
-                    Charlotte, Nashville, New Orleans.
-                  </p>
-                </div>
-                <div>
-                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
-                    Northeast
-                  </p>
-                  <p className="mb-2">
-                    NY, NJ, PA, MA, CT, RI, NH, VT, ME, MD, DE, DC
-                  </p>
-                  <p className="text-xs text-neutral-500">
-                    Key: New York, Newark, Philadelphia, Boston, Baltimore,
-                    Washington D.C.
-                  </p>
-                </div>
-                <div>
-                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
-                    Midwest
-                  </p>
-                  <p className="mb-2">
-                    IL, OH, MI, IN, WI, MN, IA, MO, KS, NE, SD, ND
-                  </p>
-                  <p className="text-xs text-neutral-500">
-                    Key: Chicago, Detroit, Columbus, Cincinnati, St. Louis,
-                    Minneapolis, Kansas City.
-                  </p>
-                </div>
-                <div>
-                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
-                    South / Central
-                  </p>
-                  <p className="mb-2">
-                    TX, OK, NM, CO, AZ (southern corridor)
-                  </p>
-                  <p className="text-xs text-neutral-500">
-                    Key: Dallas, Fort Worth, Houston, San Antonio, Austin, El
-                    Paso, Denver, Phoenix.
-                  </p>
-                </div>
-                <div>
-                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
-                    West
-                  </p>
-                  <p className="mb-2">
-                    CA, WA, OR, NV, UT, ID, MT, WY
-                  </p>
-                  <p className="text-xs text-neutral-500">
-                    Key: Los Angeles, Long Beach, Oakland, San Diego, Seattle,
-                    Portland, Salt Lake City, Las Vegas.
-                  </p>
-                </div>
-                <div>
-                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
-                    Alaska (partner network)
-                  </p>
-                  <p className="mb-2">AK</p>
-                  <p className="text-xs text-neutral-500">
-                    Key: Anchorage, Fairbanks.
-                  </p>
-                </div>
+                {coverageRegions.map((region) => (
+                  <div key={region.id}>
+                    <p className="mb-1 flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-neutral-500">
+                      <span
+                        className="inline-block h-2 w-2 rounded-full"
+                        style={{ backgroundColor: region.color }}
+                      />
+                      {region.name}
+                      {region.partnerNetwork && " (partner network)"}
+                    </p>
+                    <p className="mb-2">
+                      {region.states.join(", ")}
+                      {region.note && ` (${region.note})`}
+                    </p>
+                    <p className="text-xs text-neutral-500">
+                      Key: {region.keyCities.map((c) => c.city).join(", ")}.
+                    </p>
+                  </div>
+                ))}
               </div>
             </div>
           </Section>
@@ -821,23 +1106,125 @@ export default function App() {
                   Lane Details
                 </h3>
 
+                {user && account.addresses.length > 0 && (
+                  <div className="grid gap-3 md:grid-cols-2">
+                    <AddressPicker
+                      label="Pick up from address book"
+                      addresses={addressesFor(account, "origin")}
+                      onPick={(entry) => handlePickAddress("origin", entry)}
+                    />
+                    <AddressPicker
+                      label="Deliver to address book"
+                      addresses={addressesFor(account, "destination")}
+                      onPick={(entry) =>
+                        handlePickAddress("destination", entry)
+                      }
+                    />
+                  </div>
+                )}
+
                 <div className="grid gap-3 md:grid-cols-2">
-                  <Input
-                    placeholder="Origin (City, ST)"
-                    value={quote.origin}
-                    onChange={(e) =>
-                      setQuote((q) => ({ ...q, origin: e.target.value }))
-                    }
-                    aria-label="Origin"
-                  />
-                  <Input
-                    placeholder="Destination (City, ST)"
-                    value={quote.destination}
-                    onChange={(e) =>
-                      setQuote((q) => ({ ...q, destination: e.target.value }))
-                    }
-                    aria-label="Destination"
-                  />
+                  <div>
+                    <PlaceInput
+                      placeholder="Origin (City, ST)"
+                      value={quote.origin}
+                      place={quote.originPlace}
+                      providers={routingProviders}
+                      onChange={(origin) => setQuote((q) => ({ ...q, origin }))}
+                      onSelect={(originPlace) =>
+                        setQuote((q) => ({ ...q, originPlace }))
+                      }
+                      aria-label="Origin"
+                      {...fieldProps("origin")}
+                    />
+                    <FieldError message={shownErrors.origin} />
+                  </div>
+                  <div>
+                    <PlaceInput
+                      placeholder="Destination (City, ST)"
+                      value={quote.destination}
+                      place={quote.destinationPlace}
+                      providers={routingProviders}
+                      onChange={(destination) =>
+                        setQuote((q) => ({ ...q, destination }))
+                      }
+                      onSelect={(destinationPlace) =>
+                        setQuote((q) => ({ ...q, destinationPlace }))
+                      }
+                      aria-label="Destination"
+                      {...fieldProps("destination")}
+                    />
+                    <FieldError message={shownErrors.destination} />
+                  </div>
+                </div>
+                {partnerWarnings.map((w) => (
+                  <p
+                    key={w.end}
+                    className="rounded-2xl bg-amber-50 px-4 py-2 text-[11px] text-amber-800"
+                  >
+                    {w.message}
+                  </p>
+                ))}
+
+                <div className="space-y-2">
+                  {quote.stops.map((stop, i) => (
+                    <div key={stop.id} className="flex items-center gap-2">
+                      <span className="w-14 shrink-0 text-[11px] font-medium uppercase tracking-wide text-neutral-500">
+                        Stop {i + 1}
+                      </span>
+                      <PlaceInput
+                        placeholder="Extra pickup / drop (City, ST)"
+                        value={stop.address}
+                        place={stop.place}
+                        providers={routingProviders}
+                        onChange={(address) =>
+                          handleStopChange(stop.id, { address })
+                        }
+                        onSelect={(place) =>
+                          handleStopChange(stop.id, { place })
+                        }
+                        aria-label={`Stop ${i + 1}`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleMoveStop(i, -1)}
+                        disabled={i === 0}
+                        aria-label={`Move stop ${i + 1} up`}
+                        className="rounded-full border border-neutral-200 px-2 py-1 text-xs disabled:opacity-40"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleMoveStop(i, 1)}
+                        disabled={i === quote.stops.length - 1}
+                        aria-label={`Move stop ${i + 1} down`}
+                        className="rounded-full border border-neutral-200 px-2 py-1 text-xs disabled:opacity-40"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveStop(stop.id)}
+                        aria-label={`Remove stop ${i + 1}`}
+                        className="rounded-full border border-neutral-200 px-2 py-1 text-xs text-red-500"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={handleAddStop}
+                    className="rounded-full border border-dashed border-neutral-300 px-4 py-1.5 text-[11px] font-medium text-neutral-700 hover:bg-neutral-50"
+                  >
+                    + Add stop
+                  </button>
+                  {quote.stops.length > 0 && (
+                    <p className="text-[11px] text-neutral-500">
+                      Stops run in order between origin and destination.
+                    </p>
+                  )}
                 </div>
 
                 <div className="flex flex-col gap-2 text-xs">
@@ -854,28 +1241,41 @@ export default function App() {
                       or enter distance manually below if you already know it.
                     </span>
                   </div>
-                  <div>
-                    <button
-                      type="button"
-                      onClick={applyHauloverPreset}
-                      className="mt-1 rounded-full border border-neutral-200 bg-neutral-50 px-4 py-1.5 text-[11px] font-medium text-neutral-800 hover:bg-white"
-                    >
-                      Haulover Express preset (Miami ⇢ Orlando)
-                    </button>
+                  <div className="flex flex-wrap items-center gap-4 text-[11px] text-neutral-700">
+                    {[
+                      ["tolls", "Avoid tolls"],
+                      ["highways", "Avoid highways"],
+                      ["ferries", "Avoid ferries"],
+                    ].map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-1.5">
+                        <input
+                          type="checkbox"
+                          checked={quote.avoid[key]}
+                          onChange={() => handleAvoidToggle(key)}
+                        />
+                        {label}
+                      </label>
+                    ))}
                   </div>
-                  {showHauloverDetails && (
-                    <div className="mt-2 rounded-2xl bg-neutral-50 px-4 py-3 text-[11px] text-neutral-700">
-                      <p className="font-semibold text-neutral-900">
-                        Haulover Express lane expanded
-                      </p>
-                      <p>
-                        Origin: Miami, FL (Haulover) → Destination: Orlando,
-                        FL. Approx. 235 miles, expedited Sprinter / cargo van
-                        service with 2 pallets, 120 lbs default. Adjust any
-                        field as needed.
+                  {route &&
+                    !route.provider.supportsRouteOptions &&
+                    Object.values(quote.avoid).some(Boolean) && (
+                      <p className="text-[11px] text-amber-700">
+                        Offline miles are straight-line estimates, so avoid
+                        options don’t change them.
                       </p>
-                    </div>
-                  )}
+                    )}
+                  <LanePresets
+                    presets={[...customPresets, ...builtInPresets]}
+                    activeId={activePresetId}
+                    onApply={handleApplyPreset}
+                    onSaveCurrent={handleSavePreset}
+                    onDelete={(id) =>
+                      setCustomPresets((list) =>
+                        list.filter((p) => p.id !== id)
+                      )
+                    }
+                  />
                   {autoError && (
                     <p className="mt-1 text-xs font-medium text-red-500">
                       {autoError}
@@ -897,7 +1297,10 @@ export default function App() {
                         setQuote((q) => ({ ...q, distance: e.target.value }))
                       }
                       aria-label="Distance (miles)"
+                      min="0"
+                      {...fieldProps("distance")}
                     />
+                    <FieldError message={shownErrors.distance} />
                   </div>
                   <div>
                     <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-neutral-500">
@@ -911,7 +1314,10 @@ export default function App() {
                         setQuote((q) => ({ ...q, weight: e.target.value }))
                       }
                       aria-label="Weight (lbs)"
+                      min="0"
+                      {...fieldProps("weight")}
                     />
+                    <FieldError message={shownErrors.weight} />
                   </div>
                   <div>
                     <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-neutral-500">
@@ -925,10 +1331,140 @@ export default function App() {
                         setQuote((q) => ({ ...q, pallets: e.target.value }))
                       }
                       aria-label="Number of pallets"
+                      min="0"
+                      {...fieldProps("pallets")}
                     />
+                    <FieldError message={shownErrors.pallets} />
+                  </div>
+                </div>
+
+                <div>
+                  <p className="mb-2 text-xs font-medium uppercase tracking-wide text-neutral-500">
+                    Freight dimensions (optional)
+                  </p>
+                  <div className="space-y-2">
+                    {quote.pieces.map((piece, i) => (
+                      <div
+                        key={piece.id}
+                        className="grid grid-cols-[repeat(4,minmax(0,1fr))_auto_auto] items-center gap-2"
+                      >
+                        {[
+                          ["lengthIn", "L (in)"],
+                          ["widthIn", "W (in)"],
+                          ["heightIn", "H (in)"],
+                          ["count", "Count"],
+                        ].map(([key, label]) => (
+                          <Input
+                            key={key}
+                            type="number"
+                            min="0"
+                            placeholder={label}
+                            value={piece[key]}
+                            onChange={(e) =>
+                              handlePieceChange(piece.id, {
+                                [key]: e.target.value,
+                              })
+                            }
+                            onBlur={() =>
+                              setTouched((t) => ({ ...t, pieces: true }))
+                            }
+                            aria-label={`Piece ${i + 1} ${label}`}
+                            className="px-3 py-2"
+                          />
+                        ))}
+                        <label className="flex items-center gap-1 text-[11px] text-neutral-600">
+                          <input
+                            type="checkbox"
+                            checked={piece.stackable}
+                            onChange={() =>
+                              handlePieceChange(piece.id, {
+                                stackable: !piece.stackable,
+                              })
+                            }
+                          />
+                          Stackable
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => handleRemovePiece(piece.id)}
+                          aria-label={`Remove piece ${i + 1}`}
+                          className="rounded-full border border-neutral-200 px-2 py-1 text-xs text-red-500"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={handleAddPiece}
+                      className="rounded-full border border-dashed border-neutral-300 px-4 py-1.5 text-[11px] font-medium text-neutral-700 hover:bg-neutral-50"
+                    >
+                      + Add piece
+                    </button>
+                    <FieldError message={shownErrors.pieces} />
+                    {estimate && estimate.billing.pieces > 0 && (
+                      <p className="text-[11px] text-neutral-600">
+                        {estimate.billing.cubicFt} ft³ · density{" "}
+                        {estimate.billing.densityPcf} lb/ft³ · dim weight{" "}
+                        {estimate.billing.dimWeightLbs} lbs → billed on{" "}
+                        {estimate.billing.basis === "dim"
+                          ? "dimensional"
+                          : "actual"}{" "}
+                        weight
+                      </p>
+                    )}
                   </div>
                 </div>
 
+                <div>
+                  <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-neutral-500">
+                    Vehicle
+                  </label>
+                  <select
+                    className="w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200"
+                    value={quote.vehicle}
+                    onChange={(e) =>
+                      setQuote((q) => ({ ...q, vehicle: e.target.value }))
+                    }
+                    aria-label="Vehicle"
+                  >
+                    <option value="">
+                      Auto —{" "}
+                      {recommendedVehicle
+                        ? recommendedVehicle.label
+                        : "no single vehicle fits"}
+                    </option>
+                    {vehicleList(rateCard).map((v) => (
+                      <option
+                        key={v.key}
+                        value={v.key}
+                        disabled={!fits(v, quote.weight, quote.pallets)}
+                      >
+                        {v.label} ({describeCapacity(v)})
+                      </option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-[11px] text-neutral-500">
+                    {vehicle.label}: {describeCapacity(vehicle)}
+                  </p>
+                  {quote.vehicle &&
+                    recommendedVehicle &&
+                    recommendedVehicle.key !== quote.vehicle && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setQuote((q) => ({
+                            ...q,
+                            vehicle: recommendedVehicle.key,
+                          }))
+                        }
+                        className="mt-1 rounded-full border border-neutral-200 bg-neutral-50 px-3 py-1 text-[11px] font-medium text-neutral-800 hover:bg-white"
+                      >
+                        Recommended for this load: {recommendedVehicle.label}
+                      </button>
+                    )}
+                </div>
+
                 <div className="grid gap-3 md:grid-cols-3">
                   <div>
                     <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-neutral-500">
@@ -952,10 +1488,14 @@ export default function App() {
                     <Input
                       type="date"
                       value={quote.pickupDate}
+                      min={toDateInput(new Date())}
                       onChange={(e) =>
                         setQuote((q) => ({ ...q, pickupDate: e.target.value }))
                       }
+                      aria-label="Pickup date"
+                      {...fieldProps("pickupDate")}
                     />
+                    <FieldError message={shownErrors.pickupDate} />
                   </div>
                   <div>
                     <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-neutral-500">
@@ -964,13 +1504,17 @@ export default function App() {
                     <Input
                       type="date"
                       value={quote.deliveryDate}
+                      min={quote.pickupDate || undefined}
                       onChange={(e) =>
                         setQuote((q) => ({
                           ...q,
                           deliveryDate: e.target.value,
                         }))
                       }
+                      aria-label="Delivery date"
+                      {...fieldProps("deliveryDate")}
                     />
+                    <FieldError message={shownErrors.deliveryDate} />
                   </div>
                 </div>
 
@@ -1035,11 +1579,116 @@ export default function App() {
                         {estimate.base}
                         <br />
                         <span className="font-medium">Distance:</span>{" "}
-                        {estimate.dist} mi × ${estimate.perMile}/mi
+                        {estimate.dist} mi → $
+                        {estimate.mileageCharge.toFixed(2)}
                         <br />
                         <span className="font-medium">Fuel Surcharge:</span>{" "}
                         {Math.round(estimate.fuelSurcharge * 100)}%
+                        {estimate.fuel.band && (
+                          <span className="text-xs text-neutral-500">
+                            {" "}
+                            (diesel ${estimate.fuel.dieselPrice.toFixed(
+                              2
+                            )}, {describeBand(estimate.fuel.band)} band,
+                            effective {formatDate(estimate.fuel.effectiveDate)})
+                          </span>
+                        )}
                       </p>
+                      {routes && routes.length > 1 && (
+                        <div className="mt-3 space-y-1">
+                          <p className="text-[11px] font-medium uppercase tracking-wide text-neutral-500">
+                            Route options
+                          </p>
+                          {routes.map((r, i) => (
+                            <label
+                              key={i}
+                              className="flex cursor-pointer items-center justify-between gap-3 rounded-xl border border-neutral-200 px-3 py-1.5 text-xs"
+                            >
+                              <span className="flex items-center gap-2">
+                                <input
+                                  type="radio"
+                                  name="route-option"
+                                  checked={i === routeIndex}
+                                  onChange={() => handleSelectRoute(i)}
+                                />
+                                {i === 0 ? "Recommended" : `Alternative ${i}`}
+                              </span>
+                              <span className="text-neutral-600">
+                                {Math.round(r.distanceMi)} mi ·{" "}
+                                {Math.round((r.durationS / 3600) * 10) / 10} h
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                      {route && route.legs.length > 1 && (
+                        <ul className="mt-3 space-y-1 text-xs text-neutral-600">
+                          {route.legs.map((leg, i) => (
+                            <li key={i} className="flex justify-between gap-3">
+                              <span>
+                                Leg {i + 1}: {leg.from} → {leg.to}
+                              </span>
+                              <span className="shrink-0 font-medium">
+                                {leg.miles} mi
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {route && (
+                        <p className="mt-2 text-[11px] text-neutral-500">
+                          Miles via {route.provider.label}
+                        </p>
+                      )}
+                      {transit && (
+                        <div className="mt-3 rounded-2xl bg-neutral-50 px-4 py-3 text-xs text-neutral-700">
+                          <p>
+                            <span className="font-medium">Transit:</span> ~
+                            {Math.round(transit.driveHours * 10) / 10} h driving
+                            ({transit.team ? "team drivers" : "solo driver"},{" "}
+                            {transit.source === "route"
+                              ? "routed drive time"
+                              : "average speed"}
+                            )
+                          </p>
+                          <p>
+                            <span className="font-medium">
+                              Earliest delivery:
+                            </span>{" "}
+                            {formatDate(transit.earliestDelivery)}
+                            {!quote.pickupDate && " (if picked up tomorrow)"}
+                          </p>
+                          {!transit.feasible && (
+                            <div className="mt-2 text-[11px] font-medium text-amber-700">
+                              <p>
+                                Requested delivery{" "}
+                                {formatDate(transit.requestedDelivery)} isn’t
+                                realistic with hours-of-service limits.
+                              </p>
+                              {transit.suggestion === "expedited" ? (
+                                <button
+                                  type="button"
+                                  onClick={() =>
+                                    setQuote((q) => ({
+                                      ...q,
+                                      urgency: "expedited",
+                                    }))
+                                  }
+                                  className="mt-1 rounded-full border border-amber-300 bg-white px-3 py-1 text-[11px] text-amber-800 hover:bg-amber-50"
+                                >
+                                  Switch to Expedited (team drivers, arrives{" "}
+                                  {formatDate(transit.earliestTeamDelivery)})
+                                </button>
+                              ) : (
+                                <p>
+                                  Even with team drivers the earliest is{" "}
+                                  {formatDate(transit.earliestTeamDelivery)}.
+                                </p>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      )}
                       <p className="mt-3 text-xs text-neutral-500">
                         Non-binding estimate. Final rate confirmed by dispatch
                         based on live capacity and exact requirements.
@@ -1048,17 +1697,47 @@ export default function App() {
                       <p className="text-lg font-semibold text-slate-900">
                         Estimated Total: ${estimate.total.toFixed(2)}
                       </p>
+                      <div className="mt-4 flex flex-wrap items-center gap-2">
+                        <button
+                          type="button"
+                          onClick={handleSaveQuote}
+                          className="rounded-full border border-neutral-200 bg-neutral-50 px-4 py-1.5 text-[11px] font-medium text-neutral-800 hover:bg-white"
+                        >
+                          Save quote
+                        </button>
+                        <button
+                          type="button"
+                          onClick={handleCopyShareLink}
+                          className="rounded-full border border-neutral-200 bg-neutral-50 px-4 py-1.5 text-[11px] font-medium text-neutral-800 hover:bg-white"
+                        >
+                          Copy share link
+                        </button>
+                        <button
+                          type="button"
+                          onClick={handleResetQuote}
+                          className="rounded-full px-3 py-1.5 text-[11px] font-medium text-neutral-500 hover:text-neutral-900"
+                        >
+                          Start new quote
+                        </button>
+                      </div>
+                      {shareStatus && (
+                        <p className="mt-2 text-[11px] text-emerald-700">
+                          {shareStatus}
+                        </p>
+                      )}
                     </>
                   ) : (
                     <p className="mt-3 text-sm text-neutral-600">
-                      Enter lane details to see an estimate.
+                      {pricingBlocked
+                        ? "Fix the highlighted distance, weight or pallet fields to see an estimate."
+                        : "Enter lane details to see an estimate."}
                     </p>
                   )}
                 </div>
 
                 {/* Map (only render after intro so it never overlaps) */}
                 <div className="overflow-hidden rounded-3xl border border-white/70 bg-white shadow-[0_18px_50px_rgba(15,23,42,0.12)] transition-transform duration-300 hover:-translate-y-1 hover:scale-105">
-                  <div className="h-64 w-full">
+                  <div className="relative h-64 w-full">
                     {!showIntro && (
                       <MapContainer
                         center={[27, -83]}
@@ -1068,21 +1747,58 @@ export default function App() {
                         className="h-full w-full"
                       >
                         <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-                        {routeCoords && (
+                        {route && (
                           <>
-                            <FitBoundsToRoute coords={routeCoords} />
-                            <Polyline positions={routeCoords} />
+                            <FitBoundsToRoute coords={route.coords} />
+                            {routes.map(
+                              (r, i) =>
+                                i !== routeIndex && (
+                                  <Polyline
+                                    key={i}
+                                    positions={r.coords}
+                                    pathOptions={{
+                                      color: "#64748b",
+                                      weight: 4,
+                                      opacity: 0.6,
+                                      dashArray: "6 8",
+                                    }}
+                                    eventHandlers={{
+                                      click: () => handleSelectRoute(i),
+                                    }}
+                                  />
+                                )
+                            )}
+                            <Polyline
+                              positions={route.coords}
+                              pathOptions={{ color: "#2563eb", weight: 5 }}
+                            />
+                            <StopMarkers waypoints={route.waypoints} />
                           </>
                         )}
                       </MapContainer>
                     )}
+                    {routeStats && <RouteStatsOverlay stats={routeStats} />}
                   </div>
+                  {route && <TurnByTurnPanel route={route} />}
                   <p className="px-3 pb-2 text-[10px] text-neutral-500">
                     Map data © OpenStreetMap contributors
                   </p>
                 </div>
               </div>
             </div>
+
+            <QuoteHistory
+              entries={quoteHistory}
+              onLoad={handleLoadSavedQuote}
+              onRename={(id, name) =>
+                setQuoteHistory((list) =>
+                  list.map((e) => (e.id === id ? { ...e, name } : e))
+                )
+              }
+              onDelete={(id) =>
+                setQuoteHistory((list) => list.filter((e) => e.id !== id))
+              }
+            />
           </Section>
 
           {/* CHECKOUT SECTION WITH PAYMENT UI */}
@@ -1112,6 +1828,8 @@ export default function App() {
                       <span className="font-medium">Pallets:</span>{" "}
                       {quote.pallets}
                       <br />
+                      <span className="font-medium">Vehicle:</span>{" "}
+                      {vehicle.label} ·{" "}
                       <span className="font-medium">Urgency:</span>{" "}
                       {quote.urgency === "expedited"
                         ? "Expedited / Hot Shot"
@@ -1120,42 +1838,51 @@ export default function App() {
 
                     <hr className="my-4" />
 
+                    {estimate.billing.pieces > 0 && (
+                      <div className="mb-4 rounded-2xl bg-neutral-50 px-4 py-3 text-xs text-neutral-700">
+                        <p className="font-semibold text-slate-900">
+                          Billable weight
+                        </p>
+                        <p>
+                          {estimate.billing.cubicFt} ft³ × 1,728 in³ ÷{" "}
+                          {estimate.billing.dimDivisor} = dim weight{" "}
+                          {estimate.billing.dimWeightLbs} lbs (density{" "}
+                          {estimate.billing.densityPcf} lb/ft³)
+                        </p>
+                        <p>
+                          Greater of actual {estimate.billing.actualWeightLbs}{" "}
+                          lbs and dim {estimate.billing.dimWeightLbs} lbs →{" "}
+                          <span className="font-medium">
+                            {estimate.billing.billableWeightLbs} lbs billed
+                          </span>
+                        </p>
+                      </div>
+                    )}
+
                     <h4 className="text-sm font-semibold text-slate-900">
                       Price breakdown
                     </h4>
                     <div className="mt-2 space-y-1 text-sm text-neutral-700">
-                      <div className="flex justify-between">
-                        <span>Linehaul (base + miles)</span>
-                        <span>${estimate.linehaul.toFixed(2)}</span>
-                      </div>
-                      {estimate.heavySurcharge > 0 && (
-                        <div className="flex justify-between">
-                          <span>Heavy freight surcharge</span>
-                          <span>${estimate.heavySurcharge.toFixed(2)}</span>
-                        </div>
-                      )}
-                      {estimate.rushFee > 0 && (
-                        <div className="flex justify-between">
-                          <span>Expedited / rush fee</span>
-                          <span>${estimate.rushFee.toFixed(2)}</span>
-                        </div>
-                      )}
-                      {estimate.accessorialsTotal > 0 && (
-                        <div className="flex justify-between">
-                          <span>Accessorials</span>
-                          <span>${estimate.accessorialsTotal.toFixed(2)}</span>
-                        </div>
-                      )}
+                      {estimate.lineItems
+                        .filter((item) => item.amount !== 0)
+                        .map((item) => (
+                          <div key={item.key} className="flex justify-between">
+                            <span>{item.label}</span>
+                            <span>
+                              {item.amount < 0 ? "−" : ""}$
+                              {Math.abs(item.amount).toFixed(2)}
+                            </span>
+                          </div>
+                        ))}
                       <div className="flex justify-between">
                         <span>Subtotal (before fuel)</span>
                         <span>${estimate.subtotal.toFixed(2)}</span>
                       </div>
-                      <div className="flex justify-between text-xs text-neutral-500">
-                        <span>Fuel surcharge ({Math.round(
-                          estimate.fuelSurcharge * 100
-                        )}
-                        %)</span>
-                        <span>Included in total</span>
+                      <div className="flex justify-between gap-3">
+                        <span>{fuelLabel(estimate)}</span>
+                        <span className="shrink-0">
+                          ${estimate.fuelAmount.toFixed(2)}
+                        </span>
                       </div>
                       <hr className="my-3" />
                       <div className="flex items-center justify-between text-base font-semibold text-slate-900">
@@ -1164,9 +1891,35 @@ export default function App() {
                       </div>
                     </div>
 
+                    {rateCard.fuelSchedule && (
+                      <FuelSchedule
+                        schedule={rateCard.fuelSchedule}
+                        fuel={estimate.fuel}
+                        diesel={diesel}
+                        isOverride={diesel !== defaultDieselPrice}
+                        canOverride={isDispatcher}
+                        onOverride={(next) => {
+                          saveDieselPrice(next);
+                          setDiesel(next);
+                        }}
+                        onClearOverride={() => {
+                          clearDieselPrice();
+                          setDiesel(defaultDieselPrice);
+                        }}
+                      />
+                    )}
+
+                    <button
+                      type="button"
+                      onClick={handleDownloadQuote}
+                      className="mt-4 w-full rounded-full border border-neutral-200 bg-neutral-50 px-4 py-2 text-sm font-medium text-neutral-900 hover:bg-white"
+                    >
+                      Download quote (PDF / print)
+                    </button>
+
                     <p className="mt-4 text-xs text-neutral-500">
-                      This checkout is for planning only. Final confirmed rate
-                      and live payment link are sent directly by dispatch.
+                      Paying here authorizes the estimated total. Dispatch
+                      confirms the final rate against live capacity.
                     </p>
                   </>
                 ) : (
@@ -1181,166 +1934,115 @@ export default function App() {
                 )}
               </div>
 
-              {/* Payment UI (front-end only) */}
-              <form
-                onSubmit={handlePaymentSubmit}
-                className="rounded-3xl border border-white/70 bg-slate-900 text-slate-50 shadow-[0_18px_60px_rgba(15,23,42,0.6)]"
-              >
-                <div className="border-b border-white/10 px-6 py-4">
-                  <p className="text-xs font-semibold uppercase tracking-[0.18em] text-emerald-300">
-                    Secure payment staging
-                  </p>
-                  <p className="mt-1 text-sm text-slate-200">
-                    Enter card details so dispatch can generate a secure
-                    payment link.
-                  </p>
-                </div>
-
-                <div className="space-y-4 px-6 py-5 text-sm">
-                  <div>
-                    <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-slate-300">
-                      Cardholder Name
-                    </label>
-                    <input
-                      type="text"
-                      className="w-full rounded-xl border border-slate-600 bg-slate-950/40 px-3 py-2 text-sm text-slate-50 outline-none focus:border-emerald-400 focus:ring-2 focus:ring-emerald-500/40"
-                      placeholder="As shown on card"
-                      required
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-slate-300">
-                      Card Number
-                    </label>
-                    <input
-                      type="text"
-                      inputMode="numeric"
-                      maxLength={19}
-                      className="w-full rounded-xl border border-slate-600 bg-slate-950/40 px-3 py-2 text-sm text-slate-50 outline-none focus:border-emerald-400 focus:ring-2 focus:ring-emerald-500/40"
-                      placeholder="4111 1111 1111 1111"
-                      required
-                    />
-                  </div>
-                  <div className="grid gap-3 grid-cols-[1.1fr_1fr_1.1fr]">
-                    <div>
-                      <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-slate-300">
-                        Expiry
-                      </label>
-                      <input
-                        type="text"
-                        inputMode="numeric"
-                        maxLength={5}
-                        className="w-full rounded-xl border border-slate-600 bg-slate-950/40 px-3 py-2 text-sm text-slate-50 outline-none focus:border-emerald-400 focus:ring-2 focus:ring-emerald-500/40"
-                        placeholder="MM/YY"
-                        required
-                      />
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-slate-300">
-                        CVC
-                      </label>
-                      <input
-                        type="password"
-                        maxLength={4}
-                        className="w-full rounded-xl border border-slate-600 bg-slate-950/40 px-3 py-2 text-sm text-slate-50 outline-none focus:border-emerald-400 focus:ring-2 focus:ring-emerald-500/40"
-                        placeholder="123"
-                        required
-                      />
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium uppercase tracking-wide text-slate-300">
-                        ZIP / Postal
-                      </label>
-                      <input
-                        type="text"
-                        className="w-full rounded-xl border border-slate-600 bg-slate-950/40 px-3 py-2 text-sm text-slate-50 outline-none focus:border-emerald-400 focus:ring-2 focus:ring-emerald-500/40"
-                        placeholder="33101"
-                        required
-                      />
-                    </div>
-                  </div>
+              <PaymentForm
+                key={paymentRound}
+                gateway={paymentGateway}
+                amount={estimate ? estimate.total : 0}
+                description={`Freight: ${quote.origin} → ${quote.destination}`}
+                validation={validation}
+                onBlocked={() => setCheckoutAttempted(true)}
+                onPaid={setPayment}
+              />
+            </div>
 
-                  <div className="flex items-center gap-2 text-[11px] text-slate-300">
-                    <span className="inline-flex h-4 w-4 items-center justify-center rounded-full bg-emerald-500 text-[9px] font-bold text-slate-950">
-                      ✓
-                    </span>
-                    Card data is for demo only — final payment is processed via
-                    a secure link from dispatch.
-                  </div>
+            <BookingFlow
+              backend={bookingBackend}
+              contact={contactAdapter}
+              quote={quote}
+              estimate={estimate}
+              validation={validation}
+              // A payment only counts toward this booking if it covered the
+              // current total.
+              payment={
+                payment && estimate && payment.amount === estimate.total
+                  ? payment
+                  : null
+              }
+              onBlocked={() => setCheckoutAttempted(true)}
+              onBooked={handleBooked}
+            />
+          </Section>
 
-                  <button
-                    type="submit"
-                    className="mt-2 w-full rounded-full bg-gradient-to-r from-emerald-400 via-emerald-500 to-emerald-300 px-4 py-2.5 text-sm font-semibold text-slate-950 shadow-[0_18px_45px_rgba(16,185,129,0.7)] transition-transform hover:-translate-y-[1px]"
-                  >
-                    Stage Secure Checkout
-                  </button>
-                </div>
-              </form>
+          {/* TRACKING */}
+          <Section
+            id="tracking"
+            title="Track a Shipment"
+            subtitle="Enter your PRO or booking confirmation number for live status, location and ETA."
+          >
+            <div className="mx-auto max-w-5xl">
+              <Tracking tracker={tracker} />
             </div>
           </Section>
 
-          {/* CONTACT – direct email via FormSubmit */}
-          <Section id="contact" title="Contact Dispatch">
-            <form
-              action="https://formsubmit.co/t.s.express.logistic@gmail.com"
-              method="POST"
-              className="mx-auto max-w-3xl space-y-4 rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]"
+          {/* CUSTOMER PORTAL */}
+          <Section
+            id="account"
+            title="Customer Portal"
+            subtitle="Sign in to keep your shippers, consignees, saved quotes and booked loads in one place."
+          >
+            <CustomerPortal
+              auth={auth}
+              tracker={tracker}
+              user={user}
+              account={account}
+              providers={routingProviders}
+              accessorials={rateCard.accessorials}
+              canSaveQuote={Boolean(estimate)}
+              onSignedIn={handleSignedIn}
+              onSignOut={handleSignOut}
+              onAccountChange={setAccount}
+              onSaveQuote={handleSaveQuoteToAccount}
+              onLoadQuote={handleLoadSavedQuote}
+              onApplyDefaults={() =>
+                setQuote((q) =>
+                  applyDefaultAccessories(q, account.defaultAccessories)
+                )
+              }
+            />
+          </Section>
+
+          {/* DISPATCH CONSOLE */}
+          {(showDispatch || isDispatcher) && (
+            <Section
+              id="dispatch"
+              title="Dispatch Console"
+              subtitle="Quote requests and bookings from the site. Open one to review the estimate, set a rate and answer it."
             >
-              {/* FormSubmit settings */}
-              <input type="hidden" name="_captcha" value="false" />
-              <input
-                type="hidden"
-                name="_subject"
-                value="New load / dispatch inquiry from website"
-              />
-              <input type="hidden" name="_template" value="table" />
-
-              <h3 className="text-lg font-semibold text-slate-900">
-                Send load details
-              </h3>
-              <p className="text-sm text-neutral-600">
-                Share your lane, pickup window, and any special handling. Your
-                message will be emailed directly to dispatch at{" "}
-                <span className="font-medium">
-                  t.s.express.logistic@gmail.com
-                </span>
-                .
-              </p>
-              <div className="grid gap-3 md:grid-cols-2">
-                <Input
-                  name="name"
-                  placeholder="Your name"
-                  required
-                />
-                <Input
-                  name="email"
-                  type="email"
-                  placeholder="Email"
-                  required
+              {isDispatcher ? (
+                <DispatchConsole store={dispatchStore} user={user} />
+              ) : (
+                <SignIn
+                  auth={auth}
+                  role="dispatcher"
+                  onSignedIn={handleSignedIn}
                 />
-              </div>
-              <Input
-                name="company"
-                placeholder="Company (optional)"
-              />
-              <textarea
-                name="message"
-                rows={4}
-                className="w-full rounded-xl border border-neutral-300 bg-white px-4 py-3 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200"
-                placeholder="Example: Sprinter load from Miami, FL to Atlanta, GA. Pickup today before 3pm, 2 pallets, 1,200 lbs, inside delivery."
-                required
+              )}
+            </Section>
+          )}
+
+          {/* RATE CARD ADMIN */}
+          {isDispatcher && (
+            <Section
+              id="rate-card"
+              title="Rate Card"
+              subtitle="Edit pricing, save it as a version with an effective date, and preview sample lanes before publishing."
+            >
+              <RateCardAdmin
+                versions={rateCardVersions}
+                diesel={diesel}
+                user={user}
+                onChange={setRateCardVersions}
               />
-              <button
-                type="submit"
-                className="primary-btn w-full rounded-full px-5 py-3 text-sm font-medium text-white"
-              >
-                Submit to Dispatch
-              </button>
-              <p className="text-[11px] text-neutral-500">
-                After you click submit, you’ll see a confirmation screen and
-                your details will be emailed straight to dispatch.
-              </p>
-            </form>
+            </Section>
+          )}
+
+          {/* CONTACT */}
+          <Section id="contact" title="Contact Dispatch">
+            <ContactForm
+              adapter={contactAdapter}
+              quote={quote}
+              onSubmitted={handleInquirySubmitted}
+            />
           </Section>
 
           <footer className="border-t border-white/70 bg-[#E9F5FF] py-8 text-center text-sm text-neutral-600">
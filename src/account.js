@@ -0,0 +1,141 @@
+// src/account.js
+// What a signed-in customer keeps between visits: an address book of
+// shippers and consignees, saved quotes, the loads they booked and the
+// accessorials they usually need. Stored per user id so several people can
+// share a browser.
+import { loadJSON, saveJSON } from "./storage";
+
+export const EMPTY_ACCOUNT = {
+  addresses: [],
+  savedQuotes: [],
+  bookings: [],
+  defaultAccessories: {},
+};
+
+export const MAX_SAVED_QUOTES = 25;
+
+export const ADDRESS_ROLES = [
+  { key: "shipper", label: "Shipper" },
+  { key: "consignee", label: "Consignee" },
+];
+
+export const EMPTY_ADDRESS = {
+  role: "shipper",
+  company: "",
+  address: "",
+  // Typeahead pick for the address, reused so the lane skips geocoding.
+  place: null,
+  contactName: "",
+  phone: "",
+  dockNotes: "",
+};
+
+const storageKey = (userId) => `account:${userId}`;
+
+export const loadAccount = (userId) => ({
+  ...EMPTY_ACCOUNT,
+  ...loadJSON(storageKey(userId), {}),
+});
+export const saveAccount = (userId, account) =>
+  saveJSON(storageKey(userId), account);
+
+const makeId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+
+// Returns { valid, errors: { field: message } }.
+export function validateAddress(entry) {
+  const errors = {};
+  if (!entry.company.trim()) errors.company = "Enter the company or site name.";
+  if (!entry.address.trim()) errors.address = "Enter a city, ST or ZIP.";
+  if (entry.phone.trim() && entry.phone.replace(/\D/g, "").length < 10) {
+    errors.phone = "Enter a 10-digit phone number.";
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Adds a new entry or replaces the one with the same id.
+export function upsertAddress(account, entry) {
+  if (entry.id && account.addresses.some((a) => a.id === entry.id)) {
+    return {
+      ...account,
+      addresses: account.addresses.map((a) => (a.id === entry.id ? entry : a)),
+    };
+  }
+  return {
+    ...account,
+    addresses: [...account.addresses, { ...entry, id: makeId("addr") }],
+  };
+}
+
+export const removeAddress = (account, id) => ({
+  ...account,
+  addresses: account.addresses.filter((a) => a.id !== id),
+});
+
+// Shippers first for pickups and consignees first for deliveries; either
+// can be used at both ends (a consignee often ships returns).
+export function addressesFor(account, end) {
+  const first = end === "origin" ? "shipper" : "consignee";
+  return [
+    ...account.addresses.filter((a) => a.role === first),
+    ...account.addresses.filter((a) => a.role !== first),
+  ];
+}
+
+const DOCK_NOTE_PREFIX = { origin: "Pickup", destination: "Delivery" };
+
+// Fills one end of the lane from an address book entry. Dock notes are
+// appended to the quote notes (once) so they reach dispatch with the quote.
+export function quoteWithAddress(quote, end, entry) {
+  const next = {
+    ...quote,
+    [end]: entry.address,
+    [`${end}Place`]: entry.place || null,
+  };
+  const dockNotes = entry.dockNotes.trim();
+  if (dockNotes) {
+    const line = `${DOCK_NOTE_PREFIX[end]} (${entry.company}): ${dockNotes}`;
+    if (!quote.notes.includes(line)) {
+      next.notes = quote.notes.trim() ? `${quote.notes.trim()}\n${line}` : line;
+    }
+  }
+  return next;
+}
+
+export const saveQuoteToAccount = (account, snapshot) => ({
+  ...account,
+  savedQuotes: [snapshot, ...account.savedQuotes].slice(0, MAX_SAVED_QUOTES),
+});
+
+export const removeSavedQuote = (account, id) => ({
+  ...account,
+  savedQuotes: account.savedQuotes.filter((q) => q.id !== id),
+});
+
+// Only what the portal lists; the booking backend and tracker hold the rest.
+export const recordBooking = (account, booking) => ({
+  ...account,
+  bookings: [
+    {
+      confirmationNumber: booking.confirmationNumber,
+      bookedAt: booking.bookedAt,
+      origin: booking.quote.origin,
+      destination: booking.quote.destination,
+      total: booking.estimate.total,
+    },
+    ...account.bookings.filter(
+      (b) => b.confirmationNumber !== booking.confirmationNumber
+    ),
+  ],
+});
+
+// Defaults only switch accessorials on; anything already ticked stays.
+export function applyDefaultAccessories(quote, defaults) {
+  const accessories = { ...quote.accessories };
+  Object.entries(defaults || {}).forEach(([key, on]) => {
+    if (on && key in accessories) accessories[key] = true;
+  });
+  return { ...quote, accessories };
+}
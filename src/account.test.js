@@ -0,0 +1,112 @@
+import {
+  EMPTY_ACCOUNT,
+  EMPTY_ADDRESS,
+  addressesFor,
+  applyDefaultAccessories,
+  loadAccount,
+  quoteWithAddress,
+  recordBooking,
+  saveAccount,
+  upsertAddress,
+  validateAddress,
+} from "./account";
+import { DEFAULT_QUOTE } from "./quoteState";
+
+const warehouse = {
+  ...EMPTY_ADDRESS,
+  company: "Doral Warehouse",
+  address: "Doral, FL 33172",
+  place: { city: "Doral", state: "FL", lat: 25.82, lon: -80.35 },
+  dockNotes: "Door 4, call 30 min out",
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test("keeps each user's account separately", () => {
+  saveAccount("u-1", upsertAddress(EMPTY_ACCOUNT, warehouse));
+
+  expect(loadAccount("u-1").addresses).toHaveLength(1);
+  expect(loadAccount("u-2")).toEqual(EMPTY_ACCOUNT);
+});
+
+test("adds, then edits, an address by id", () => {
+  const added = upsertAddress(EMPTY_ACCOUNT, warehouse);
+  const entry = added.addresses[0];
+  expect(entry.id).toMatch(/^addr-/);
+
+  const edited = upsertAddress(added, { ...entry, company: "Doral DC" });
+  expect(edited.addresses).toHaveLength(1);
+  expect(edited.addresses[0].company).toBe("Doral DC");
+});
+
+test("validates company, address and phone", () => {
+  expect(validateAddress(EMPTY_ADDRESS).errors).toEqual({
+    company: expect.any(String),
+    address: expect.any(String),
+  });
+  expect(validateAddress({ ...warehouse, phone: "555" }).errors).toHaveProperty(
+    "phone"
+  );
+  expect(validateAddress(warehouse).valid).toBe(true);
+});
+
+test("lists shippers first for pickup and consignees first for delivery", () => {
+  let account = upsertAddress(EMPTY_ACCOUNT, {
+    ...warehouse,
+    role: "consignee",
+    company: "Atlanta DC",
+  });
+  account = upsertAddress(account, warehouse);
+
+  expect(addressesFor(account, "origin")[0].company).toBe("Doral Warehouse");
+  expect(addressesFor(account, "destination")[0].company).toBe("Atlanta DC");
+});
+
+test("fills the lane end and appends dock notes once", () => {
+  const quote = quoteWithAddress(
+    { ...DEFAULT_QUOTE, notes: "Fragile" },
+    "origin",
+    warehouse
+  );
+
+  expect(quote.origin).toBe("Doral, FL 33172");
+  expect(quote.originPlace).toEqual(warehouse.place);
+  expect(quote.notes).toBe(
+    "Fragile\nPickup (Doral Warehouse): Door 4, call 30 min out"
+  );
+  expect(quoteWithAddress(quote, "origin", warehouse).notes).toBe(quote.notes);
+});
+
+test("records a booking once, newest first", () => {
+  const booking = {
+    confirmationNumber: "TSB-20261019-ABCDE",
+    bookedAt: "2026-10-19T14:00:00.000Z",
+    quote: { origin: "Miami, FL", destination: "Atlanta, GA" },
+    estimate: { total: 812.5 },
+  };
+  const account = recordBooking(recordBooking(EMPTY_ACCOUNT, booking), booking);
+
+  expect(account.bookings).toEqual([
+    {
+      confirmationNumber: "TSB-20261019-ABCDE",
+      bookedAt: "2026-10-19T14:00:00.000Z",
+      origin: "Miami, FL",
+      destination: "Atlanta, GA",
+      total: 812.5,
+    },
+  ]);
+});
+
+test("default accessorials switch on known keys only", () => {
+  const quote = applyDefaultAccessories(DEFAULT_QUOTE, {
+    inside: true,
+    whiteGlove: false,
+    unknown: true,
+  });
+
+  expect(quote.accessories).toEqual({
+    inside: true,
+    whiteGlove: false,
+    afterHours: false,
+  });
+});
@@ -0,0 +1,28 @@
+// src/auth/index.js
+//
+// Auth providers all expose the same calls:
+//   currentUser() -> user | null   (the session restored on page load)
+//   signIn({ email, password, role }) -> user
+//   signUp({ name, company, email, password, role }) -> user
+//     (with a role, an account without that role is rejected)
+//   signOut()
+// where a user is { id, email, name, company, role } and role is "customer"
+// or "dispatcher" (only dispatchers see the dispatch console). signIn and
+// signUp throw an Error whose message can be shown as-is when the
+// credentials are rejected. Providers with canned logins list them as
+// demoAccounts: [{ email, password, role }].
+// There is no hosted identity service yet, so every build uses the local
+// mock unless REACT_APP_AUTH_PROVIDER names another. The mock's dispatchers
+// are the emails in REACT_APP_DISPATCHER_EMAILS (comma-separated); it can't
+// verify that whoever signs up owns the email, which a hosted provider must.
+import { mockAuthProvider } from "./mockProvider";
+
+const PROVIDERS = {
+  mock: mockAuthProvider,
+};
+
+export function createAuthProvider(name) {
+  const provider = PROVIDERS[name || "mock"];
+  if (!provider) throw new Error(`Unknown auth provider "${name}"`);
+  return provider;
+}
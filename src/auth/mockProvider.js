@@ -0,0 +1,140 @@
+// src/auth/mockProvider.js
+// Accounts and the session live in this browser's localStorage so the
+// customer portal can be exercised without an identity service. Passwords
+// are stored as typed: this provider is for development and demos only.
+import { loadJSON, removeKey, saveJSON } from "../storage";
+
+const ACCOUNTS_KEY = "authAccounts";
+const SESSION_KEY = "authSession";
+
+// Canned logins so the portal and the dispatch console can be tried without
+// signing up. Production builds get none: the literals sit in a branch the
+// minifier drops, so the credentials never ship.
+export const DEMO_ACCOUNTS =
+  process.env.NODE_ENV === "production"
+    ? []
+    : [
+        {
+          id: "u-demo",
+          email: "demo@ts-logistics.com",
+          password: "demo1234",
+          name: "Demo Shipper",
+          company: "Demo Freight Co.",
+        },
+        {
+          id: "u-dispatch",
+          email: "dispatch@ts-logistics.com",
+          password: "dispatch1234",
+          name: "Demo Dispatcher",
+          company: "T&S Express Logistics",
+        },
+      ];
+
+// Who is a dispatcher comes from the build's config, never from stored
+// accounts, so editing localStorage can't grant dispatch access. Listed
+// dispatchers set their password the first time they sign up.
+export const DISPATCHER_EMAILS = [
+  ...String(process.env.REACT_APP_DISPATCHER_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean),
+  ...(process.env.NODE_ENV === "production"
+    ? []
+    : ["dispatch@ts-logistics.com"]),
+];
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+const loadAccounts = () => [...DEMO_ACCOUNTS, ...loadJSON(ACCOUNTS_KEY, [])];
+
+const roleFor = (email) =>
+  DISPATCHER_EMAILS.includes(email) ? "dispatcher" : "customer";
+
+// Any role saved with an account is ignored; see DISPATCHER_EMAILS.
+const publicUser = ({ id, email, name, company }) => ({
+  id,
+  email,
+  name,
+  company,
+  role: roleFor(email),
+});
+
+const settle = (value) =>
+  new Promise((resolve) =>
+    setTimeout(() => resolve(value), mockAuthProvider.latencyMs)
+  );
+
+const reject = (message) =>
+  new Promise((resolve, fail) =>
+    setTimeout(() => fail(new Error(message)), mockAuthProvider.latencyMs)
+  );
+
+export const mockAuthProvider = {
+  id: "mock",
+  label: "Local demo accounts (this browser)",
+  latencyMs: 300,
+  demoAccounts: DEMO_ACCOUNTS.map(({ email, password }) => ({
+    email,
+    password,
+    role: roleFor(email),
+  })),
+
+  async currentUser() {
+    const id = loadJSON(SESSION_KEY, null);
+    const account = id && loadAccounts().find((a) => a.id === id);
+    return settle(account ? publicUser(account) : null);
+  },
+
+  async signIn({ email, password, role }) {
+    const wanted = normalizeEmail(email);
+    const account = loadAccounts().find((a) => a.email === wanted);
+    if (!account || account.password !== password) {
+      return reject("That email and password don't match an account.");
+    }
+    if (role && roleFor(account.email) !== role) {
+      return reject(`That account doesn't have ${role} access.`);
+    }
+    saveJSON(SESSION_KEY, account.id);
+    return settle(publicUser(account));
+  },
+
+  async signUp({ name, company = "", email, password, role }) {
+    const wanted = normalizeEmail(email);
+    if (!String(name || "").trim()) return reject("Enter your name.");
+    if (!EMAIL_RE.test(wanted)) return reject("Enter a valid email.");
+    if (role && roleFor(wanted) !== role) {
+      return reject(`That email isn't set up for ${role} access.`);
+    }
+    if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+      return reject(
+        `Use a password of at least ${MIN_PASSWORD_LENGTH} characters.`
+      );
+    }
+    if (loadAccounts().some((a) => a.email === wanted)) {
+      return reject("An account with that email already exists.");
+    }
+    const account = {
+      id: `u-${Date.now().toString(36)}${Math.random()
+        .toString(36)
+        .slice(2, 6)}`,
+      email: wanted,
+      password,
+      name: name.trim(),
+      company: company.trim(),
+    };
+    saveJSON(ACCOUNTS_KEY, [...loadJSON(ACCOUNTS_KEY, []), account]);
+    saveJSON(SESSION_KEY, account.id);
+    return settle(publicUser(account));
+  },
+
+  async signOut() {
+    removeKey(SESSION_KEY);
+    return settle(null);
+  },
+};
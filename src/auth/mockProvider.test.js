@@ -0,0 +1,165 @@
+import {
+  DEMO_ACCOUNTS,
+  DISPATCHER_EMAILS,
+  mockAuthProvider,
+} from "./mockProvider";
+
+const isDispatcher = (a) => DISPATCHER_EMAILS.includes(a.email);
+const DEMO_ACCOUNT = DEMO_ACCOUNTS.find((a) => !isDispatcher(a));
+const DEMO_DISPATCHER = DEMO_ACCOUNTS.find(isDispatcher);
+
+beforeEach(() => {
+  window.localStorage.clear();
+  mockAuthProvider.latencyMs = 0;
+});
+
+test("signs in the demo account and restores the session", async () => {
+  const user = await mockAuthProvider.signIn({
+    email: " Demo@TS-Logistics.com ",
+    password: DEMO_ACCOUNT.password,
+  });
+
+  expect(user).toEqual({
+    id: "u-demo",
+    email: "demo@ts-logistics.com",
+    name: "Demo Shipper",
+    company: "Demo Freight Co.",
+    role: "customer",
+  });
+  expect(user).not.toHaveProperty("password");
+  expect(await mockAuthProvider.currentUser()).toEqual(user);
+
+  await mockAuthProvider.signOut();
+  expect(await mockAuthProvider.currentUser()).toBeNull();
+});
+
+test("signs in the demo dispatcher with the dispatcher role", async () => {
+  const user = await mockAuthProvider.signIn({
+    email: DEMO_DISPATCHER.email,
+    password: DEMO_DISPATCHER.password,
+  });
+
+  expect(user.role).toBe("dispatcher");
+});
+
+test("rejects a customer signing in as a dispatcher", async () => {
+  await expect(
+    mockAuthProvider.signIn({
+      email: DEMO_ACCOUNT.email,
+      password: DEMO_ACCOUNT.password,
+      role: "dispatcher",
+    })
+  ).rejects.toThrow("doesn't have dispatcher access");
+  expect(await mockAuthProvider.currentUser()).toBeNull();
+});
+
+test("rejects a wrong password", async () => {
+  await expect(
+    mockAuthProvider.signIn({ email: DEMO_ACCOUNT.email, password: "nope" })
+  ).rejects.toThrow("don't match");
+  expect(await mockAuthProvider.currentUser()).toBeNull();
+});
+
+test("signs up a new account once per email", async () => {
+  const details = {
+    name: "Ana Ruiz",
+    company: "Ruiz Imports",
+    email: "ana@ruiz.example",
+    password: "longenough",
+  };
+  const user = await mockAuthProvider.signUp(details);
+
+  expect(user.email).toBe("ana@ruiz.example");
+  expect(user.role).toBe("customer");
+  expect(await mockAuthProvider.currentUser()).toEqual(user);
+  await expect(mockAuthProvider.signUp(details)).rejects.toThrow(
+    "already exists"
+  );
+  await expect(
+    mockAuthProvider.signUp({ ...details, email: "x@y.z", password: "short" })
+  ).rejects.toThrow("at least 8");
+});
+
+test("ignores a dispatcher role written into stored accounts", async () => {
+  window.localStorage.setItem(
+    "ts-logistics:authAccounts",
+    JSON.stringify([
+      {
+        id: "u-forged",
+        email: "ana@ruiz.example",
+        password: "longenough",
+        name: "Ana Ruiz",
+        company: "",
+        role: "dispatcher",
+      },
+    ])
+  );
+  const credentials = { email: "ana@ruiz.example", password: "longenough" };
+
+  expect((await mockAuthProvider.signIn(credentials)).role).toBe("customer");
+  await expect(
+    mockAuthProvider.signIn({ ...credentials, role: "dispatcher" })
+  ).rejects.toThrow("doesn't have dispatcher access");
+});
+
+test("only lets listed emails sign up as dispatchers", async () => {
+  const details = {
+    name: "Ana Ruiz",
+    email: "ana@ruiz.example",
+    password: "longenough",
+    role: "dispatcher",
+  };
+  await expect(mockAuthProvider.signUp(details)).rejects.toThrow(
+    "isn't set up for dispatcher access"
+  );
+  expect(await mockAuthProvider.currentUser()).toBeNull();
+});
+
+describe("in a production build", () => {
+  const env = process.env;
+  let provider;
+
+  beforeEach(() => {
+    process.env = {
+      ...env,
+      NODE_ENV: "production",
+      REACT_APP_DISPATCHER_EMAILS: " Ops@TS-Logistics.com, ",
+    };
+    jest.isolateModules(() => {
+      provider = require("./mockProvider").mockAuthProvider;
+    });
+    provider.latencyMs = 0;
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test("ships no demo accounts", async () => {
+    expect(provider.demoAccounts).toEqual([]);
+    await expect(
+      provider.signIn({
+        email: DEMO_DISPATCHER.email,
+        password: DEMO_DISPATCHER.password,
+      })
+    ).rejects.toThrow("don't match");
+  });
+
+  test("provisions dispatchers from REACT_APP_DISPATCHER_EMAILS", async () => {
+    const user = await provider.signUp({
+      name: "Ops Desk",
+      email: "ops@ts-logistics.com",
+      password: "longenough",
+      role: "dispatcher",
+    });
+    expect(user.role).toBe("dispatcher");
+
+    await provider.signOut();
+    const again = await provider.signIn({
+      email: "ops@ts-logistics.com",
+      password: "longenough",
+      role: "dispatcher",
+    });
+    expect(again.id).toBe(user.id);
+  });
+});
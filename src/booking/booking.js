@@ -0,0 +1,67 @@
+// src/booking/booking.js
+// What a tender needs beyond the quote: who to call at each end, when the
+// docks are open and the references that go on the BOL.
+
+export const EMPTY_CONTACT = { company: "", name: "", phone: "", email: "" };
+
+export const EMPTY_BOOKING = {
+  shipper: EMPTY_CONTACT,
+  consignee: EMPTY_CONTACT,
+  pickupDock: { open: "08:00", close: "17:00" },
+  deliveryDock: { open: "08:00", close: "17:00" },
+  references: { po: "", bol: "", customer: "" },
+  instructions: "",
+};
+
+const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+// Same shape as quote numbers (TSQ-…) so dispatch can tell them apart.
+export function makeConfirmationNumber(now = new Date()) {
+  const day = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(
+    now.getDate()
+  )}`;
+  const suffix = Math.random().toString(36).slice(2, 7).toUpperCase();
+  return `TSB-${day}-${suffix}`;
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function contactErrors(contact, who, errors) {
+  if (!contact.company.trim()) errors[`${who}.company`] = "Enter the company.";
+  if (!contact.name.trim()) errors[`${who}.name`] = "Enter a contact name.";
+  if (contact.phone.replace(/\D/g, "").length < 10) {
+    errors[`${who}.phone`] = "Enter a 10-digit phone number.";
+  }
+  if (contact.email.trim() && !EMAIL_RE.test(contact.email.trim())) {
+    errors[`${who}.email`] = "Enter a valid email.";
+  }
+}
+
+function dockErrors(dock, key, errors) {
+  if (!dock.open || !dock.close) {
+    errors[key] = "Enter dock opening and closing times.";
+  } else if (dock.open >= dock.close) {
+    errors[key] = "Dock must close after it opens.";
+  }
+}
+
+const FIELD_LABELS = {
+  shipper: "Shipper",
+  consignee: "Consignee",
+  pickupDock: "Pickup dock hours",
+  deliveryDock: "Delivery dock hours",
+};
+
+// Returns { valid, errors: { "shipper.phone": message }, messages }.
+export function validateBooking(details) {
+  const errors = {};
+  contactErrors(details.shipper, "shipper", errors);
+  contactErrors(details.consignee, "consignee", errors);
+  dockErrors(details.pickupDock, "pickupDock", errors);
+  dockErrors(details.deliveryDock, "deliveryDock", errors);
+
+  const messages = Object.entries(errors).map(
+    ([field, msg]) => `${FIELD_LABELS[field.split(".")[0]]}: ${msg}`
+  );
+  return { valid: messages.length === 0, errors, messages };
+}
@@ -0,0 +1,43 @@
+import {
+  EMPTY_BOOKING,
+  makeConfirmationNumber,
+  validateBooking,
+} from "./booking";
+
+const contact = {
+  company: "Haulover Marine Supply",
+  name: "Dana Ortiz",
+  phone: "(305) 555-0199",
+  email: "",
+};
+
+test("formats confirmation numbers by booking date", () => {
+  expect(makeConfirmationNumber(new Date(2026, 9, 19))).toMatch(
+    /^TSB-20261019-[A-Z0-9]{5}$/
+  );
+});
+
+test("requires both contacts and sane dock hours", () => {
+  const empty = validateBooking(EMPTY_BOOKING);
+  expect(empty.valid).toBe(false);
+  expect(empty.errors["shipper.phone"]).toBe("Enter a 10-digit phone number.");
+  expect(empty.messages).toContain("Consignee: Enter the company.");
+
+  const booking = {
+    ...EMPTY_BOOKING,
+    shipper: contact,
+    consignee: { ...contact, email: "dock@example" },
+    deliveryDock: { open: "15:00", close: "09:00" },
+  };
+  expect(validateBooking(booking).errors).toEqual({
+    "consignee.email": "Enter a valid email.",
+    deliveryDock: "Dock must close after it opens.",
+  });
+  expect(
+    validateBooking({
+      ...booking,
+      consignee: contact,
+      deliveryDock: EMPTY_BOOKING.deliveryDock,
+    }).valid
+  ).toBe(true);
+});
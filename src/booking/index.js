@@ -0,0 +1,24 @@
+// src/booking/index.js
+//
+// Booking backends all expose the same calls:
+//   submitBooking({ details, quote, estimate, payment, documents })
+//     -> { confirmationNumber, status, bookedAt, details, quote, estimate,
+//          payment, documents }
+// documents come from src/documents.js; the returned booking lists them as
+// { name, type, size, kind }. Backends don't deliver the files: the booking
+// flow sends them to dispatch through the contact adapter.
+//   getBooking(confirmationNumber) -> booking | null
+//   listBookings() -> [booking], newest first
+// The quote and estimate are stored as submitted, so a confirmation always
+// shows what the customer agreed to even if the rate card changes later.
+import { localBookingBackend } from "./localBackend";
+
+const BACKENDS = {
+  local: localBookingBackend,
+};
+
+export function createBookingBackend(name) {
+  const backend = BACKENDS[name || "local"];
+  if (!backend) throw new Error(`Unknown booking backend "${name}"`);
+  return backend;
+}
@@ -0,0 +1,55 @@
+// src/booking/localBackend.js
+// Keeps bookings in this browser so the flow works without a TMS behind it.
+import { loadJSON, saveJSON } from "../storage";
+import { makeConfirmationNumber } from "./booking";
+import { documentMeta } from "../documents";
+
+const STORAGE_KEY = "bookings";
+
+const settle = (value) =>
+  new Promise((resolve) =>
+    setTimeout(() => resolve(value), localBookingBackend.latencyMs)
+  );
+
+export const localBookingBackend = {
+  id: "local",
+  label: "Local bookings (this browser)",
+  latencyMs: 300,
+
+  async submitBooking({
+    details,
+    quote,
+    estimate,
+    payment = null,
+    documents = [],
+  }) {
+    const booking = {
+      confirmationNumber: makeConfirmationNumber(),
+      status: "booked",
+      bookedAt: new Date().toISOString(),
+      details,
+      quote,
+      estimate,
+      payment,
+      // The record keeps what was attached; BookingFlow sends the files to
+      // dispatch through the contact adapter.
+      documents: documents.map(documentMeta),
+    };
+    saveJSON(STORAGE_KEY, [booking, ...loadJSON(STORAGE_KEY, [])]);
+    return settle(booking);
+  },
+
+  async getBooking(confirmationNumber) {
+    const wanted = String(confirmationNumber || "")
+      .trim()
+      .toUpperCase();
+    const found = loadJSON(STORAGE_KEY, []).find(
+      (b) => b.confirmationNumber === wanted
+    );
+    return settle(found || null);
+  },
+
+  async listBookings() {
+    return settle(loadJSON(STORAGE_KEY, []));
+  },
+};
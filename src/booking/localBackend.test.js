@@ -0,0 +1,27 @@
+import { localBookingBackend as backend } from "./localBackend";
+import { EMPTY_BOOKING } from "./booking";
+
+beforeAll(() => {
+  backend.latencyMs = 0;
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test("stores bookings and finds them by confirmation number", async () => {
+  const booking = await backend.submitBooking({
+    details: EMPTY_BOOKING,
+    quote: { origin: "Miami, FL", destination: "Orlando, FL" },
+    estimate: { total: 812.4 },
+  });
+  expect(booking.status).toBe("booked");
+  expect(booking.payment).toBeNull();
+
+  const found = await backend.getBooking(
+    ` ${booking.confirmationNumber.toLowerCase()} `
+  );
+  expect(found.estimate.total).toBe(812.4);
+  expect(await backend.getBooking("TSB-00000000-XXXXX")).toBeNull();
+  expect(await backend.listBookings()).toHaveLength(1);
+});
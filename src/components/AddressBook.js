@@ -0,0 +1,228 @@
+// src/components/AddressBook.js
+import React, { useState } from "react";
+import { ADDRESS_ROLES, EMPTY_ADDRESS, validateAddress } from "../account";
+import PlaceInput from "./PlaceInput";
+import { FieldError, Input } from "./ui";
+
+const roleLabel = (key) => ADDRESS_ROLES.find((r) => r.key === key).label;
+
+function AddressForm({ initial, providers, onSave, onCancel }) {
+  const [entry, setEntry] = useState(initial);
+  const [submitted, setSubmitted] = useState(false);
+  const check = validateAddress(entry);
+  const errors = submitted ? check.errors : {};
+  const set = (field) => (e) =>
+    setEntry((a) => ({ ...a, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (check.valid) onSave(entry);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="space-y-2 rounded-2xl border border-neutral-200 bg-neutral-50 p-3"
+    >
+      <div className="grid gap-2 sm:grid-cols-[auto_minmax(0,1fr)]">
+        <select
+          value={entry.role}
+          onChange={set("role")}
+          aria-label="Address type"
+          className="rounded-xl border border-neutral-300 bg-white px-3 py-3 text-sm outline-none focus:border-neutral-900"
+        >
+          {ADDRESS_ROLES.map((r) => (
+            <option key={r.key} value={r.key}>
+              {r.label}
+            </option>
+          ))}
+        </select>
+        <div>
+          <Input
+            placeholder="Company or site name"
+            aria-label="Company or site name"
+            value={entry.company}
+            onChange={set("company")}
+          />
+          <FieldError message={errors.company} />
+        </div>
+      </div>
+      <div>
+        <PlaceInput
+          placeholder="City, ST or ZIP"
+          aria-label="Address"
+          value={entry.address}
+          place={entry.place}
+          providers={providers}
+          onChange={(address) => setEntry((a) => ({ ...a, address }))}
+          onSelect={(place) => setEntry((a) => ({ ...a, place }))}
+        />
+        <FieldError message={errors.address} />
+      </div>
+      <div className="grid gap-2 sm:grid-cols-2">
+        <Input
+          placeholder="Dock contact (optional)"
+          aria-label="Dock contact"
+          value={entry.contactName}
+          onChange={set("contactName")}
+        />
+        <div>
+          <Input
+            type="tel"
+            placeholder="Phone (optional)"
+            aria-label="Phone"
+            value={entry.phone}
+            onChange={set("phone")}
+          />
+          <FieldError message={errors.phone} />
+        </div>
+      </div>
+      <textarea
+        rows={2}
+        value={entry.dockNotes}
+        onChange={set("dockNotes")}
+        placeholder="Dock notes: door, hours, appointment rules (optional)"
+        aria-label="Dock notes"
+        className="w-full rounded-xl border border-neutral-300 bg-white px-4 py-3 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200"
+      />
+      <div className="flex gap-3 text-xs font-medium">
+        <button
+          type="submit"
+          className="primary-btn rounded-full px-4 py-1.5 text-white"
+        >
+          Save address
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-neutral-500 hover:underline"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// The customer's shippers and consignees, with dock notes that follow the
+// address into the estimate.
+export default function AddressBook({
+  addresses,
+  providers,
+  onSave,
+  onRemove,
+}) {
+  // null, "new", or the id of the entry being edited.
+  const [editing, setEditing] = useState(null);
+
+  const save = (entry) => {
+    onSave(entry);
+    setEditing(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      {addresses.length === 0 && editing !== "new" && (
+        <p className="text-sm text-neutral-500">
+          No saved addresses yet. Add the docks you ship from and deliver to and
+          pick them straight into the Instant Estimate.
+        </p>
+      )}
+      <ul className="divide-y divide-neutral-100 text-sm">
+        {addresses.map((entry) =>
+          editing === entry.id ? (
+            <li key={entry.id} className="py-2">
+              <AddressForm
+                initial={entry}
+                providers={providers}
+                onSave={save}
+                onCancel={() => setEditing(null)}
+              />
+            </li>
+          ) : (
+            <li
+              key={entry.id}
+              className="flex flex-wrap items-start justify-between gap-3 py-2"
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-slate-900">
+                  {entry.company}{" "}
+                  <span className="ml-1 rounded-full bg-neutral-100 px-2 py-0.5 text-[10px] font-medium uppercase tracking-wide text-neutral-500">
+                    {roleLabel(entry.role)}
+                  </span>
+                </p>
+                <p className="text-xs text-neutral-600">{entry.address}</p>
+                {(entry.contactName || entry.phone) && (
+                  <p className="text-xs text-neutral-500">
+                    {[entry.contactName, entry.phone]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                )}
+                {entry.dockNotes && (
+                  <p className="text-xs text-neutral-500">{entry.dockNotes}</p>
+                )}
+              </div>
+              <div className="flex gap-1 text-[11px] font-medium">
+                <button
+                  type="button"
+                  onClick={() => setEditing(entry.id)}
+                  className="rounded-full border border-neutral-200 px-3 py-1 hover:bg-neutral-50"
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemove(entry.id)}
+                  className="rounded-full border border-neutral-200 px-3 py-1 text-red-500 hover:bg-red-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          )
+        )}
+      </ul>
+      {editing === "new" ? (
+        <AddressForm
+          initial={EMPTY_ADDRESS}
+          providers={providers}
+          onSave={save}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <button
+          type="button"
+          onClick={() => setEditing("new")}
+          className="rounded-full border border-neutral-200 px-4 py-1.5 text-xs font-medium hover:bg-neutral-50"
+        >
+          Add address
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Dropdown above the lane fields; picking an entry fills that end.
+export function AddressPicker({ label, addresses, onPick }) {
+  return (
+    <select
+      value=""
+      onChange={(e) => {
+        const entry = addresses.find((a) => a.id === e.target.value);
+        if (entry) onPick(entry);
+      }}
+      aria-label={label}
+      className="w-full rounded-xl border border-neutral-200 bg-neutral-50 px-3 py-2 text-xs text-neutral-700 outline-none focus:border-neutral-900"
+    >
+      <option value="">{label}…</option>
+      {addresses.map((a) => (
+        <option key={a.id} value={a.id}>
+          {a.company} — {a.address} ({roleLabel(a.role)})
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,130 @@
+// src/components/BookingConfirmation.js
+import React from "react";
+import { formatDate } from "../dates";
+import { fuelLabel } from "../fuelSurcharge";
+import { DOCUMENT_KINDS, formatBytes } from "../documents";
+
+const money = (n) =>
+  `${n < 0 ? "−" : ""}$${Math.abs(Number(n || 0)).toFixed(2)}`;
+
+const Contact = ({ title, contact }) => (
+  <div>
+    <p className="text-xs font-semibold uppercase tracking-wide text-neutral-500">
+      {title}
+    </p>
+    <p className="font-medium text-slate-900">{contact.company}</p>
+    <p>{contact.name}</p>
+    <p>{contact.phone}</p>
+    {contact.email && <p>{contact.email}</p>}
+  </div>
+);
+
+// The booked load exactly as submitted: contacts, docks, references and the
+// quote snapshot that was priced at booking time.
+export default function BookingConfirmation({ booking, children }) {
+  const { details, quote, estimate, payment, documents = [] } = booking;
+  const refs = [
+    ["PO #", details.references.po],
+    ["BOL #", details.references.bol],
+    ["Customer ref", details.references.customer],
+  ].filter(([, v]) => v && v.trim());
+
+  return (
+    <div className="space-y-5 text-sm text-neutral-700">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-[0.18em] text-emerald-600">
+            Load booked
+          </p>
+          <p className="mt-1 text-2xl font-semibold text-slate-900">
+            {booking.confirmationNumber}
+          </p>
+          <p className="text-xs text-neutral-500">
+            Booked {new Date(booking.bookedAt).toLocaleString()}. Dispatch will
+            confirm the driver and pickup window; use this number to{" "}
+            <a href="#tracking" className="underline">
+              track the load
+            </a>
+            .
+          </p>
+        </div>
+        {children}
+      </div>
+
+      <div>
+        <p className="font-medium text-slate-900">
+          {quote.origin} → {quote.destination}
+        </p>
+        <p className="text-xs text-neutral-500">
+          {estimate.dist} mi · {quote.weight} lbs · {quote.pallets} pallets
+          {estimate.vehicle && ` · ${estimate.vehicle.label}`} ·{" "}
+          {quote.urgency === "expedited" ? "Expedited" : "Standard"}
+        </p>
+        <p className="text-xs text-neutral-500">
+          Pickup {formatDate(quote.pickupDate)} ({details.pickupDock.open}–
+          {details.pickupDock.close}) · Delivery{" "}
+          {formatDate(quote.deliveryDate)} ({details.deliveryDock.open}–
+          {details.deliveryDock.close})
+        </p>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <Contact title="Shipper" contact={details.shipper} />
+        <Contact title="Consignee" contact={details.consignee} />
+      </div>
+
+      {(refs.length > 0 || details.instructions) && (
+        <div className="text-xs">
+          {refs.map(([label, value]) => (
+            <p key={label}>
+              <span className="font-medium">{label}:</span> {value}
+            </p>
+          ))}
+          {details.instructions && (
+            <p className="mt-1 whitespace-pre-wrap">{details.instructions}</p>
+          )}
+        </div>
+      )}
+
+      {documents.length > 0 && (
+        <div className="text-xs">
+          <p className="font-medium">Documents</p>
+          <ul className="mt-1 space-y-0.5 text-neutral-600">
+            {documents.map((doc) => (
+              <li key={doc.name}>
+                {doc.name} · {DOCUMENT_KINDS[doc.kind]} ·{" "}
+                {formatBytes(doc.size)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-1 border-t border-neutral-100 pt-3">
+        {estimate.lineItems
+          .filter((item) => item.amount !== 0)
+          .map((item) => (
+            <div key={item.key} className="flex justify-between gap-3">
+              <span>{item.label}</span>
+              <span className="shrink-0">{money(item.amount)}</span>
+            </div>
+          ))}
+        <div className="flex justify-between gap-3">
+          <span>{fuelLabel(estimate)}</span>
+          <span className="shrink-0">{money(estimate.fuelAmount)}</span>
+        </div>
+        <div className="flex justify-between border-t border-neutral-200 pt-2 text-base font-semibold text-slate-900">
+          <span>Booked total</span>
+          <span>{money(estimate.total)}</span>
+        </div>
+        <p className="text-xs text-neutral-500">
+          {payment
+            ? `Paid ${money(payment.amount)} with ${payment.brand} ending in ${
+                payment.last4
+              } (ref ${payment.intentId}).`
+            : "Payment pending: dispatch will send a payment link."}
+        </p>
+      </div>
+    </div>
+  );
+}
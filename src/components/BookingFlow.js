@@ -0,0 +1,365 @@
+// src/components/BookingFlow.js
+import React, { useState } from "react";
+import { EMPTY_BOOKING, validateBooking } from "../booking/booking";
+import { inquiryFromBooking } from "../contact/inquiry";
+import BookingConfirmation from "./BookingConfirmation";
+import { FieldError, Input } from "./ui";
+import DocumentUploader from "./DocumentUploader";
+
+function ContactFields({ title, value, errors, onChange }) {
+  const set = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+  return (
+    <fieldset className="space-y-2">
+      <legend className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
+        {title}
+      </legend>
+      <div>
+        <Input
+          placeholder="Company"
+          aria-label={`${title} company`}
+          value={value.company}
+          onChange={set("company")}
+        />
+        <FieldError message={errors.company} />
+      </div>
+      <div>
+        <Input
+          placeholder="Contact name"
+          aria-label={`${title} contact name`}
+          value={value.name}
+          onChange={set("name")}
+        />
+        <FieldError message={errors.name} />
+      </div>
+      <div className="grid gap-2 sm:grid-cols-2">
+        <div>
+          <Input
+            type="tel"
+            placeholder="Phone"
+            aria-label={`${title} phone`}
+            value={value.phone}
+            onChange={set("phone")}
+          />
+          <FieldError message={errors.phone} />
+        </div>
+        <div>
+          <Input
+            type="email"
+            placeholder="Email (optional)"
+            aria-label={`${title} email`}
+            value={value.email}
+            onChange={set("email")}
+          />
+          <FieldError message={errors.email} />
+        </div>
+      </div>
+    </fieldset>
+  );
+}
+
+function DockHours({ title, value, error, onChange }) {
+  const set = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+  return (
+    <div>
+      <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
+        {title}
+      </p>
+      <div className="flex items-center gap-2">
+        <Input
+          type="time"
+          aria-label={`${title} open`}
+          value={value.open}
+          onChange={set("open")}
+        />
+        <span className="text-xs text-neutral-500">to</span>
+        <Input
+          type="time"
+          aria-label={`${title} close`}
+          value={value.close}
+          onChange={set("close")}
+        />
+      </div>
+      <FieldError message={error} />
+    </div>
+  );
+}
+
+// "Book this load": collects what dispatch needs to tender the load, submits
+// it through the booking backend and shows the confirmation. The backend
+// keeps only what was attached; the files themselves go to dispatch through
+// the contact adapter.
+export default function BookingFlow({
+  backend,
+  contact,
+  quote,
+  estimate,
+  validation,
+  payment,
+  onBlocked,
+  onBooked,
+}) {
+  const [stage, setStage] = useState("closed");
+  const [details, setDetails] = useState(EMPTY_BOOKING);
+  const [documents, setDocuments] = useState([]);
+  const [submitted, setSubmitted] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [booking, setBooking] = useState(null);
+  const [documentsStatus, setDocumentsStatus] = useState("idle");
+
+  const check = validateBooking(details);
+  const errors = submitted ? check.errors : {};
+  const scoped = (prefix) =>
+    Object.fromEntries(
+      Object.entries(errors)
+        .filter(([k]) => k.startsWith(`${prefix}.`))
+        .map(([k, v]) => [k.slice(prefix.length + 1), v])
+    );
+  const set = (key) => (value) => setDetails((d) => ({ ...d, [key]: value }));
+
+  const open = () => {
+    if (!validation.valid || !estimate) {
+      onBlocked();
+      return;
+    }
+    setStage("form");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (!check.valid || submitting) return;
+    if (!validation.valid || !estimate) {
+      onBlocked();
+      return;
+    }
+    setSubmitting(true);
+    setError("");
+    try {
+      const result = await backend.submitBooking({
+        details,
+        quote,
+        estimate,
+        payment,
+        documents,
+      });
+      setBooking(result);
+      setStage("confirmed");
+      onBooked(result);
+      if (documents.length > 0) sendDocuments(result);
+    } catch (err) {
+      console.error("[booking]", err);
+      setError("We couldn't submit the booking. Try again or call dispatch.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const sendDocuments = async (booked) => {
+    setDocumentsStatus("sending");
+    try {
+      await contact.submit(inquiryFromBooking(booked, documents));
+      setDocumentsStatus("sent");
+    } catch (err) {
+      console.error("[booking] documents", err);
+      setDocumentsStatus("error");
+    }
+  };
+
+  const startOver = () => {
+    setStage("closed");
+    setDetails(EMPTY_BOOKING);
+    setDocuments([]);
+    setSubmitted(false);
+    setBooking(null);
+    setDocumentsStatus("idle");
+  };
+
+  const card =
+    "mx-auto mt-6 max-w-5xl rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]";
+
+  if (stage === "confirmed") {
+    return (
+      <div id="booking-confirmation" className={card}>
+        <BookingConfirmation booking={booking}>
+          <div className="max-w-xs space-y-2 text-xs">
+            <div className="flex gap-2 font-medium">
+              <button
+                type="button"
+                onClick={() => window.print()}
+                className="rounded-full border border-neutral-200 px-4 py-1.5 hover:bg-neutral-50"
+              >
+                Print
+              </button>
+              <button
+                type="button"
+                onClick={startOver}
+                disabled={documentsStatus === "sending"}
+                className="rounded-full border border-neutral-200 px-4 py-1.5 hover:bg-neutral-50 disabled:opacity-50"
+              >
+                Book another load
+              </button>
+            </div>
+            {documentsStatus === "sending" && (
+              <p className="text-neutral-500">
+                Sending your documents to dispatch…
+              </p>
+            )}
+            {documentsStatus === "sent" && (
+              <p className="text-emerald-700">
+                Your documents reached dispatch.
+              </p>
+            )}
+            {documentsStatus === "error" && (
+              <div role="alert" className="space-y-1 font-medium text-red-500">
+                <p>
+                  The load is booked, but your documents didn't reach dispatch.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => sendDocuments(booking)}
+                  className="rounded-full border border-red-200 px-3 py-1 hover:bg-red-50"
+                >
+                  Send documents again
+                </button>
+              </div>
+            )}
+          </div>
+        </BookingConfirmation>
+      </div>
+    );
+  }
+
+  if (stage === "closed") {
+    return (
+      <div className="mx-auto mt-6 flex max-w-5xl flex-wrap items-center justify-between gap-3 rounded-3xl border border-white/70 bg-white/95 px-6 py-4 shadow-[0_18px_50px_rgba(15,23,42,0.12)]">
+        <p className="text-sm text-neutral-700">
+          Ready to move it? Book the load and dispatch will lock in a driver.
+        </p>
+        <button
+          type="button"
+          onClick={open}
+          aria-disabled={!validation.valid || !estimate}
+          className="primary-btn rounded-full px-5 py-2 text-sm font-medium text-white aria-disabled:cursor-not-allowed aria-disabled:opacity-50"
+        >
+          Book this load
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className={`${card} space-y-5`}>
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">Book this load</h3>
+        <p className="text-xs text-neutral-500">
+          {quote.origin} → {quote.destination} · $
+          {estimate ? estimate.total.toFixed(2) : "—"}
+        </p>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <ContactFields
+          title="Shipper"
+          value={details.shipper}
+          errors={scoped("shipper")}
+          onChange={set("shipper")}
+        />
+        <ContactFields
+          title="Consignee"
+          value={details.consignee}
+          errors={scoped("consignee")}
+          onChange={set("consignee")}
+        />
+        <DockHours
+          title="Pickup dock hours"
+          value={details.pickupDock}
+          error={errors.pickupDock}
+          onChange={set("pickupDock")}
+        />
+        <DockHours
+          title="Delivery dock hours"
+          value={details.deliveryDock}
+          error={errors.deliveryDock}
+          onChange={set("deliveryDock")}
+        />
+      </div>
+
+      <div>
+        <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
+          Reference numbers
+        </p>
+        <div className="grid gap-2 sm:grid-cols-3">
+          {[
+            ["po", "PO #"],
+            ["bol", "BOL #"],
+            ["customer", "Customer ref"],
+          ].map(([key, label]) => (
+            <Input
+              key={key}
+              placeholder={label}
+              aria-label={label}
+              value={details.references[key]}
+              onChange={(e) =>
+                set("references")({
+                  ...details.references,
+                  [key]: e.target.value,
+                })
+              }
+            />
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500">
+          Documents (optional)
+        </p>
+        <DocumentUploader documents={documents} onChange={setDocuments} />
+      </div>
+
+      <textarea
+        rows={3}
+        value={details.instructions}
+        onChange={(e) => set("instructions")(e.target.value)}
+        placeholder="Dock, appointment or handling instructions (optional)"
+        aria-label="Booking instructions"
+        className="w-full rounded-xl border border-neutral-300 bg-white px-4 py-3 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200"
+      />
+
+      {submitted && !check.valid && (
+        <p role="alert" className="text-xs font-medium text-red-500">
+          Fix {check.messages.length}{" "}
+          {check.messages.length === 1 ? "field" : "fields"} above to book.
+        </p>
+      )}
+      {error && (
+        <p role="alert" className="text-xs font-medium text-red-500">
+          {error}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="primary-btn rounded-full px-5 py-2 text-sm font-medium text-white disabled:opacity-60"
+        >
+          {submitting ? "Booking…" : "Confirm booking"}
+        </button>
+        <button
+          type="button"
+          onClick={() => setStage("closed")}
+          className="text-xs font-medium text-neutral-500 hover:underline"
+        >
+          Cancel
+        </button>
+        <p className="text-xs text-neutral-500">
+          {payment
+            ? `Paid with ${payment.brand} ending in ${payment.last4}.`
+            : "No payment yet: dispatch will send a payment link."}
+        </p>
+      </div>
+    </form>
+  );
+}
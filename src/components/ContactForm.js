@@ -0,0 +1,255 @@
+// src/components/ContactForm.js
+import React, { useState } from "react";
+import {
+  EMPTY_INQUIRY,
+  inquiryFromQuote,
+  isSpam,
+  loadSubmissionTimes,
+  rateLimitWait,
+  recordSubmission,
+  saveSubmissionTimes,
+  validateInquiry,
+} from "../contact/inquiry";
+import { FieldError, Input } from "./ui";
+import DocumentUploader from "./DocumentUploader";
+
+const Label = ({ children }) => (
+  <span className="mb-1 block text-xs font-medium uppercase tracking-wide text-neutral-500">
+    {children}
+  </span>
+);
+
+export default function ContactForm({ adapter, quote, onSubmitted }) {
+  const [inquiry, setInquiry] = useState(() =>
+    inquiryFromQuote(EMPTY_INQUIRY, quote)
+  );
+  const [submitted, setSubmitted] = useState(false);
+  const [status, setStatus] = useState("idle");
+  const [message, setMessage] = useState("");
+  const [reference, setReference] = useState(null);
+
+  const check = validateInquiry(inquiry);
+  const errors = submitted ? check.errors : {};
+  const sending = status === "sending";
+
+  const field = (name) => ({
+    name,
+    value: inquiry[name],
+    onChange: (e) => setInquiry((q) => ({ ...q, [name]: e.target.value })),
+    "aria-invalid": Boolean(errors[name]),
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (!check.valid || sending) return;
+
+    // Bots get the same success screen, but nothing is sent.
+    if (isSpam(inquiry)) {
+      setStatus("sent");
+      return;
+    }
+
+    const times = loadSubmissionTimes();
+    const wait = rateLimitWait(times);
+    if (wait > 0) {
+      setStatus("error");
+      setMessage(
+        `You've sent several requests in a row. Try again in ${Math.ceil(
+          wait / 60000
+        )} min, or call dispatch.`
+      );
+      return;
+    }
+
+    setStatus("sending");
+    setMessage("");
+    try {
+      const result = await adapter.submit(inquiry);
+      saveSubmissionTimes(recordSubmission(times));
+      setReference(result.reference);
+      setStatus("sent");
+      onSubmitted(inquiry, result);
+    } catch (err) {
+      console.error("[contact]", err);
+      setStatus("error");
+      setMessage(
+        "We couldn't send your request. Check your connection and try again."
+      );
+    }
+  };
+
+  const startOver = () => {
+    setInquiry(inquiryFromQuote(EMPTY_INQUIRY, quote));
+    setSubmitted(false);
+    setStatus("idle");
+    setReference(null);
+  };
+
+  const card =
+    "mx-auto max-w-3xl space-y-4 rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]";
+
+  if (status === "sent") {
+    return (
+      <div className={card} role="status">
+        <h3 className="text-lg font-semibold text-slate-900">
+          Dispatch has your load details
+        </h3>
+        <p className="text-sm text-neutral-600">
+          We'll reply to {inquiry.email || "you"} shortly
+          {reference ? ` (reference ${reference})` : ""}. For same-day moves,
+          call us as well.
+        </p>
+        <button
+          type="button"
+          onClick={startOver}
+          className="rounded-full border border-neutral-200 px-4 py-1.5 text-xs font-medium hover:bg-neutral-50"
+        >
+          Send another request
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className={card}>
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">
+          Send load details
+        </h3>
+        <button
+          type="button"
+          onClick={() => setInquiry((q) => inquiryFromQuote(q, quote))}
+          className="text-xs font-medium text-neutral-600 underline hover:text-neutral-900"
+        >
+          Fill from my estimate
+        </button>
+      </div>
+      <p className="text-sm text-neutral-600">
+        Share your lane, pickup window, and any special handling. Dispatch
+        replies by email, usually within the hour.
+      </p>
+
+      <div className="grid gap-3 md:grid-cols-2">
+        <div>
+          <Input placeholder="Your name" aria-label="Name" {...field("name")} />
+          <FieldError message={errors.name} />
+        </div>
+        <div>
+          <Input
+            type="email"
+            placeholder="Email"
+            aria-label="Email"
+            {...field("email")}
+          />
+          <FieldError message={errors.email} />
+        </div>
+        <Input
+          type="tel"
+          placeholder="Phone (optional)"
+          aria-label="Phone"
+          {...field("phone")}
+        />
+        <Input
+          placeholder="Company (optional)"
+          aria-label="Company"
+          {...field("company")}
+        />
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-2">
+        <label>
+          <Label>Pickup</Label>
+          <Input placeholder="City, ST" {...field("origin")} />
+          <FieldError message={errors.origin} />
+        </label>
+        <label>
+          <Label>Delivery</Label>
+          <Input placeholder="City, ST" {...field("destination")} />
+          <FieldError message={errors.destination} />
+        </label>
+      </div>
+
+      <div>
+        <Label>Pickup window</Label>
+        <div className="grid gap-3 sm:grid-cols-3">
+          <Input
+            type="date"
+            aria-label="Pickup date"
+            {...field("pickupDate")}
+          />
+          <Input
+            type="time"
+            aria-label="Pickup window start"
+            {...field("pickupFrom")}
+          />
+          <Input
+            type="time"
+            aria-label="Pickup window end"
+            {...field("pickupTo")}
+          />
+        </div>
+        <FieldError message={errors.pickupWindow} />
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-2">
+        <label>
+          <Label>Pallets</Label>
+          <Input type="number" min="1" {...field("pallets")} />
+          <FieldError message={errors.pallets} />
+        </label>
+        <label>
+          <Label>Weight (lbs)</Label>
+          <Input type="number" min="1" {...field("weight")} />
+          <FieldError message={errors.weight} />
+        </label>
+      </div>
+
+      <textarea
+        rows={4}
+        aria-label="Message"
+        className="w-full rounded-xl border border-neutral-300 bg-white px-4 py-3 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200"
+        placeholder="Special handling, dock details, accessorials…"
+        {...field("message")}
+      />
+
+      <div>
+        <Label>Documents (optional)</Label>
+        <DocumentUploader
+          documents={inquiry.attachments}
+          onChange={(attachments) => setInquiry((q) => ({ ...q, attachments }))}
+        />
+      </div>
+
+      {/* Honeypot: off-screen and skipped by keyboard and screen readers. */}
+      <div
+        aria-hidden="true"
+        className="absolute -left-[9999px] h-0 w-0 overflow-hidden"
+      >
+        <label>
+          Website
+          <input
+            type="text"
+            tabIndex={-1}
+            autoComplete="off"
+            {...field("website")}
+          />
+        </label>
+      </div>
+
+      {status === "error" && (
+        <p role="alert" className="text-xs font-medium text-red-500">
+          {message}
+        </p>
+      )}
+
+      <button
+        type="submit"
+        disabled={sending}
+        className="primary-btn w-full rounded-full px-5 py-3 text-sm font-medium text-white disabled:opacity-60"
+      >
+        {sending ? "Sending…" : "Submit to Dispatch"}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,67 @@
+// src/components/CoverageMap.js
+import React from "react";
+import {
+  CircleMarker,
+  MapContainer,
+  Popup,
+  Rectangle,
+  TileLayer,
+} from "react-leaflet";
+import { coverageRegions, regionBounds } from "../coverage";
+
+// Shading uses state bounding boxes, so edges are approximate; the key-city
+// markers are exact.
+export default function CoverageMap() {
+  return (
+    <MapContainer
+      center={[39, -98]}
+      zoom={3}
+      scrollWheelZoom={false}
+      attributionControl={false}
+      className="h-full w-full"
+    >
+      <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+      {coverageRegions.map((region) => (
+        <React.Fragment key={region.id}>
+          {regionBounds(region).map(({ state, bounds }) => (
+            <Rectangle
+              key={state}
+              bounds={bounds}
+              pathOptions={{
+                stroke: false,
+                fillColor: region.color,
+                fillOpacity: region.partnerNetwork ? 0.08 : 0.15,
+              }}
+            />
+          ))}
+          {region.keyCities.map((c) => (
+            <CircleMarker
+              key={`${c.city}-${c.state}`}
+              center={[c.lat, c.lon]}
+              radius={5}
+              pathOptions={{
+                color: "#fff",
+                weight: 1.5,
+                fillColor: region.color,
+                fillOpacity: 1,
+                dashArray: region.partnerNetwork ? "2 2" : undefined,
+              }}
+            >
+              <Popup>
+                <div className="text-xs">
+                  <div className="font-semibold">
+                    {c.city}, {c.state}
+                  </div>
+                  <div>
+                    {region.name}
+                    {region.partnerNetwork && " · partner network"}
+                  </div>
+                </div>
+              </Popup>
+            </CircleMarker>
+          ))}
+        </React.Fragment>
+      ))}
+    </MapContainer>
+  );
+}
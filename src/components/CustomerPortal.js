@@ -0,0 +1,408 @@
+// src/components/CustomerPortal.js
+import React, { useEffect, useState } from "react";
+import { removeAddress, removeSavedQuote, upsertAddress } from "../account";
+import { TRACKING_STEPS } from "../tracking/tracking";
+import AddressBook from "./AddressBook";
+import { Input } from "./ui";
+
+const TABS = [
+  ["addresses", "Address book"],
+  ["quotes", "Saved quotes"],
+  ["loads", "Booked loads"],
+  ["defaults", "Default accessorials"],
+];
+
+const formatDay = (iso) =>
+  new Date(iso).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const statusLabel = (key) =>
+  (TRACKING_STEPS.find((s) => s.key === key) || {}).label || "Unknown";
+
+// Shared by the portal and the dispatch console. Accounts are created as
+// customers, so sign-up is only offered for the customer role; any other
+// role is required of the account at sign-in.
+export function SignIn({ auth, role = "customer", onSignedIn }) {
+  const [mode, setMode] = useState("signIn");
+  const [form, setForm] = useState({
+    name: "",
+    company: "",
+    email: "",
+    password: "",
+  });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const set = (field) => (e) =>
+    setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    setBusy(true);
+    setError("");
+    // Customers can reach the portal with any account; other roles are
+    // checked by the provider.
+    const roleCheck = role !== "customer" && { role };
+    try {
+      const user =
+        mode === "signIn"
+          ? await auth.signIn({
+              email: form.email,
+              password: form.password,
+              ...roleCheck,
+            })
+          : await auth.signUp({ ...form, ...roleCheck });
+      onSignedIn(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="mx-auto max-w-md space-y-3 rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]"
+    >
+      <h3 className="text-lg font-semibold text-slate-900">
+        {mode === "signIn" ? "Sign in" : "Create an account"}
+      </h3>
+      {role === "dispatcher" && (
+        <p className="text-xs text-neutral-500">
+          {mode === "signIn"
+            ? "The dispatch console needs a dispatcher account."
+            : "Use the work email dispatch access was set up for."}
+        </p>
+      )}
+      {mode === "signUp" && (
+        <div className="grid gap-2 sm:grid-cols-2">
+          <Input
+            placeholder="Your name"
+            aria-label="Your name"
+            autoComplete="name"
+            value={form.name}
+            onChange={set("name")}
+          />
+          <Input
+            placeholder="Company (optional)"
+            aria-label="Company"
+            autoComplete="organization"
+            value={form.company}
+            onChange={set("company")}
+          />
+        </div>
+      )}
+      <Input
+        type="email"
+        placeholder="Email"
+        aria-label="Email"
+        autoComplete="email"
+        value={form.email}
+        onChange={set("email")}
+      />
+      <Input
+        type="password"
+        placeholder="Password"
+        aria-label="Password"
+        autoComplete={mode === "signIn" ? "current-password" : "new-password"}
+        value={form.password}
+        onChange={set("password")}
+      />
+      {error && (
+        <p role="alert" className="text-xs font-medium text-red-500">
+          {error}
+        </p>
+      )}
+      <button
+        type="submit"
+        disabled={busy}
+        className="primary-btn w-full rounded-full px-5 py-2 text-sm font-medium text-white disabled:opacity-60"
+      >
+        {busy
+          ? "One moment…"
+          : mode === "signIn"
+          ? "Sign in"
+          : "Create account"}
+      </button>
+      <p className="text-center text-xs text-neutral-500">
+        {mode === "signIn" ? "New here? " : "Already have an account? "}
+        <button
+          type="button"
+          onClick={() => {
+            setMode(mode === "signIn" ? "signUp" : "signIn");
+            setError("");
+          }}
+          className="font-medium text-neutral-900 underline"
+        >
+          {mode === "signIn" ? "Create an account" : "Sign in"}
+        </button>
+      </p>
+      {(auth.demoAccounts || [])
+        .filter((demo) => demo.role === role)
+        .map((demo) => (
+          <p
+            key={demo.email}
+            className="text-center text-[11px] text-neutral-500"
+          >
+            Demo: {demo.email} / {demo.password}
+          </p>
+        ))}
+    </form>
+  );
+}
+
+function SavedQuotes({ entries, canSave, onSave, onLoad, onRemove }) {
+  return (
+    <div className="space-y-3">
+      <button
+        type="button"
+        onClick={onSave}
+        disabled={!canSave}
+        className="rounded-full border border-neutral-200 px-4 py-1.5 text-xs font-medium hover:bg-neutral-50 disabled:opacity-50"
+      >
+        Save current estimate
+      </button>
+      {entries.length === 0 ? (
+        <p className="text-sm text-neutral-500">
+          Quotes you save to your account show up here on any visit.
+        </p>
+      ) : (
+        <ul className="divide-y divide-neutral-100 text-sm">
+          {entries.map((entry) => (
+            <li
+              key={entry.id}
+              className="flex flex-wrap items-center justify-between gap-3 py-2"
+            >
+              <span className="min-w-0">
+                <span className="block truncate font-medium text-slate-900">
+                  {entry.name}
+                </span>
+                <span className="text-[11px] text-neutral-500">
+                  {formatDay(entry.savedAt)} · $
+                  {entry.estimate.total.toFixed(2)}
+                </span>
+              </span>
+              <div className="flex gap-1 text-[11px] font-medium">
+                <a
+                  href="#quote"
+                  onClick={() => onLoad(entry)}
+                  className="rounded-full border border-neutral-200 px-3 py-1 hover:bg-neutral-50"
+                >
+                  Load
+                </a>
+                <button
+                  type="button"
+                  onClick={() => onRemove(entry.id)}
+                  className="rounded-full border border-neutral-200 px-3 py-1 text-red-500 hover:bg-red-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Statuses are fetched from the tracker each time the tab opens, so they
+// reflect dispatch's latest update rather than what was true at booking.
+function BookedLoads({ bookings, tracker }) {
+  const [shipments, setShipments] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      bookings.map((b) =>
+        tracker
+          .track(b.confirmationNumber)
+          .then((s) => [b.confirmationNumber, s])
+          .catch((err) => {
+            console.error("[portal] tracking failed", err);
+            return [b.confirmationNumber, null];
+          })
+      )
+    ).then((entries) => {
+      if (!cancelled) setShipments(Object.fromEntries(entries));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [bookings, tracker]);
+
+  if (bookings.length === 0) {
+    return (
+      <p className="text-sm text-neutral-500">
+        Loads you book while signed in are listed here with their live status.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-neutral-100 text-sm">
+      {bookings.map((b) => {
+        const shipment = shipments[b.confirmationNumber];
+        return (
+          <li
+            key={b.confirmationNumber}
+            className="flex flex-wrap items-center justify-between gap-3 py-2"
+          >
+            <span className="min-w-0">
+              <span className="block font-medium text-slate-900">
+                {b.origin} → {b.destination}
+              </span>
+              <span className="text-[11px] text-neutral-500">
+                {b.confirmationNumber} · booked {formatDay(b.bookedAt)} · $
+                {b.total.toFixed(2)}
+              </span>
+            </span>
+            <span className="text-right text-xs">
+              <span className="block font-medium text-slate-900">
+                {b.confirmationNumber in shipments
+                  ? shipment
+                    ? statusLabel(shipment.status)
+                    : "Not found"
+                  : "Checking…"}
+              </span>
+              {shipment && shipment.eta && (
+                <span className="text-[11px] text-neutral-500">
+                  ETA {formatDay(shipment.eta)}
+                </span>
+              )}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function DefaultAccessorials({ accessorials, defaults, onChange, onApply }) {
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-neutral-500">
+        Ticked accessorials are switched on whenever you sign in or reset the
+        estimate.
+      </p>
+      {Object.entries(accessorials).map(([key, { label, amount }]) => (
+        <label key={key} className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={Boolean(defaults[key])}
+            onChange={() => onChange({ ...defaults, [key]: !defaults[key] })}
+          />
+          {label}
+          <span className="text-xs text-neutral-500">${amount}</span>
+        </label>
+      ))}
+      <button
+        type="button"
+        onClick={onApply}
+        className="rounded-full border border-neutral-200 px-4 py-1.5 text-xs font-medium hover:bg-neutral-50"
+      >
+        Apply to current estimate
+      </button>
+    </div>
+  );
+}
+
+// Signed-out visitors get the sign-in form; signed-in customers get their
+// address book, saved quotes, booked loads and defaults. Account changes go
+// back to the app through onAccountChange, which persists them.
+export default function CustomerPortal({
+  auth,
+  tracker,
+  user,
+  account,
+  providers,
+  accessorials,
+  canSaveQuote,
+  onSignedIn,
+  onSignOut,
+  onAccountChange,
+  onSaveQuote,
+  onLoadQuote,
+  onApplyDefaults,
+}) {
+  const [tab, setTab] = useState("addresses");
+
+  if (!user) return <SignIn auth={auth} onSignedIn={onSignedIn} />;
+
+  return (
+    <div className="mx-auto max-w-5xl rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900">
+            {user.company || user.name}
+          </h3>
+          <p className="text-xs text-neutral-500">Signed in as {user.email}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onSignOut}
+          className="text-xs font-medium text-neutral-500 hover:underline"
+        >
+          Sign out
+        </button>
+      </div>
+
+      <div role="tablist" className="mt-4 flex flex-wrap gap-2 text-xs">
+        {TABS.map(([key, label]) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={tab === key}
+            onClick={() => setTab(key)}
+            className={`rounded-full border px-3 py-1 font-medium ${
+              tab === key
+                ? "border-slate-900 bg-slate-900 text-white"
+                : "border-neutral-200 hover:bg-neutral-50"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-4">
+        {tab === "addresses" && (
+          <AddressBook
+            addresses={account.addresses}
+            providers={providers}
+            onSave={(entry) => onAccountChange(upsertAddress(account, entry))}
+            onRemove={(id) => onAccountChange(removeAddress(account, id))}
+          />
+        )}
+        {tab === "quotes" && (
+          <SavedQuotes
+            entries={account.savedQuotes}
+            canSave={canSaveQuote}
+            onSave={onSaveQuote}
+            onLoad={onLoadQuote}
+            onRemove={(id) => onAccountChange(removeSavedQuote(account, id))}
+          />
+        )}
+        {tab === "loads" && (
+          <BookedLoads bookings={account.bookings} tracker={tracker} />
+        )}
+        {tab === "defaults" && (
+          <DefaultAccessorials
+            accessorials={accessorials}
+            defaults={account.defaultAccessories}
+            onChange={(defaultAccessories) =>
+              onAccountChange({ ...account, defaultAccessories })
+            }
+            onApply={onApplyDefaults}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
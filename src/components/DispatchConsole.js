@@ -0,0 +1,429 @@
+// src/components/DispatchConsole.js
+import React, { useEffect, useState } from "react";
+import {
+  ITEM_KINDS,
+  REVIEW_STATUSES,
+  filterItems,
+  quotedTotal,
+  validateOverride,
+} from "../dispatch/dispatch";
+import { fuelLabel } from "../fuelSurcharge";
+import { FieldError, Input } from "./ui";
+
+const EMPTY_FILTERS = {
+  lane: "",
+  from: "",
+  to: "",
+  status: "all",
+  kind: "all",
+};
+
+const STATUS_STYLES = {
+  new: "bg-sky-50 text-sky-800",
+  accepted: "bg-emerald-50 text-emerald-800",
+  countered: "bg-amber-50 text-amber-800",
+  declined: "bg-red-50 text-red-700",
+};
+
+const labelOf = (list, key) => list.find((x) => x.key === key).label;
+
+const money = (amount) =>
+  amount == null
+    ? "—"
+    : `${amount < 0 ? "−" : ""}$${Math.abs(amount).toFixed(2)}`;
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+const StatusBadge = ({ status }) => (
+  <span
+    className={`rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide ${STATUS_STYLES[status]}`}
+  >
+    {labelOf(REVIEW_STATUSES, status)}
+  </span>
+);
+
+const selectClass =
+  "w-full rounded-xl border border-neutral-300 bg-white px-3 py-3 text-sm outline-none focus:border-neutral-900";
+
+function Filters({ value, onChange }) {
+  const set = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+  return (
+    <div className="grid gap-2 md:grid-cols-[minmax(0,2fr)_repeat(4,minmax(0,1fr))]">
+      <Input
+        placeholder="Lane (e.g. miami atlanta)"
+        aria-label="Filter by lane"
+        value={value.lane}
+        onChange={set("lane")}
+      />
+      <Input
+        type="date"
+        aria-label="Submitted from"
+        value={value.from}
+        onChange={set("from")}
+      />
+      <Input
+        type="date"
+        aria-label="Submitted to"
+        value={value.to}
+        onChange={set("to")}
+      />
+      <select
+        aria-label="Filter by status"
+        value={value.status}
+        onChange={set("status")}
+        className={selectClass}
+      >
+        <option value="all">All statuses</option>
+        {REVIEW_STATUSES.map((s) => (
+          <option key={s.key} value={s.key}>
+            {s.label}
+          </option>
+        ))}
+      </select>
+      <select
+        aria-label="Filter by type"
+        value={value.kind}
+        onChange={set("kind")}
+        className={selectClass}
+      >
+        <option value="all">Quotes &amp; bookings</option>
+        {ITEM_KINDS.map((k) => (
+          <option key={k.key} value={k.key}>
+            {k.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// The estimator's breakdown exactly as the customer saw it.
+function Breakdown({ estimate }) {
+  return (
+    <div className="space-y-1 text-sm text-neutral-700">
+      {estimate.lineItems
+        .filter((item) => item.amount !== 0)
+        .map((item) => (
+          <div key={item.key} className="flex justify-between gap-3">
+            <span>{item.label}</span>
+            <span className="shrink-0">{money(item.amount)}</span>
+          </div>
+        ))}
+      <div className="flex justify-between gap-3">
+        <span>Subtotal (before fuel)</span>
+        <span className="shrink-0">{money(estimate.subtotal)}</span>
+      </div>
+      <div className="flex justify-between gap-3">
+        <span>{fuelLabel(estimate)}</span>
+        <span className="shrink-0">{money(estimate.fuelAmount)}</span>
+      </div>
+      <div className="flex justify-between gap-3 border-t border-neutral-200 pt-2 font-semibold text-slate-900">
+        <span>Estimated total</span>
+        <span>{money(estimate.total)}</span>
+      </div>
+      <p className="text-[11px] text-neutral-500">
+        {estimate.dist} mi
+        {estimate.vehicle && ` · ${estimate.vehicle.label}`}
+        {estimate.billing &&
+          ` · ${estimate.billing.billableWeightLbs} lbs billed`}
+        {estimate.laneRule && ` · lane rule: ${estimate.laneRule.label}`}
+      </p>
+    </div>
+  );
+}
+
+function Review({ item, busy, onUpdate }) {
+  const [override, setOverride] = useState({ amount: "", reason: "" });
+  const [submitted, setSubmitted] = useState(false);
+  const check = validateOverride(override);
+  const errors = submitted ? check.errors : {};
+
+  const saveOverride = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (!check.valid) return;
+    if (await onUpdate({ override })) {
+      setOverride({ amount: "", reason: "" });
+      setSubmitted(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={saveOverride} noValidate className="space-y-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-neutral-500">
+          Override rate
+        </p>
+        <div className="grid gap-2 sm:grid-cols-[8rem_minmax(0,1fr)_auto]">
+          <div>
+            <Input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="$"
+              aria-label="Override rate"
+              value={override.amount}
+              onChange={(e) =>
+                setOverride((o) => ({ ...o, amount: e.target.value }))
+              }
+            />
+            <FieldError message={errors.amount} />
+          </div>
+          <div>
+            <Input
+              placeholder="Reason (e.g. backhaul, tight capacity)"
+              aria-label="Override reason"
+              value={override.reason}
+              onChange={(e) =>
+                setOverride((o) => ({ ...o, reason: e.target.value }))
+              }
+            />
+            <FieldError message={errors.reason} />
+          </div>
+          <button
+            type="submit"
+            disabled={busy}
+            className="self-start rounded-full border border-neutral-200 px-4 py-3 text-xs font-medium hover:bg-neutral-50 disabled:opacity-60"
+          >
+            Set rate
+          </button>
+        </div>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs font-medium">
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => onUpdate({ status: "accepted" })}
+          className="rounded-full bg-emerald-600 px-4 py-1.5 text-white hover:bg-emerald-700 disabled:opacity-60"
+        >
+          Accept
+        </button>
+        <button
+          type="button"
+          disabled={busy || !item.override}
+          onClick={() => onUpdate({ status: "countered" })}
+          className="rounded-full bg-amber-500 px-4 py-1.5 text-white hover:bg-amber-600 disabled:opacity-50"
+        >
+          Counter at {money(item.override && item.override.amount)}
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => onUpdate({ status: "declined" })}
+          className="rounded-full border border-red-200 px-4 py-1.5 text-red-600 hover:bg-red-50 disabled:opacity-60"
+        >
+          Decline
+        </button>
+        {!item.override && (
+          <span className="text-[11px] font-normal text-neutral-500">
+            Set a rate to counter with.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Detail({ item, busy, onUpdate, onClose }) {
+  const { contact } = item;
+  return (
+    <div className="space-y-4 rounded-2xl border border-neutral-200 p-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p className="text-sm font-semibold text-slate-900">
+            {item.origin} → {item.destination}
+          </p>
+          <p className="text-[11px] text-neutral-500">
+            {labelOf(ITEM_KINDS, item.kind)} {item.id} · received{" "}
+            {formatTime(item.submittedAt)}
+            {item.pickupDate && ` · pickup ${item.pickupDate}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <StatusBadge status={item.status} />
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-xs font-medium text-neutral-500 hover:underline"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <p className="text-xs text-neutral-700">
+        {[contact.company, contact.name, contact.phone, contact.email]
+          .filter(Boolean)
+          .join(" · ")}
+      </p>
+      {item.notes && (
+        <p className="whitespace-pre-line rounded-xl bg-neutral-50 px-3 py-2 text-xs text-neutral-700">
+          {item.notes}
+        </p>
+      )}
+      {item.payment && (
+        <p className="text-xs text-neutral-700">
+          Paid {money(item.payment.amount)} with {item.payment.brand} ending in{" "}
+          {item.payment.last4}.
+        </p>
+      )}
+
+      {item.estimate ? (
+        <Breakdown estimate={item.estimate} />
+      ) : (
+        <p className="text-xs text-neutral-500">
+          No estimate attached: the inquiry was for a different lane than the
+          one priced on the site.
+        </p>
+      )}
+      {item.override && (
+        <p className="rounded-xl bg-amber-50 px-3 py-2 text-xs text-amber-900">
+          Dispatch rate {money(item.override.amount)} ({item.override.reason}) —{" "}
+          {item.override.by}, {formatTime(item.override.at)}
+        </p>
+      )}
+
+      <Review key={item.id} item={item} busy={busy} onUpdate={onUpdate} />
+
+      <ol className="space-y-1 border-t border-neutral-100 pt-3 text-[11px] text-neutral-500">
+        {item.history.map((entry, i) => (
+          <li key={i}>
+            {formatTime(entry.at)} ·{" "}
+            {entry.note || labelOf(REVIEW_STATUSES, entry.status)}
+            {entry.by && ` · ${entry.by}`}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Every quote request and booking that came through the site, for dispatch
+// to price and answer.
+export default function DispatchConsole({ store, user }) {
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [openId, setOpenId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    store
+      .listItems()
+      .then((list) => {
+        if (cancelled) return;
+        setItems(list);
+        setStatus("ready");
+      })
+      .catch((err) => {
+        console.error("[dispatch]", err);
+        if (!cancelled) setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [store]);
+
+  // Resolves true once the store has saved the change.
+  const handleUpdate = async (changes) => {
+    setBusy(true);
+    setError("");
+    try {
+      const updated = await store.updateItem(openId, changes, {
+        by: user.name,
+      });
+      setItems((list) => list.map((i) => (i.id === updated.id ? updated : i)));
+      return true;
+    } catch (err) {
+      console.error("[dispatch]", err);
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const shown = filterItems(items, filters);
+  const open = items.find((i) => i.id === openId);
+
+  return (
+    <div className="mx-auto max-w-6xl space-y-4 rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]">
+      <Filters value={filters} onChange={setFilters} />
+      {status === "error" && (
+        <p role="alert" className="text-xs font-medium text-red-500">
+          Couldn't load the dispatch queue. Refresh to try again.
+        </p>
+      )}
+      {error && (
+        <p role="alert" className="text-xs font-medium text-red-500">
+          {error}
+        </p>
+      )}
+
+      <div className="grid gap-4 lg:grid-cols-[minmax(0,1fr)_minmax(0,1.2fr)]">
+        <div>
+          <p className="mb-2 text-[11px] text-neutral-500">
+            {status === "loading"
+              ? "Loading…"
+              : `${shown.length} of ${items.length} items`}
+          </p>
+          <ul className="divide-y divide-neutral-100 text-sm">
+            {shown.map((item) => (
+              <li key={item.id}>
+                <button
+                  type="button"
+                  onClick={() => setOpenId(item.id)}
+                  aria-current={item.id === openId}
+                  className={`flex w-full items-center justify-between gap-3 rounded-xl px-2 py-2 text-left ${
+                    item.id === openId
+                      ? "bg-neutral-100"
+                      : "hover:bg-neutral-50"
+                  }`}
+                >
+                  <span className="min-w-0">
+                    <span className="block truncate font-medium text-slate-900">
+                      {item.origin} → {item.destination}
+                    </span>
+                    <span className="text-[11px] text-neutral-500">
+                      {labelOf(ITEM_KINDS, item.kind)} ·{" "}
+                      {formatTime(item.submittedAt)} ·{" "}
+                      {item.contact.company || item.contact.name}
+                    </span>
+                  </span>
+                  <span className="shrink-0 text-right">
+                    <span className="block text-xs font-semibold text-slate-900">
+                      {money(quotedTotal(item))}
+                    </span>
+                    <StatusBadge status={item.status} />
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {open ? (
+          <Detail
+            item={open}
+            busy={busy}
+            onUpdate={handleUpdate}
+            onClose={() => setOpenId(null)}
+          />
+        ) : (
+          <p className="self-start rounded-2xl border border-dashed border-neutral-200 p-6 text-center text-xs text-neutral-500">
+            Open an item to see the full estimate, set a rate and answer it.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
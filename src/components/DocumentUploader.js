@@ -0,0 +1,187 @@
+// src/components/DocumentUploader.js
+import React, { useEffect, useRef, useState } from "react";
+import {
+  ACCEPTED_TYPES,
+  DOCUMENT_KINDS,
+  MAX_FILE_BYTES,
+  MAX_FILES,
+  addDocuments,
+  formatBytes,
+} from "../documents";
+
+// Object URLs for previews, created once per document and revoked when the
+// document is removed or the uploader unmounts.
+function usePreviewUrls(documents) {
+  const urls = useRef(new Map());
+  const [, rerender] = useState(0);
+
+  useEffect(() => {
+    const live = new Set(documents.map((d) => d.id));
+    let changed = false;
+    documents.forEach((d) => {
+      if (!urls.current.has(d.id)) {
+        urls.current.set(d.id, URL.createObjectURL(d.file));
+        changed = true;
+      }
+    });
+    urls.current.forEach((url, id) => {
+      if (!live.has(id)) {
+        URL.revokeObjectURL(url);
+        urls.current.delete(id);
+      }
+    });
+    if (changed) rerender((n) => n + 1);
+  }, [documents]);
+
+  useEffect(() => {
+    const map = urls.current;
+    return () => map.forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  return urls.current;
+}
+
+function Preview({ doc, url }) {
+  if (!url) return <div className="h-16 w-16 rounded-lg bg-neutral-100" />;
+  if (doc.file.type.startsWith("image/")) {
+    return (
+      <img
+        src={url}
+        alt=""
+        className="h-16 w-16 shrink-0 rounded-lg object-cover"
+      />
+    );
+  }
+  return (
+    <object
+      data={url}
+      type="application/pdf"
+      aria-label={`Preview of ${doc.file.name}`}
+      className="pointer-events-none h-16 w-16 shrink-0 overflow-hidden rounded-lg border border-neutral-200"
+    >
+      <span className="flex h-full items-center justify-center text-[10px] font-semibold text-red-600">
+        PDF
+      </span>
+    </object>
+  );
+}
+
+export default function DocumentUploader({ documents, onChange }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [rejected, setRejected] = useState([]);
+  const urls = usePreviewUrls(documents);
+
+  const add = (files) => {
+    const result = addDocuments(documents, files);
+    setRejected(result.rejected);
+    onChange(result.documents);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div
+        role="button"
+        tabIndex={0}
+        onClick={() => inputRef.current.click()}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            inputRef.current.click();
+          }
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          add(e.dataTransfer.files);
+        }}
+        className={`cursor-pointer rounded-2xl border-2 border-dashed px-4 py-5 text-center text-xs transition-colors ${
+          dragging
+            ? "border-neutral-900 bg-neutral-50"
+            : "border-neutral-300 hover:border-neutral-500"
+        }`}
+      >
+        <p className="font-medium text-neutral-800">
+          Drop BOLs, packing lists or photos here, or click to browse
+        </p>
+        <p className="mt-1 text-neutral-500">
+          {Object.values(ACCEPTED_TYPES).join(", ")} · up to{" "}
+          {formatBytes(MAX_FILE_BYTES)} each · {MAX_FILES} files max
+        </p>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={Object.keys(ACCEPTED_TYPES).join(",")}
+          onChange={(e) => {
+            add(e.target.files);
+            e.target.value = "";
+          }}
+          className="hidden"
+        />
+      </div>
+
+      {rejected.length > 0 && (
+        <ul role="alert" className="text-[11px] font-medium text-red-500">
+          {rejected.map((r) => (
+            <li key={r.name}>
+              {r.name}: {r.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {documents.length > 0 && (
+        <ul className="space-y-2">
+          {documents.map((doc) => (
+            <li
+              key={doc.id}
+              className="flex items-center gap-3 rounded-xl border border-neutral-200 p-2 text-xs"
+            >
+              <Preview doc={doc} url={urls.get(doc.id)} />
+              <div className="min-w-0 flex-1">
+                <p className="truncate font-medium text-neutral-800">
+                  {doc.file.name}
+                </p>
+                <p className="text-neutral-500">{formatBytes(doc.file.size)}</p>
+                <select
+                  value={doc.kind}
+                  onChange={(e) =>
+                    onChange(
+                      documents.map((d) =>
+                        d.id === doc.id ? { ...d, kind: e.target.value } : d
+                      )
+                    )
+                  }
+                  aria-label={`Document type for ${doc.file.name}`}
+                  className="mt-1 rounded-lg border border-neutral-300 bg-white px-2 py-0.5"
+                >
+                  {Object.entries(DOCUMENT_KINDS).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <button
+                type="button"
+                onClick={() =>
+                  onChange(documents.filter((d) => d.id !== doc.id))
+                }
+                aria-label={`Remove ${doc.file.name}`}
+                className="rounded-full px-2 py-0.5 text-red-500 hover:bg-red-50"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+// src/components/FuelSchedule.js
+import React, { useState } from "react";
+import { formatDate, toDateInput } from "../dates";
+import { describeBand, fuelBands } from "../fuelSurcharge";
+
+export default function FuelSchedule({
+  schedule,
+  fuel,
+  diesel,
+  isOverride,
+  canOverride,
+  onOverride,
+  onClearOverride,
+}) {
+  const [open, setOpen] = useState(false);
+  const [price, setPrice] = useState("");
+  const [effectiveDate, setEffectiveDate] = useState(() =>
+    toDateInput(new Date())
+  );
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!(Number(price) > 0)) return;
+    onOverride({
+      source: "Dispatch override",
+      price: Number(price),
+      effectiveDate,
+    });
+    setPrice("");
+  };
+
+  return (
+    <div className="mt-3 text-xs text-neutral-600">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        className="font-medium text-slate-900 hover:underline"
+      >
+        {open ? "▾" : "▸"} Fuel schedule
+      </button>
+      {open && (
+        <div className="mt-2 rounded-2xl bg-neutral-50 px-4 py-3">
+          <p>
+            Diesel ${Number(diesel.price).toFixed(2)}/gal, effective{" "}
+            {formatDate(diesel.effectiveDate)} ({diesel.source}).
+          </p>
+          <table className="mt-2 w-full text-left">
+            <thead>
+              <tr className="text-neutral-500">
+                <th className="py-1 font-medium">Diesel price</th>
+                <th className="py-1 text-right font-medium">Surcharge</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fuelBands(schedule).map((band) => {
+                const applied =
+                  fuel.band && fuel.band.fromPrice === band.fromPrice;
+                return (
+                  <tr
+                    key={band.fromPrice}
+                    className={
+                      applied ? "font-semibold text-slate-900" : undefined
+                    }
+                  >
+                    <td className="py-0.5">
+                      {describeBand(band)}
+                      {applied && " ← applied"}
+                    </td>
+                    <td className="py-0.5 text-right">
+                      {Math.round(band.surcharge * 100)}%
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {canOverride && (
+            <form
+              onSubmit={submit}
+              className="mt-3 flex flex-wrap items-end gap-2 border-t border-neutral-200 pt-3"
+            >
+              <label className="flex flex-col gap-1">
+                <span className="text-[11px] font-medium uppercase tracking-wide text-neutral-500">
+                  Dispatch: diesel $/gal
+                </span>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={price}
+                  onChange={(e) => setPrice(e.target.value)}
+                  className="w-24 rounded-lg border border-neutral-300 bg-white px-2 py-1 outline-none focus:border-neutral-900"
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-[11px] font-medium uppercase tracking-wide text-neutral-500">
+                  Effective
+                </span>
+                <input
+                  type="date"
+                  value={effectiveDate}
+                  onChange={(e) => setEffectiveDate(e.target.value)}
+                  className="rounded-lg border border-neutral-300 bg-white px-2 py-1 outline-none focus:border-neutral-900"
+                />
+              </label>
+              <button
+                type="submit"
+                className="rounded-full border border-neutral-200 bg-white px-3 py-1 font-medium hover:bg-neutral-100"
+              >
+                Update
+              </button>
+              {isOverride && (
+                <button
+                  type="button"
+                  onClick={onClearOverride}
+                  className="rounded-full px-3 py-1 font-medium text-red-500 hover:bg-red-50"
+                >
+                  Use published price
+                </button>
+              )}
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+// src/components/LanePresets.js
+import React, { useState } from "react";
+import { searchPresets } from "../lanePresets";
+
+export default function LanePresets({
+  presets,
+  activeId,
+  onApply,
+  onSaveCurrent,
+  onDelete,
+}) {
+  const [query, setQuery] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+
+  const matches = searchPresets(presets, query);
+  const active = presets.find((p) => p.id === activeId);
+
+  const commitSave = (e) => {
+    e.preventDefault();
+    onSaveCurrent({ name, description });
+    setSaving(false);
+    setName("");
+    setDescription("");
+  };
+
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-[11px] text-neutral-700">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="font-semibold uppercase tracking-wide text-neutral-500">
+          Lane presets
+        </p>
+        <button
+          type="button"
+          onClick={() => setSaving((v) => !v)}
+          className="rounded-full border border-neutral-200 bg-white px-3 py-1 font-medium hover:bg-neutral-100"
+        >
+          {saving ? "Cancel" : "Save current as preset"}
+        </button>
+      </div>
+
+      {saving && (
+        <form onSubmit={commitSave} className="mt-2 space-y-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Preset name (defaults to the lane)"
+            aria-label="Preset name"
+            className="w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 outline-none focus:border-neutral-900"
+          />
+          <input
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description (optional)"
+            aria-label="Preset description"
+            className="w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 outline-none focus:border-neutral-900"
+          />
+          <button
+            type="submit"
+            className="primary-btn rounded-full px-4 py-1.5 font-medium text-white"
+          >
+            Save preset
+          </button>
+        </form>
+      )}
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search presets by city, lane or description"
+        aria-label="Search lane presets"
+        className="mt-2 w-full rounded-lg border border-neutral-300 bg-white px-2 py-1.5 outline-none focus:border-neutral-900"
+      />
+      <ul className="mt-2 max-h-48 divide-y divide-neutral-200 overflow-y-auto">
+        {matches.map((p) => (
+          <li key={p.id} className="flex items-center gap-2 py-1.5">
+            <button
+              type="button"
+              onClick={() => onApply(p)}
+              className={`min-w-0 flex-1 text-left hover:text-neutral-900 ${
+                p.id === activeId ? "font-semibold text-neutral-900" : ""
+              }`}
+            >
+              <span className="block truncate">
+                {p.name}
+                {p.custom && (
+                  <span className="ml-1 font-normal text-neutral-400">
+                    (custom)
+                  </span>
+                )}
+              </span>
+              <span className="block truncate text-neutral-500">
+                {p.origin} → {p.destination} · {p.distance} mi
+              </span>
+            </button>
+            {p.custom && (
+              <button
+                type="button"
+                onClick={() => onDelete(p.id)}
+                aria-label={`Delete ${p.name}`}
+                className="rounded-full px-2 py-0.5 text-red-500 hover:bg-red-50"
+              >
+                Delete
+              </button>
+            )}
+          </li>
+        ))}
+        {!matches.length && (
+          <li className="py-1.5 text-neutral-500">No presets match.</li>
+        )}
+      </ul>
+
+      {active && (
+        <div className="mt-2 rounded-xl bg-white px-3 py-2">
+          <p className="font-semibold text-neutral-900">{active.name}</p>
+          <p>
+            {active.origin} → {active.destination}. Approx. {active.distance}{" "}
+            miles, {active.urgency === "expedited" ? "expedited" : "standard"}{" "}
+            service with {active.pallets} pallet
+            {Number(active.pallets) === 1 ? "" : "s"}, {active.weight} lbs.
+            {active.description && ` ${active.description}`} Adjust any field as
+            needed.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
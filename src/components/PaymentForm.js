@@ -0,0 +1,347 @@
+// src/components/PaymentForm.js
+import React, { useState } from "react";
+import {
+  detectBrand,
+  digitsOnly,
+  formatCardNumber,
+  formatExpiry,
+  validateCard,
+} from "../payments/card";
+
+const EMPTY_CARD = { name: "", number: "", expiry: "", cvc: "", zip: "" };
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+const inputClass = (error) =>
+  "w-full rounded-xl border bg-slate-950/40 px-3 py-2 text-sm text-slate-50 outline-none focus:ring-2 " +
+  (error
+    ? "border-red-400 focus:border-red-400 focus:ring-red-500/40"
+    : "border-slate-600 focus:border-emerald-400 focus:ring-emerald-500/40");
+
+const Label = ({ htmlFor, children }) => (
+  <label
+    htmlFor={htmlFor}
+    className="mb-1 block text-xs font-medium uppercase tracking-wide text-slate-300"
+  >
+    {children}
+  </label>
+);
+
+const CardError = ({ message }) =>
+  message ? (
+    <p className="mt-1 text-[11px] font-medium text-red-300">{message}</p>
+  ) : null;
+
+// Collects the card, swaps it for a gateway token straight away and then
+// drives the payment intent through success, decline or a 3-D Secure
+// challenge. The raw number and CVC are cleared as soon as they're tokenized.
+export default function PaymentForm({
+  gateway,
+  amount,
+  description,
+  validation,
+  onBlocked,
+  onPaid,
+}) {
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [status, setStatus] = useState("idle");
+  const [intent, setIntent] = useState(null);
+  const [cardSummary, setCardSummary] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const brand = detectBrand(card.number);
+  const check = validateCard(card);
+  const shown = (field) => (submitted || touched[field]) && check.errors[field];
+  const busy = status === "processing";
+  const canPay = validation.valid && amount > 0;
+
+  const field = (name) => ({
+    id: `card-${name}`,
+    name,
+    value: card[name],
+    onBlur: () => setTouched((t) => ({ ...t, [name]: true })),
+    disabled: busy || status === "requires_action",
+    "aria-invalid": Boolean(shown(name)),
+    className: inputClass(shown(name)),
+  });
+  const update = (name, value) => setCard((c) => ({ ...c, [name]: value }));
+
+  const settle = (result, summary) => {
+    setIntent(result);
+    setStatus(result.status);
+    setMessage(result.message || "");
+    if (result.status === "succeeded" && onPaid) {
+      onPaid({
+        intentId: result.id,
+        amount: result.amountCents / 100,
+        brand: summary.brand,
+        last4: summary.last4,
+      });
+    }
+  };
+
+  const fail = (err) => {
+    console.error("[payments]", err);
+    setStatus("error");
+    setMessage("We couldn't reach the payment service. Try again.");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validation.valid) {
+      onBlocked();
+      return;
+    }
+    setSubmitted(true);
+    if (!check.valid || !canPay || busy || status === "requires_action") {
+      return;
+    }
+
+    setStatus("processing");
+    setMessage("");
+    try {
+      const tokenized = await gateway.tokenize(card);
+      setCard((c) => ({ ...c, number: "", cvc: "" }));
+      setSubmitted(false);
+      setTouched({});
+      const summary = { brand: brand.label, last4: tokenized.last4 };
+      setCardSummary(summary);
+      const created = await gateway.createPaymentIntent({
+        amount,
+        currency: "USD",
+        description,
+      });
+      settle(
+        await gateway.confirmPaymentIntent(created.id, {
+          token: tokenized.token,
+        }),
+        summary
+      );
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const handleThreeDS = async (approved) => {
+    setStatus("processing");
+    try {
+      settle(
+        await gateway.completeThreeDS(intent.id, { approved }),
+        cardSummary
+      );
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const reset = () => {
+    setCard(EMPTY_CARD);
+    setStatus("idle");
+    setIntent(null);
+    setCardSummary(null);
+    setMessage("");
+  };
+
+  if (status === "succeeded") {
+    return (
+      <div className="rounded-3xl border border-white/70 bg-slate-900 px-6 py-6 text-sm text-slate-50 shadow-[0_18px_60px_rgba(15,23,42,0.6)]">
+        <p className="text-xs font-semibold uppercase tracking-[0.18em] text-emerald-300">
+          Payment authorized
+        </p>
+        <p className="mt-2 text-2xl font-semibold">
+          {money(intent.amountCents / 100)}
+        </p>
+        <p className="mt-1 text-slate-300">
+          {cardSummary.brand} ending in {cardSummary.last4} · Ref {intent.id}
+        </p>
+        {gateway.testMode && (
+          <p className="mt-3 text-[11px] text-amber-300">
+            Test mode: no real charge was made.
+          </p>
+        )}
+        <button
+          type="button"
+          onClick={reset}
+          className="mt-4 rounded-full border border-slate-600 px-4 py-1.5 text-xs font-medium hover:bg-slate-800"
+        >
+          Pay with another card
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="rounded-3xl border border-white/70 bg-slate-900 text-slate-50 shadow-[0_18px_60px_rgba(15,23,42,0.6)]"
+    >
+      <div className="border-b border-white/10 px-6 py-4">
+        <p className="text-xs font-semibold uppercase tracking-[0.18em] text-emerald-300">
+          Secure payment
+        </p>
+        <p className="mt-1 text-sm text-slate-200">
+          {amount > 0
+            ? `Authorize ${money(amount)} for this load.`
+            : "Your total appears here once the estimate is ready."}
+        </p>
+      </div>
+
+      <div className="space-y-4 px-6 py-5 text-sm">
+        <div>
+          <Label htmlFor="card-name">Cardholder Name</Label>
+          <input
+            {...field("name")}
+            type="text"
+            autoComplete="cc-name"
+            placeholder="As shown on card"
+            onChange={(e) => update("name", e.target.value)}
+          />
+          <CardError message={shown("name")} />
+        </div>
+        <div>
+          <Label htmlFor="card-number">
+            Card Number
+            {digitsOnly(card.number).length > 1 && brand.id !== "unknown" && (
+              <span className="ml-2 normal-case text-emerald-300">
+                {brand.label}
+              </span>
+            )}
+          </Label>
+          <input
+            {...field("number")}
+            type="text"
+            inputMode="numeric"
+            autoComplete="cc-number"
+            placeholder="4242 4242 4242 4242"
+            onChange={(e) => update("number", formatCardNumber(e.target.value))}
+          />
+          <CardError message={shown("number")} />
+        </div>
+        <div className="grid grid-cols-[1.1fr_1fr_1.1fr] gap-3">
+          <div>
+            <Label htmlFor="card-expiry">Expiry</Label>
+            <input
+              {...field("expiry")}
+              type="text"
+              inputMode="numeric"
+              autoComplete="cc-exp"
+              placeholder="MM/YY"
+              onChange={(e) => update("expiry", formatExpiry(e.target.value))}
+            />
+            <CardError message={shown("expiry")} />
+          </div>
+          <div>
+            <Label htmlFor="card-cvc">CVC</Label>
+            <input
+              {...field("cvc")}
+              type="password"
+              inputMode="numeric"
+              autoComplete="cc-csc"
+              placeholder={brand.cvcLength === 4 ? "1234" : "123"}
+              onChange={(e) =>
+                update(
+                  "cvc",
+                  digitsOnly(e.target.value).slice(0, brand.cvcLength)
+                )
+              }
+            />
+            <CardError message={shown("cvc")} />
+          </div>
+          <div>
+            <Label htmlFor="card-zip">ZIP / Postal</Label>
+            <input
+              {...field("zip")}
+              type="text"
+              autoComplete="postal-code"
+              placeholder="33101"
+              onChange={(e) => update("zip", e.target.value)}
+            />
+            <CardError message={shown("zip")} />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2 text-[11px] text-slate-300">
+          <span className="inline-flex h-4 w-4 items-center justify-center rounded-full bg-emerald-500 text-[9px] font-bold text-slate-950">
+            ✓
+          </span>
+          Your card is tokenized by the payment gateway; we never store the full
+          number.
+          {gateway.testMode && " Test mode: use 4242 4242 4242 4242."}
+        </div>
+
+        {status === "requires_action" && (
+          <div
+            role="dialog"
+            aria-label="Card authentication"
+            className="rounded-2xl border border-sky-400/40 bg-sky-500/10 px-4 py-3 text-[11px] text-sky-100"
+          >
+            <p className="font-semibold">
+              Your bank needs to confirm this payment.
+            </p>
+            <p className="mt-1">
+              Approve the {money(intent.amountCents / 100)} charge on{" "}
+              {cardSummary.brand} ending in {cardSummary.last4}.
+            </p>
+            <div className="mt-2 flex gap-2">
+              <button
+                type="button"
+                onClick={() => handleThreeDS(true)}
+                className="rounded-full bg-sky-400 px-3 py-1 font-semibold text-slate-950"
+              >
+                Complete authentication
+              </button>
+              <button
+                type="button"
+                onClick={() => handleThreeDS(false)}
+                className="rounded-full border border-sky-300/50 px-3 py-1 font-medium"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {(status === "declined" || status === "error") && (
+          <div
+            role="alert"
+            className="rounded-2xl border border-red-400/40 bg-red-500/10 px-4 py-3 text-[11px] text-red-200"
+          >
+            {message}
+          </div>
+        )}
+
+        {!validation.valid && (
+          <div
+            role="alert"
+            className="rounded-2xl border border-red-400/40 bg-red-500/10 px-4 py-3 text-[11px] text-red-200"
+          >
+            <p className="font-semibold text-red-100">
+              Fix {validation.messages.length}{" "}
+              {validation.messages.length === 1 ? "issue" : "issues"} in the{" "}
+              <a href="#quote" className="underline">
+                Instant Estimate
+              </a>{" "}
+              before checkout:
+            </p>
+            <ul className="mt-1 list-disc space-y-0.5 pl-4">
+              {validation.messages.map((m) => (
+                <li key={m}>{m}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          aria-disabled={!canPay || busy || status === "requires_action"}
+          className="mt-2 w-full rounded-full bg-gradient-to-r from-emerald-400 via-emerald-500 to-emerald-300 px-4 py-2.5 text-sm font-semibold text-slate-950 shadow-[0_18px_45px_rgba(16,185,129,0.7)] transition-transform hover:-translate-y-[1px] aria-disabled:cursor-not-allowed aria-disabled:opacity-50"
+        >
+          {busy ? "Processing…" : amount > 0 ? `Pay ${money(amount)}` : "Pay"}
+        </button>
+      </div>
+    </form>
+  );
+}
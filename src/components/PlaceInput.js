@@ -0,0 +1,136 @@
+// src/components/PlaceInput.js
+import React, { useEffect, useRef, useState } from "react";
+import { Input } from "./ui";
+import { geocodeSuggestions } from "../routing";
+
+const DEBOUNCE_MS = 300;
+const MIN_CHARS = 3;
+
+// Free-text address input with a debounced typeahead. Picking a candidate
+// pins its coordinates via onSelect; typing again unpins it (onSelect(null)).
+export default function PlaceInput({
+  value,
+  place,
+  onChange,
+  onSelect,
+  providers,
+  onBlur,
+  ...inputProps
+}) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    if (!open || place || (value || "").trim().length < MIN_CHARS) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const id = ++requestId.current;
+    const t = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const results = await geocodeSuggestions(providers, value);
+        // Drop responses that arrive after the user kept typing.
+        if (id === requestId.current) {
+          setSuggestions(results);
+          setActive(-1);
+        }
+      } catch (err) {
+        console.error(err);
+        if (id === requestId.current) setSuggestions([]);
+      } finally {
+        if (id === requestId.current) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [value, place, open, providers]);
+
+  const choose = (candidate) => {
+    onChange(candidate.label);
+    onSelect(candidate);
+    setOpen(false);
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      choose(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative w-full">
+      <Input
+        {...inputProps}
+        value={value}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open && suggestions.length > 0}
+        aria-autocomplete="list"
+        onChange={(e) => {
+          onChange(e.target.value);
+          if (place) onSelect(null);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={(e) => {
+          setTimeout(() => setOpen(false), 150);
+          if (onBlur) onBlur(e);
+        }}
+        onKeyDown={handleKeyDown}
+      />
+      {place && (
+        <p className="mt-1 text-[11px] text-emerald-700">
+          Pinned: {place.city}, {place.state} {place.zip}
+        </p>
+      )}
+      {open && (loading || suggestions.length > 0) && (
+        <ul
+          role="listbox"
+          className="absolute z-[600] mt-1 max-h-64 w-full overflow-auto rounded-xl border border-neutral-200 bg-white py-1 text-sm shadow-lg"
+        >
+          {loading && !suggestions.length && (
+            <li className="px-4 py-2 text-xs text-neutral-500">Searching…</li>
+          )}
+          {suggestions.map((s, i) => (
+            <li
+              key={`${s.label}-${s.lat}-${s.lon}`}
+              role="option"
+              aria-selected={i === active}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(s);
+              }}
+              className={
+                "cursor-pointer px-4 py-2 " +
+                (i === active ? "bg-neutral-100" : "hover:bg-neutral-50")
+              }
+            >
+              <p className="font-medium text-slate-900">
+                {s.city || s.label}
+                {s.state && `, ${s.state}`}
+              </p>
+              <p className="text-[11px] text-neutral-500">
+                {[s.zip, s.label].filter(Boolean).join(" · ")}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import PlaceInput from "./PlaceInput";
+
+const place = (city, state, zip, lat, lon) => ({
+  label: `${city}, ${state} ${zip}`,
+  city,
+  state,
+  zip,
+  lat,
+  lon,
+});
+const MIAMI = place("Miami", "FL", "33101", 25.77, -80.19);
+const MIAMI_BEACH = place("Miami Beach", "FL", "33139", 25.79, -80.13);
+
+// Each geocode call waits until the test answers it, in any order.
+function deferredProvider() {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      id: "fake",
+      geocode: jest.fn(
+        (text) => new Promise((resolve) => calls.push({ text, resolve }))
+      ),
+    },
+  };
+}
+
+function Harness({ providers, onSelect }) {
+  const [value, setValue] = useState("");
+  const [pinned, setPinned] = useState(null);
+  return (
+    <PlaceInput
+      aria-label="Origin"
+      value={value}
+      place={pinned}
+      onChange={setValue}
+      onSelect={(p) => {
+        setPinned(p);
+        onSelect(p);
+      }}
+      providers={providers}
+    />
+  );
+}
+
+const type = (text) =>
+  fireEvent.change(screen.getByLabelText("Origin"), {
+    target: { value: text },
+  });
+const answer = (call, matches) => act(async () => call.resolve(matches));
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test("waits for typing to pause before looking anything up", async () => {
+  const { calls, provider } = deferredProvider();
+  render(<Harness providers={[provider]} onSelect={() => {}} />);
+
+  type("Mi");
+  type("Mia");
+  act(() => jest.advanceTimersByTime(200));
+  type("Miam");
+  act(() => jest.advanceTimersByTime(299));
+  expect(provider.geocode).not.toHaveBeenCalled();
+
+  act(() => jest.advanceTimersByTime(1));
+  expect(calls.map((c) => c.text)).toEqual(["Miam"]);
+  await answer(calls[0], [MIAMI]);
+  expect(screen.getByRole("option")).toHaveTextContent("Miami, FL");
+});
+
+test("drops a slower answer for text the user has since changed", async () => {
+  const { calls, provider } = deferredProvider();
+  render(<Harness providers={[provider]} onSelect={() => {}} />);
+
+  type("Miami");
+  act(() => jest.advanceTimersByTime(300));
+  type("Miami Be");
+  act(() => jest.advanceTimersByTime(300));
+  expect(calls.map((c) => c.text)).toEqual(["Miami", "Miami Be"]);
+
+  await answer(calls[1], [MIAMI_BEACH]);
+  await answer(calls[0], [MIAMI]);
+  const options = screen.getAllByRole("option");
+  expect(options).toHaveLength(1);
+  expect(options[0]).toHaveTextContent("Miami Beach, FL");
+});
+
+test("pins a picked candidate and unpins it when the text is edited", async () => {
+  const { calls, provider } = deferredProvider();
+  const onSelect = jest.fn();
+  render(<Harness providers={[provider]} onSelect={onSelect} />);
+
+  type("Miami");
+  act(() => jest.advanceTimersByTime(300));
+  await answer(calls[0], [MIAMI]);
+  fireEvent.mouseDown(screen.getByRole("option"));
+
+  expect(onSelect).toHaveBeenLastCalledWith(MIAMI);
+  expect(screen.getByLabelText("Origin")).toHaveValue(MIAMI.label);
+  expect(screen.getByText(/Pinned: Miami, FL 33101/)).toBeInTheDocument();
+
+  // A pinned place doesn't look itself up again.
+  act(() => jest.advanceTimersByTime(300));
+  expect(calls).toHaveLength(1);
+
+  type("Miami, FL 3310");
+  expect(onSelect).toHaveBeenLastCalledWith(null);
+  expect(screen.queryByText(/Pinned:/)).not.toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(300));
+  expect(calls.map((c) => c.text)).toEqual(["Miami", "Miami, FL 3310"]);
+});
@@ -0,0 +1,175 @@
+// src/components/QuoteHistory.js
+import React, { useState } from "react";
+import { MAX_COMPARE, comparisonRows } from "../quoteHistory";
+
+const money = (n) =>
+  `${n < 0 ? "−" : ""}$${Math.abs(Number(n || 0)).toFixed(2)}`;
+
+function ComparisonTable({ entries }) {
+  const rows = comparisonRows(entries);
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="w-full min-w-[480px] text-left text-xs text-neutral-700">
+        <thead>
+          <tr className="border-b border-neutral-200 text-neutral-500">
+            <th className="py-2 pr-3 font-medium">Line item</th>
+            {entries.map((e) => (
+              <th key={e.id} className="py-2 pr-3 font-semibold text-slate-900">
+                {e.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {[
+            ["Lane", (q) => `${q.origin} → ${q.destination}`],
+            ["Distance", (q) => `${q.distance} mi`],
+            ["Weight / pallets", (q) => `${q.weight} lbs · ${q.pallets}`],
+            ["Vehicle", (q, est) => (est.vehicle ? est.vehicle.label : "—")],
+            [
+              "Urgency",
+              (q) => (q.urgency === "expedited" ? "Expedited" : "Standard"),
+            ],
+          ].map(([label, fmt]) => (
+            <tr key={label} className="border-b border-neutral-100">
+              <td className="py-1.5 pr-3 text-neutral-500">{label}</td>
+              {entries.map((e) => (
+                <td key={e.id} className="py-1.5 pr-3">
+                  {fmt(e.quote, e.estimate)}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {rows.map((row) => (
+            <tr
+              key={row.key}
+              className={
+                row.key === "total"
+                  ? "text-sm font-semibold text-slate-900"
+                  : "border-b border-neutral-100"
+              }
+            >
+              <td className="py-1.5 pr-3">{row.label}</td>
+              {row.values.map((v, i) => (
+                <td key={entries[i].id} className="py-1.5 pr-3">
+                  {money(v)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function QuoteHistory({ entries, onRename, onDelete, onLoad }) {
+  const [selected, setSelected] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+
+  if (!entries.length) return null;
+
+  const toggleCompare = (id) =>
+    setSelected((ids) =>
+      ids.includes(id)
+        ? ids.filter((x) => x !== id)
+        : ids.length < MAX_COMPARE
+        ? [...ids, id]
+        : ids
+    );
+
+  const commitRename = () => {
+    if (draftName.trim()) onRename(editingId, draftName.trim());
+    setEditingId(null);
+  };
+
+  const compared = entries.filter((e) => selected.includes(e.id));
+
+  return (
+    <div className="mt-6 rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">Saved quotes</h3>
+        <p className="text-[11px] text-neutral-500">
+          Tick two or three quotes to compare them line by line.
+        </p>
+      </div>
+
+      <ul className="mt-3 divide-y divide-neutral-100 text-sm">
+        {entries.map((entry) => (
+          <li
+            key={entry.id}
+            className="flex flex-wrap items-center justify-between gap-3 py-2"
+          >
+            <label className="flex min-w-0 flex-1 items-center gap-3">
+              <input
+                type="checkbox"
+                checked={selected.includes(entry.id)}
+                disabled={
+                  !selected.includes(entry.id) && selected.length >= MAX_COMPARE
+                }
+                onChange={() => toggleCompare(entry.id)}
+                aria-label={`Compare ${entry.name}`}
+              />
+              {editingId === entry.id ? (
+                <input
+                  autoFocus
+                  value={draftName}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitRename();
+                    if (e.key === "Escape") setEditingId(null);
+                  }}
+                  className="w-full rounded-lg border border-neutral-300 px-2 py-1 text-sm outline-none focus:border-neutral-900"
+                  aria-label="Quote name"
+                />
+              ) : (
+                <span className="min-w-0">
+                  <span className="block truncate font-medium text-slate-900">
+                    {entry.name}
+                  </span>
+                  <span className="text-[11px] text-neutral-500">
+                    {new Date(entry.savedAt).toLocaleString()} ·{" "}
+                    {money(entry.estimate.total)}
+                  </span>
+                </span>
+              )}
+            </label>
+            <div className="flex gap-1 text-[11px] font-medium">
+              <button
+                type="button"
+                onClick={() => onLoad(entry)}
+                className="rounded-full border border-neutral-200 px-3 py-1 hover:bg-neutral-50"
+              >
+                Load
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingId(entry.id);
+                  setDraftName(entry.name);
+                }}
+                className="rounded-full border border-neutral-200 px-3 py-1 hover:bg-neutral-50"
+              >
+                Rename
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setSelected((ids) => ids.filter((x) => x !== entry.id));
+                  onDelete(entry.id);
+                }}
+                className="rounded-full border border-neutral-200 px-3 py-1 text-red-500 hover:bg-red-50"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {compared.length >= 2 && <ComparisonTable entries={compared} />}
+    </div>
+  );
+}
@@ -0,0 +1,544 @@
+// src/components/RateCardAdmin.js
+import React, { useMemo, useState } from "react";
+import useQuoteEstimate from "../useQuoteEstimate";
+import {
+  cardFromForm,
+  formFromCard,
+  sampleLanes,
+  validateRateCardForm,
+} from "../rateCardForm";
+import {
+  activeVersion,
+  discardDraft,
+  effectiveDateError,
+  publishVersion,
+  saveDraftVersion,
+  versionState,
+} from "../rateCardVersions";
+import { formatDate, toDateInput } from "../dates";
+import { FieldError, Input } from "./ui";
+
+const STATE_STYLES = {
+  draft: "bg-neutral-100 text-neutral-700",
+  active: "bg-emerald-50 text-emerald-800",
+  scheduled: "bg-sky-50 text-sky-800",
+  superseded: "bg-neutral-50 text-neutral-400",
+};
+
+const URGENCY_LABELS = { standard: "Standard", expedited: "Expedited / rush" };
+
+const money = (amount) => (amount == null ? "—" : `$${amount.toFixed(2)}`);
+
+const heading =
+  "mb-2 text-xs font-semibold uppercase tracking-wide text-neutral-500";
+
+function NumberField({ label, value, error, onChange, unit }) {
+  return (
+    <label className="block text-xs text-neutral-600">
+      <span className="mb-1 block">
+        {label}
+        {unit && <span className="text-neutral-400"> ({unit})</span>}
+      </span>
+      <Input
+        type="number"
+        min="0"
+        step="any"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        aria-invalid={Boolean(error)}
+      />
+      <FieldError message={error} />
+    </label>
+  );
+}
+
+// Tiers, fuel bands and weight breaks: rows of numbers. New rows go in
+// before the open-ended last row when there is one.
+function RowsEditor({ name, rows, columns, errors, openLast, onChange }) {
+  const setCell = (i, field, value) =>
+    onChange(
+      rows.map((row, j) => (j === i ? { ...row, [field]: value } : row))
+    );
+  const blank = Object.fromEntries(columns.map((c) => [c.field, ""]));
+  const add = () =>
+    onChange(
+      openLast && rows.length
+        ? [...rows.slice(0, -1), blank, rows[rows.length - 1]]
+        : [...rows, blank]
+    );
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row, i) => (
+        <div key={i} className="flex items-start gap-2">
+          {columns.map((c) => (
+            <div key={c.field} className="flex-1">
+              <Input
+                type="number"
+                min="0"
+                step="any"
+                placeholder={
+                  openLast && i === rows.length - 1 ? "and up" : c.label
+                }
+                aria-label={`${c.label}, row ${i + 1}`}
+                value={row[c.field]}
+                onChange={(e) => setCell(i, c.field, e.target.value)}
+              />
+              <FieldError message={errors[`${name}.${i}.${c.field}`]} />
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange(rows.filter((_, j) => j !== i))}
+            disabled={openLast && rows.length === 1}
+            aria-label={`Remove row ${i + 1}`}
+            className="mt-2 rounded-full border border-neutral-200 px-3 py-1 text-[11px] font-medium text-red-500 hover:bg-red-50 disabled:opacity-40"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-[11px] text-neutral-500">
+          {columns.map((c) => c.label).join(" · ")}
+          {openLast && " — leave the last ceiling blank"}
+        </p>
+        <button
+          type="button"
+          onClick={add}
+          className="rounded-full border border-neutral-200 px-3 py-1 text-[11px] font-medium hover:bg-neutral-50"
+        >
+          Add row
+        </button>
+      </div>
+      <FieldError message={errors[name]} />
+    </div>
+  );
+}
+
+// One sample lane priced on both cards through the same hook the Instant
+// Estimate uses, so the preview can't drift from live pricing.
+function PreviewRow({ lane, before, after, diesel }) {
+  const current = useQuoteEstimate({
+    ...lane.inputs,
+    diesel,
+    rateCard: before,
+  });
+  const next = useQuoteEstimate({ ...lane.inputs, diesel, rateCard: after });
+  const delta = current && next ? next.total - current.total : null;
+  return (
+    <tr className="border-b border-neutral-100">
+      <td className="py-1.5 pr-3">
+        {lane.label}
+        {next && next.laneRule && (
+          <span className="block text-[10px] text-neutral-500">
+            {next.laneRule.label}
+          </span>
+        )}
+      </td>
+      <td className="py-1.5 pr-3 text-right">
+        {money(current && current.total)}
+      </td>
+      <td className="py-1.5 pr-3 text-right font-medium text-slate-900">
+        {money(next && next.total)}
+      </td>
+      <td
+        className={`py-1.5 text-right ${
+          delta > 0
+            ? "text-red-600"
+            : delta < 0
+            ? "text-emerald-700"
+            : "text-neutral-500"
+        }`}
+      >
+        {delta == null
+          ? "—"
+          : `${delta < 0 ? "−" : delta > 0 ? "+" : ""}$${Math.abs(
+              delta
+            ).toFixed(2)}`}
+      </td>
+    </tr>
+  );
+}
+
+function Preview({ before, beforeLabel, after, diesel }) {
+  const lanes = useMemo(() => sampleLanes(), []);
+  return (
+    <div className="overflow-x-auto rounded-2xl border border-neutral-200 p-4">
+      <p className={heading}>Preview on sample lanes</p>
+      <table className="w-full min-w-[480px] text-left text-xs text-neutral-700">
+        <thead>
+          <tr className="border-b border-neutral-200 text-neutral-500">
+            <th className="py-2 pr-3 font-medium">Lane</th>
+            <th className="py-2 pr-3 text-right font-medium">{beforeLabel}</th>
+            <th className="py-2 pr-3 text-right font-medium">This version</th>
+            <th className="py-2 text-right font-medium">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lanes.map((lane) => (
+            <PreviewRow
+              key={lane.id}
+              lane={lane}
+              before={before}
+              after={after}
+              diesel={diesel}
+            />
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-[11px] text-neutral-500">
+        Built-in lane presets at their usual weight, pallets and urgency, with
+        the current diesel price.
+      </p>
+    </div>
+  );
+}
+
+// Dispatcher screen for the pricing constants. Edits are saved as a draft
+// version with an effective date, previewed against the live card and then
+// published.
+export default function RateCardAdmin({ versions, diesel, user, onChange }) {
+  const active = activeVersion(versions);
+  const [baseId, setBaseId] = useState(active.id);
+  const base = versions.find((v) => v.id === baseId) || active;
+  const [form, setForm] = useState(() => formFromCard(base.card));
+  const [effectiveDate, setEffectiveDate] = useState(() =>
+    toDateInput(new Date())
+  );
+  const [note, setNote] = useState("");
+  const [submitted, setSubmitted] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+
+  const check = validateRateCardForm(form);
+  const dateError = effectiveDateError(effectiveDate);
+  const errors = submitted
+    ? { ...check.errors, ...(dateError && { effectiveDate: dateError }) }
+    : {};
+  const draftCard = useMemo(
+    () =>
+      validateRateCardForm(form).valid ? cardFromForm(base.card, form) : null,
+    [base, form]
+  );
+  const set = (key) => (value) => setForm((f) => ({ ...f, [key]: value }));
+  const setIn = (key, sub) => (value) =>
+    setForm((f) => ({ ...f, [key]: { ...f[key], [sub]: value } }));
+
+  const load = (version) => {
+    setBaseId(version.id);
+    setForm(formFromCard(version.card));
+    setEffectiveDate(
+      version.status === "draft"
+        ? version.effectiveDate
+        : toDateInput(new Date())
+    );
+    setNote(version.status === "draft" ? version.note : "");
+    setSubmitted(false);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (!draftCard || dateError) return;
+    const next = saveDraftVersion(versions, draftCard, {
+      effectiveDate,
+      note,
+      by: user.name,
+    });
+    onChange(next);
+    load(next[next.length - 1]);
+    setPreviewing(true);
+  };
+
+  return (
+    <div className="mx-auto max-w-6xl space-y-6 rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]">
+      <div>
+        <p className={heading}>Versions</p>
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[560px] text-left text-xs text-neutral-700">
+            <thead>
+              <tr className="border-b border-neutral-200 text-neutral-500">
+                <th className="py-2 pr-3 font-medium">Version</th>
+                <th className="py-2 pr-3 font-medium">Effective</th>
+                <th className="py-2 pr-3 font-medium">Status</th>
+                <th className="py-2 pr-3 font-medium">Note</th>
+                <th className="py-2 font-medium" />
+              </tr>
+            </thead>
+            <tbody>
+              {[...versions].reverse().map((v) => {
+                const state = versionState(v, versions);
+                return (
+                  <tr
+                    key={v.id}
+                    className={`border-b border-neutral-100 ${
+                      v.id === baseId ? "bg-neutral-50" : ""
+                    }`}
+                  >
+                    <td className="py-1.5 pr-3 font-medium text-slate-900">
+                      v{v.version}
+                    </td>
+                    <td className="py-1.5 pr-3">
+                      {formatDate(v.effectiveDate)}
+                    </td>
+                    <td className="py-1.5 pr-3">
+                      <span
+                        className={`rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide ${STATE_STYLES[state]}`}
+                      >
+                        {state}
+                      </span>
+                    </td>
+                    <td className="py-1.5 pr-3">
+                      {v.note}
+                      {(v.publishedBy || v.savedBy) && (
+                        <span className="block text-[10px] text-neutral-500">
+                          {v.publishedBy
+                            ? `Published by ${v.publishedBy}`
+                            : `Saved by ${v.savedBy}`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-1.5">
+                      <div className="flex justify-end gap-1 text-[11px] font-medium">
+                        <button
+                          type="button"
+                          onClick={() => load(v)}
+                          className="rounded-full border border-neutral-200 px-3 py-1 hover:bg-white"
+                        >
+                          {v.status === "draft" ? "Open" : "Start from"}
+                        </button>
+                        {v.status === "draft" && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() =>
+                                onChange(
+                                  publishVersion(versions, v.id, {
+                                    by: user.name,
+                                  })
+                                )
+                              }
+                              className="primary-btn rounded-full px-3 py-1 text-white"
+                            >
+                              Publish
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => {
+                                onChange(discardDraft(versions, v.id));
+                                if (v.id === baseId) load(active);
+                              }}
+                              className="rounded-full border border-neutral-200 px-3 py-1 text-red-500 hover:bg-red-50"
+                            >
+                              Discard
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <form onSubmit={handleSave} noValidate className="space-y-6">
+        <p className="text-sm text-neutral-700">
+          Editing from <span className="font-medium">v{base.version}</span>
+          {base.status === "draft" && " (draft)"}. Saving creates a new draft
+          version; publish it from the list above once the preview looks right.
+        </p>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <div>
+            <p className={heading}>Base rate</p>
+            <div className="grid gap-2 sm:grid-cols-2">
+              <NumberField
+                label="Default base"
+                unit="$"
+                value={form.base}
+                error={errors.base}
+                onChange={set("base")}
+              />
+              <NumberField
+                label="Minimum linehaul"
+                unit="$"
+                value={form.minimumCharge}
+                error={errors.minimumCharge}
+                onChange={set("minimumCharge")}
+              />
+              {Object.keys(form.vehicleBase).map((key) => (
+                <NumberField
+                  key={key}
+                  label={`${base.card.vehicles[key].label} base`}
+                  unit="$"
+                  value={form.vehicleBase[key]}
+                  error={errors[`vehicleBase.${key}`]}
+                  onChange={setIn("vehicleBase", key)}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className={heading}>Per-mile tiers</p>
+            <RowsEditor
+              name="mileageTiers"
+              rows={form.mileageTiers}
+              columns={[
+                { field: "upToMi", label: "Up to miles" },
+                { field: "perMile", label: "$ per mile" },
+              ]}
+              errors={errors}
+              openLast
+              onChange={set("mileageTiers")}
+            />
+          </div>
+
+          <div>
+            <p className={heading}>Fuel</p>
+            <NumberField
+              label="Flat fuel surcharge, used without a diesel price"
+              unit="%"
+              value={form.fuelPct}
+              error={errors.fuelPct}
+              onChange={set("fuelPct")}
+            />
+            {form.fuelSchedule.length > 0 && (
+              <div className="mt-3">
+                <RowsEditor
+                  name="fuelSchedule"
+                  rows={form.fuelSchedule}
+                  columns={[
+                    { field: "upToPrice", label: "Diesel under $" },
+                    { field: "surchargePct", label: "Surcharge %" },
+                  ]}
+                  errors={errors}
+                  openLast
+                  onChange={set("fuelSchedule")}
+                />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <p className={heading}>Heavy thresholds</p>
+            <RowsEditor
+              name="weightBreaks"
+              rows={form.weightBreaks}
+              columns={[
+                { field: "overLbs", label: "Over lbs" },
+                { field: "surcharge", label: "Surcharge $" },
+              ]}
+              errors={errors}
+              onChange={set("weightBreaks")}
+            />
+          </div>
+
+          <div>
+            <p className={heading}>Rush fees</p>
+            <div className="grid gap-2 sm:grid-cols-2">
+              {Object.keys(form.rushFees).map((key) => (
+                <NumberField
+                  key={key}
+                  label={URGENCY_LABELS[key] || key}
+                  unit="$"
+                  value={form.rushFees[key]}
+                  error={errors[`rushFees.${key}`]}
+                  onChange={setIn("rushFees", key)}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className={heading}>Accessorials</p>
+            <div className="grid gap-2 sm:grid-cols-2">
+              {Object.keys(form.accessorials).map((key) => (
+                <NumberField
+                  key={key}
+                  label={base.card.accessorials[key].label}
+                  unit="$"
+                  value={form.accessorials[key]}
+                  error={errors[`accessorials.${key}`]}
+                  onChange={setIn("accessorials", key)}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="grid gap-2 sm:grid-cols-[12rem_minmax(0,1fr)]">
+          <label className="block text-xs text-neutral-600">
+            <span className="mb-1 block">Effective date</span>
+            <Input
+              type="date"
+              value={effectiveDate}
+              onChange={(e) => setEffectiveDate(e.target.value)}
+            />
+            <FieldError message={errors.effectiveDate} />
+          </label>
+          <label className="block text-xs text-neutral-600">
+            <span className="mb-1 block">Note (optional)</span>
+            <Input
+              placeholder="e.g. Q4 peak season"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+          </label>
+        </div>
+
+        {submitted && (!check.valid || dateError) && (
+          <p role="alert" className="text-xs font-medium text-red-500">
+            Fix {check.messages.length + (dateError ? 1 : 0)}{" "}
+            {check.messages.length + (dateError ? 1 : 0) === 1
+              ? "field"
+              : "fields"}{" "}
+            above to save.
+          </p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="submit"
+            className="primary-btn rounded-full px-5 py-2 text-sm font-medium text-white"
+          >
+            Save as draft version
+          </button>
+          <button
+            type="button"
+            onClick={() => setPreviewing((v) => !v)}
+            className="rounded-full border border-neutral-200 px-5 py-2 text-sm font-medium hover:bg-neutral-50"
+          >
+            {previewing ? "Hide preview" : "Preview"}
+          </button>
+          <button
+            type="button"
+            onClick={() => load(base)}
+            className="text-xs font-medium text-neutral-500 hover:underline"
+          >
+            Revert changes
+          </button>
+        </div>
+
+        {previewing &&
+          (draftCard ? (
+            <Preview
+              before={active.card}
+              beforeLabel={`Live (v${active.version})`}
+              after={draftCard}
+              diesel={diesel}
+            />
+          ) : (
+            <ul className="space-y-1 text-xs text-red-500">
+              {check.messages.map((m, i) => (
+                <li key={i}>{m}</li>
+              ))}
+            </ul>
+          ))}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+// src/components/RouteMap.js
+import React, { useState } from "react";
+import { CircleMarker, Popup } from "react-leaflet";
+import { formatDuration, turnByTurn } from "../routeStats";
+
+// CircleMarkers rather than the default pin: Leaflet's marker images don't
+// resolve through the CRA bundler without extra asset wiring.
+const ROLE_STYLES = {
+  pickup: { color: "#fff", fillColor: "#10b981" },
+  stop: { color: "#fff", fillColor: "#f59e0b" },
+  delivery: { color: "#fff", fillColor: "#111827" },
+};
+
+const roleOf = (i, count) =>
+  i === 0 ? "pickup" : i === count - 1 ? "delivery" : "stop";
+
+export function StopMarkers({ waypoints }) {
+  return waypoints.map((w, i) => {
+    const role = roleOf(i, waypoints.length);
+    return (
+      <CircleMarker
+        key={`${i}-${w.lat}-${w.lon}`}
+        center={[w.lat, w.lon]}
+        radius={8}
+        pathOptions={{ ...ROLE_STYLES[role], weight: 2, fillOpacity: 1 }}
+      >
+        <Popup>
+          <div className="text-xs">
+            <div className="font-semibold">
+              {role === "pickup"
+                ? "Pickup"
+                : role === "delivery"
+                ? "Delivery"
+                : `Stop ${i}`}
+            </div>
+            <div>{w.text}</div>
+            {w.label && w.label !== w.text && (
+              <div className="text-neutral-500">{w.label}</div>
+            )}
+          </div>
+        </Popup>
+      </CircleMarker>
+    );
+  });
+}
+
+export function RouteStatsOverlay({ stats }) {
+  return (
+    <div className="pointer-events-none absolute right-2 top-2 z-[1000] rounded-xl bg-white/90 px-3 py-2 text-[11px] text-neutral-700 shadow">
+      <div>
+        <span className="font-semibold text-slate-900">{stats.miles}</span> mi
+        {stats.durationS > 0 && <> · {formatDuration(stats.durationS)}</>}
+      </div>
+      {stats.states.length > 0 && (
+        <div>
+          {stats.states.length === 1
+            ? `Within ${stats.states[0]}`
+            : `${stats.states.length} states: ${stats.states.join(" → ")}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function TurnByTurnPanel({ route }) {
+  const [open, setOpen] = useState(false);
+  const legs = turnByTurn(route);
+  const stepCount = legs.reduce((sum, leg) => sum + leg.steps.length, 0);
+
+  return (
+    <div className="border-t border-neutral-100 px-3 py-2 text-xs">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        className="font-medium text-slate-900 hover:underline"
+      >
+        {open ? "▾" : "▸"} Turn-by-turn directions
+      </button>
+      {open &&
+        (stepCount ? (
+          <div className="mt-2 max-h-64 space-y-3 overflow-y-auto pr-1">
+            {legs.map((leg) => (
+              <div key={leg.leg}>
+                {legs.length > 1 && (
+                  <p className="mb-1 font-medium text-neutral-500">
+                    Leg {leg.leg + 1}: {leg.from} → {leg.to}
+                  </p>
+                )}
+                <ol className="space-y-1 text-neutral-700">
+                  {leg.steps.map((step, i) => (
+                    <li key={i} className="flex justify-between gap-3">
+                      <span>{step.instruction}</span>
+                      {step.miles > 0 && (
+                        <span className="shrink-0 text-neutral-500">
+                          {step.miles} mi
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="mt-2 text-neutral-500">
+            No directions for this route: {route.provider.label} only gives
+            straight-line miles.
+          </p>
+        ))}
+    </div>
+  );
+}
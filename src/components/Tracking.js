@@ -0,0 +1,183 @@
+// src/components/Tracking.js
+import React, { useState } from "react";
+import {
+  CircleMarker,
+  MapContainer,
+  Polyline,
+  Popup,
+  TileLayer,
+} from "react-leaflet";
+import { Input } from "./ui";
+import { lastKnownLocation, timelineFor } from "../tracking/tracking";
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+function TrackingMap({ shipment }) {
+  const location = lastKnownLocation(shipment);
+  if (!location) {
+    return (
+      <div className="flex h-full items-center justify-center p-6 text-center text-xs text-neutral-500">
+        Location appears here once the driver is on the way.
+      </div>
+    );
+  }
+  const trail = shipment.events
+    .filter((e) => e.location)
+    .map((e) => [e.location.lat, e.location.lon]);
+
+  return (
+    <MapContainer
+      key={shipment.pro}
+      center={[location.lat, location.lon]}
+      zoom={6}
+      scrollWheelZoom={false}
+      attributionControl={false}
+      className="h-full w-full"
+    >
+      <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+      {trail.length > 1 && (
+        <Polyline
+          positions={trail}
+          pathOptions={{ color: "#2563eb", weight: 4, dashArray: "6 8" }}
+        />
+      )}
+      <CircleMarker
+        center={[location.lat, location.lon]}
+        radius={9}
+        pathOptions={{
+          color: "#fff",
+          weight: 2,
+          fillColor: "#2563eb",
+          fillOpacity: 1,
+        }}
+      >
+        <Popup>
+          <div className="text-xs">
+            <div className="font-semibold">Last known location</div>
+            <div>{location.label}</div>
+          </div>
+        </Popup>
+      </CircleMarker>
+    </MapContainer>
+  );
+}
+
+function Timeline({ shipment }) {
+  return (
+    <ol className="space-y-3">
+      {timelineFor(shipment).map((step) => (
+        <li key={step.key} className="flex gap-3">
+          <span
+            className={`mt-1 h-3 w-3 shrink-0 rounded-full border-2 ${
+              step.current
+                ? "border-emerald-500 bg-emerald-500"
+                : step.done
+                ? "border-slate-900 bg-slate-900"
+                : "border-neutral-300 bg-white"
+            }`}
+          />
+          <div className={step.done ? "text-slate-900" : "text-neutral-400"}>
+            <p className="font-medium">{step.label}</p>
+            {step.at && (
+              <p className="text-xs text-neutral-500">
+                {formatTime(step.at)}
+                {step.location && ` · ${step.location.label}`}
+              </p>
+            )}
+            {step.note && (
+              <p className="text-xs text-neutral-500">{step.note}</p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default function Tracking({ tracker }) {
+  const [number, setNumber] = useState("");
+  const [shipment, setShipment] = useState(null);
+  const [status, setStatus] = useState("idle");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!number.trim()) return;
+    setStatus("loading");
+    try {
+      const found = await tracker.track(number);
+      setShipment(found);
+      setStatus(found ? "found" : "missing");
+    } catch (err) {
+      console.error("[tracking]", err);
+      setShipment(null);
+      setStatus("error");
+    }
+  };
+
+  const delivered = shipment && shipment.status === "delivered";
+
+  return (
+    <div className="rounded-3xl border border-white/70 bg-white/95 p-6 shadow-[0_18px_50px_rgba(15,23,42,0.12)]">
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col gap-3 sm:flex-row sm:items-center"
+      >
+        <Input
+          value={number}
+          onChange={(e) => setNumber(e.target.value)}
+          placeholder="PRO or confirmation number (e.g. TS-100482)"
+          aria-label="Tracking number"
+        />
+        <button
+          type="submit"
+          disabled={status === "loading"}
+          className="primary-btn shrink-0 rounded-full px-6 py-3 text-sm font-medium text-white disabled:opacity-60"
+        >
+          {status === "loading" ? "Looking up…" : "Track"}
+        </button>
+      </form>
+
+      {status === "missing" && (
+        <p className="mt-4 text-sm text-neutral-600">
+          We couldn't find that number. Check it against your booking
+          confirmation or call dispatch.
+        </p>
+      )}
+      {status === "error" && (
+        <p className="mt-4 text-sm font-medium text-red-500">
+          Tracking is unavailable right now. Try again in a minute.
+        </p>
+      )}
+
+      {status === "found" && shipment && (
+        <div className="mt-6 grid gap-6 md:grid-cols-[minmax(0,1fr)_minmax(0,1.3fr)]">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-neutral-500">
+              {shipment.pro}
+            </p>
+            <p className="mt-1 font-semibold text-slate-900">
+              {shipment.origin} → {shipment.destination}
+            </p>
+            <p className="mb-4 text-sm text-neutral-600">
+              {delivered
+                ? "Delivered"
+                : shipment.eta
+                ? `ETA ${formatTime(shipment.eta)}`
+                : "ETA confirmed at dispatch"}
+            </p>
+            <Timeline shipment={shipment} />
+          </div>
+          <div className="h-72 overflow-hidden rounded-2xl border border-neutral-100">
+            <TrackingMap shipment={shipment} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
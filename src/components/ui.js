@@ -0,0 +1,35 @@
+// src/components/ui.js
+import React from "react";
+
+export const Section = ({ id, title, subtitle, children }) => (
+  <section id={id} className="scroll-mt-24 py-16 md:py-24">
+    <div className="mx-auto max-w-7xl px-4">
+      {title && (
+        <div className="mb-10 md:mb-14">
+          <h2 className="text-3xl font-semibold md:text-4xl">{title}</h2>
+          {subtitle && (
+            <p className="mt-3 max-w-2xl text-neutral-600 md:text-lg">
+              {subtitle}
+            </p>
+          )}
+        </div>
+      )}
+      {children}
+    </div>
+  </section>
+);
+
+export const Input = (props) => (
+  <input
+    {...props}
+    className={
+      "w-full rounded-xl border border-neutral-300 bg-white px-4 py-3 text-sm outline-none focus:border-neutral-900 focus:ring-2 focus:ring-neutral-200 " +
+      (props.className || "")
+    }
+  />
+);
+
+export const FieldError = ({ message }) =>
+  message ? (
+    <p className="mt-1 text-[11px] font-medium text-red-500">{message}</p>
+  ) : null;
@@ -0,0 +1,135 @@
+import { createFormSubmitAdapter } from "./formSubmitAdapter";
+import { EMPTY_INQUIRY } from "./inquiry";
+
+const DONE_URL = "http://localhost/contact-sent.html";
+
+const inquiry = {
+  ...EMPTY_INQUIRY,
+  name: "Ana",
+  email: "ana@example.com",
+  origin: "Miami, FL",
+  destination: "Orlando, FL",
+};
+
+const bol = new File(["%PDF"], "bol.pdf", { type: "application/pdf" });
+const withBol = {
+  ...inquiry,
+  attachments: [{ id: "doc-1", file: bol, kind: "bol" }],
+};
+
+// jsdom has no DataTransfer; this one records the files and hands the input
+// an empty (but real) FileList.
+class FakeDataTransfer {
+  constructor() {
+    FakeDataTransfer.added = [];
+    this.items = { add: (file) => FakeDataTransfer.added.push(file) };
+    const input = document.createElement("input");
+    input.type = "file";
+    this.files = input.files;
+  }
+}
+
+// Stands in for the browser posting the form and navigating the hidden
+// iframe to href (null: a cross-origin page). Returns what was posted.
+function postLandsOn(href) {
+  const posted = {};
+  jest
+    .spyOn(HTMLFormElement.prototype, "submit")
+    .mockImplementation(function submit() {
+      posted.action = this.action;
+      posted.enctype = this.enctype;
+      posted.fields = Object.fromEntries(
+        Array.from(this.elements)
+          .filter((el) => el.type === "hidden")
+          .map((el) => [el.name, el.value])
+      );
+      posted.fileField = this.querySelector("input[type=file]").name;
+
+      const frame = document.querySelector(`iframe[name="${this.target}"]`);
+      const location =
+        href === null
+          ? {
+              get href() {
+                throw new DOMException("Blocked", "SecurityError");
+              },
+            }
+          : { href };
+      Object.defineProperty(frame, "contentWindow", { value: { location } });
+      frame.dispatchEvent(new Event("load"));
+    });
+  return posted;
+}
+
+beforeEach(() => {
+  global.DataTransfer = FakeDataTransfer;
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete global.DataTransfer;
+  jest.restoreAllMocks();
+});
+
+test("posts the inquiry and honeypot to FormSubmit", async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ success: "true" }),
+    })
+  );
+  await createFormSubmitAdapter("dispatch@example.com").submit(inquiry);
+
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe("https://formsubmit.co/ajax/dispatch@example.com");
+  expect(init.body.get("origin")).toBe("Miami, FL");
+  expect(init.body.get("_honey")).toBe("");
+  expect(init.body.get("summary")).toMatch(/Lane: Miami, FL → Orlando, FL/);
+  expect(init.body.has("attachment")).toBe(false);
+});
+
+test("posts attachments as a regular form and waits for the redirect", async () => {
+  global.fetch = jest.fn();
+  const posted = postLandsOn(DONE_URL);
+
+  await expect(
+    createFormSubmitAdapter("dispatch@example.com", {
+      doneUrl: DONE_URL,
+    }).submit(withBol)
+  ).resolves.toEqual({ reference: null });
+
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(posted.action).toBe("https://formsubmit.co/dispatch@example.com");
+  expect(posted.enctype).toBe("multipart/form-data");
+  expect(posted.fields).toMatchObject({
+    origin: "Miami, FL",
+    _next: DONE_URL,
+    _captcha: "false",
+    attachmentTypes: "bol.pdf: Bill of lading",
+  });
+  expect(posted.fileField).toBe("attachment");
+  expect(FakeDataTransfer.added).toEqual([bol]);
+  expect(document.querySelector("iframe, form")).toBeNull();
+});
+
+test("fails an attachment post that doesn't come back to the site", async () => {
+  postLandsOn(null);
+
+  await expect(
+    createFormSubmitAdapter("dispatch@example.com", {
+      doneUrl: DONE_URL,
+    }).submit(withBol)
+  ).rejects.toThrow("didn't confirm the upload");
+  expect(document.querySelector("iframe, form")).toBeNull();
+});
+
+test("throws when FormSubmit rejects the submission", async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ success: "false", message: "Blocked" }),
+    })
+  );
+  await expect(
+    createFormSubmitAdapter("dispatch@example.com").submit(inquiry)
+  ).rejects.toThrow("Blocked");
+});
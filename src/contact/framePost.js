@@ -0,0 +1,81 @@
+// src/contact/framePost.js
+// Posts a regular multipart form into a hidden iframe, for endpoints that
+// only take file uploads that way. The endpoint is expected to redirect to
+// doneUrl, a page on this site: landing there is readable and confirms the
+// post, while an error or captcha page on the endpoint's origin is not.
+export const FRAME_POST_TIMEOUT_MS = 2 * 60 * 1000;
+
+const readHref = (frame) => {
+  try {
+    return frame.contentWindow.location.href;
+  } catch (err) {
+    // Cross-origin: still on the endpoint, so it didn't redirect to us.
+    return null;
+  }
+};
+
+export function postThroughFrame({
+  action,
+  fields,
+  fileField,
+  files,
+  doneUrl,
+  timeoutMs = FRAME_POST_TIMEOUT_MS,
+}) {
+  return new Promise((resolve, reject) => {
+    const target = `frame-post-${Date.now().toString(36)}`;
+    const frame = document.createElement("iframe");
+    frame.name = target;
+    frame.hidden = true;
+
+    const form = document.createElement("form");
+    form.method = "POST";
+    form.action = action;
+    form.enctype = "multipart/form-data";
+    form.target = target;
+    form.hidden = true;
+    Object.entries(fields).forEach(([name, value]) => {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    });
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.name = fileField;
+    fileInput.multiple = true;
+    const transfer = new DataTransfer();
+    files.forEach((file) => transfer.items.add(file));
+    fileInput.files = transfer.files;
+    form.appendChild(fileInput);
+
+    let timer = null;
+    const finish = (err) => {
+      clearTimeout(timer);
+      frame.removeEventListener("load", handleLoad);
+      form.remove();
+      frame.remove();
+      if (err) reject(err);
+      else resolve();
+    };
+    function handleLoad() {
+      const href = readHref(frame);
+      // Some browsers fire load for the initial blank document.
+      if (href === "about:blank") return;
+      finish(
+        href && href.startsWith(doneUrl)
+          ? null
+          : new Error(`${action} didn't confirm the upload`)
+      );
+    }
+
+    document.body.append(frame, form);
+    frame.addEventListener("load", handleLoad);
+    timer = setTimeout(
+      () => finish(new Error(`${action} timed out`)),
+      timeoutMs
+    );
+    form.submit();
+  });
+}
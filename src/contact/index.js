@@ -0,0 +1,20 @@
+// src/contact/index.js
+//
+// Contact adapters expose one call:
+//   submit(inquiry) -> { reference } (reference may be null)
+// and throw when the inquiry couldn't be delivered. inquiry.attachments are
+// documents from src/documents.js. Production builds email
+// dispatch through FormSubmit; everything else logs locally so development
+// doesn't fill the dispatch inbox.
+import { createFormSubmitAdapter } from "./formSubmitAdapter";
+import { localContactAdapter } from "./localAdapter";
+
+export const DISPATCH_EMAIL = "t.s.express.logistic@gmail.com";
+
+export function createContactAdapter(
+  name = process.env.NODE_ENV === "production" ? "formsubmit" : "local"
+) {
+  if (name === "formsubmit") return createFormSubmitAdapter(DISPATCH_EMAIL);
+  if (name === "local") return localContactAdapter;
+  throw new Error(`Unknown contact adapter "${name}"`);
+}
@@ -0,0 +1,112 @@
+// src/contact/inquiry.js
+import { loadJSON, saveJSON } from "../storage";
+
+export const EMPTY_INQUIRY = {
+  name: "",
+  email: "",
+  phone: "",
+  company: "",
+  origin: "",
+  destination: "",
+  pickupDate: "",
+  pickupFrom: "",
+  pickupTo: "",
+  pallets: "",
+  weight: "",
+  message: "",
+  attachments: [],
+  // Honeypot: hidden from people, filled in by form-spamming bots.
+  website: "",
+};
+
+// Carries the lane the visitor just priced into the dispatch inquiry.
+export function inquiryFromQuote(inquiry, quote) {
+  return {
+    ...inquiry,
+    origin: quote.origin || "",
+    destination: quote.destination || "",
+    pickupDate: quote.pickupDate || "",
+    pallets: quote.pallets === "" ? "" : String(quote.pallets),
+    weight: quote.weight === "" ? "" : String(quote.weight),
+  };
+}
+
+// Booking paperwork reaches dispatch the way inquiry attachments do: as an
+// inquiry from the shipper that names the confirmation number.
+export function inquiryFromBooking(booking, documents) {
+  const { shipper } = booking.details;
+  return {
+    ...inquiryFromQuote(EMPTY_INQUIRY, booking.quote),
+    name: shipper.name,
+    email: shipper.email,
+    phone: shipper.phone,
+    company: shipper.company,
+    message: `Documents for booking ${booking.confirmationNumber}.`,
+    attachments: documents,
+  };
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns { valid, errors: { field: message } }.
+export function validateInquiry(inquiry) {
+  const errors = {};
+  if (!inquiry.name.trim()) errors.name = "Enter your name.";
+  if (!EMAIL_RE.test(inquiry.email.trim())) {
+    errors.email = "Enter a valid email.";
+  }
+  if (!inquiry.origin.trim()) errors.origin = "Enter the pickup city.";
+  if (!inquiry.destination.trim()) {
+    errors.destination = "Enter the delivery city.";
+  }
+  if (inquiry.pickupFrom && inquiry.pickupTo) {
+    if (inquiry.pickupFrom >= inquiry.pickupTo) {
+      errors.pickupWindow = "The window must end after it starts.";
+    }
+  }
+  if (
+    inquiry.pallets !== "" &&
+    !(Number.isInteger(Number(inquiry.pallets)) && Number(inquiry.pallets) > 0)
+  ) {
+    errors.pallets = "Use a whole number of pallets.";
+  }
+  if (inquiry.weight !== "" && !(Number(inquiry.weight) > 0)) {
+    errors.weight = "Weight must be above 0 lbs.";
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+export const isSpam = (inquiry) => inquiry.website.trim() !== "";
+
+// At most RATE_LIMIT.max submissions per rolling window from one browser.
+// It only slows down casual abuse; the submission endpoint does the rest.
+export const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+const STORAGE_KEY = "contactSubmissions";
+
+export const loadSubmissionTimes = () => loadJSON(STORAGE_KEY, []);
+export const saveSubmissionTimes = (times) => saveJSON(STORAGE_KEY, times);
+
+// Milliseconds until another submission is allowed; 0 means go ahead.
+export function rateLimitWait(times, now = Date.now(), limit = RATE_LIMIT) {
+  const recent = times.filter((t) => now - t < limit.windowMs).sort();
+  if (recent.length < limit.max) return 0;
+  return recent[recent.length - limit.max] + limit.windowMs - now;
+}
+
+export function recordSubmission(times, now = Date.now(), limit = RATE_LIMIT) {
+  return [...times.filter((t) => now - t < limit.windowMs), now];
+}
+
+// Plain-text summary for inboxes and the local log.
+export function inquirySummary(inquiry) {
+  const hours =
+    inquiry.pickupFrom || inquiry.pickupTo
+      ? ` ${inquiry.pickupFrom || "?"}–${inquiry.pickupTo || "?"}`
+      : "";
+  return [
+    `Lane: ${inquiry.origin} → ${inquiry.destination}`,
+    `Pickup: ${inquiry.pickupDate || "flexible"}${hours}`,
+    `Pallets: ${inquiry.pallets || "—"}`,
+    `Weight: ${inquiry.weight ? `${inquiry.weight} lbs` : "—"}`,
+  ].join("\n");
+}
@@ -0,0 +1,87 @@
+import {
+  EMPTY_INQUIRY,
+  RATE_LIMIT,
+  inquiryFromBooking,
+  inquiryFromQuote,
+  isSpam,
+  rateLimitWait,
+  recordSubmission,
+  validateInquiry,
+} from "./inquiry";
+import { DEFAULT_QUOTE } from "../quoteState";
+
+test("prefills the lane and freight from the quote", () => {
+  const inquiry = inquiryFromQuote(EMPTY_INQUIRY, {
+    ...DEFAULT_QUOTE,
+    origin: "Miami, FL",
+    destination: "Atlanta, GA",
+    pickupDate: "2026-10-20",
+  });
+  expect(inquiry).toMatchObject({
+    origin: "Miami, FL",
+    destination: "Atlanta, GA",
+    pickupDate: "2026-10-20",
+    pallets: "2",
+    weight: "120",
+  });
+});
+
+test("sends booking documents as an inquiry naming the booking", () => {
+  const documents = [{ id: "doc-1", file: new File(["%PDF"], "bol.pdf") }];
+  const inquiry = inquiryFromBooking(
+    {
+      confirmationNumber: "TS-20261020-0042",
+      details: {
+        shipper: {
+          company: "Ruiz Imports",
+          name: "Ana Ruiz",
+          phone: "305-555-0100",
+          email: "ana@ruiz.example",
+        },
+      },
+      quote: { ...DEFAULT_QUOTE, origin: "Miami, FL" },
+    },
+    documents
+  );
+  expect(inquiry).toMatchObject({
+    name: "Ana Ruiz",
+    email: "ana@ruiz.example",
+    company: "Ruiz Imports",
+    origin: "Miami, FL",
+    message: "Documents for booking TS-20261020-0042.",
+    attachments: documents,
+  });
+  expect(validateInquiry(inquiry).valid).toBe(true);
+});
+
+test("validates contact, lane and freight fields", () => {
+  const { errors } = validateInquiry({
+    ...EMPTY_INQUIRY,
+    email: "dispatch@",
+    pickupFrom: "15:00",
+    pickupTo: "09:00",
+    pallets: "1.5",
+  });
+  expect(Object.keys(errors).sort()).toEqual([
+    "destination",
+    "email",
+    "name",
+    "origin",
+    "pallets",
+    "pickupWindow",
+  ]);
+  expect(isSpam({ ...EMPTY_INQUIRY, website: "http://spam.example" })).toBe(
+    true
+  );
+});
+
+test("rate limits repeated submissions within the window", () => {
+  const now = 1_000_000_000;
+  let times = [];
+  for (let i = 0; i < RATE_LIMIT.max; i++) {
+    expect(rateLimitWait(times, now + i)).toBe(0);
+    times = recordSubmission(times, now + i);
+  }
+  expect(rateLimitWait(times, now + 10)).toBe(RATE_LIMIT.windowMs - 10);
+  expect(rateLimitWait(times, now + RATE_LIMIT.windowMs)).toBe(0);
+});
@@ -0,0 +1,31 @@
+// src/contact/localAdapter.js
+// Logs inquiries in this browser instead of emailing them, for development
+// and demos. Files are recorded by name, type, size and kind only.
+import { loadJSON, saveJSON } from "../storage";
+import { documentMeta } from "../documents";
+
+const STORAGE_KEY = "contactInquiries";
+
+const settle = (value) =>
+  new Promise((resolve) =>
+    setTimeout(() => resolve(value), localContactAdapter.latencyMs)
+  );
+
+export const localContactAdapter = {
+  id: "local",
+  label: "Local inquiry log (this browser)",
+  latencyMs: 300,
+
+  async submit(inquiry) {
+    const reference = `TSC-${Date.now().toString(36).toUpperCase()}`;
+    const { website, attachments, ...fields } = inquiry;
+    const entry = {
+      reference,
+      receivedAt: new Date().toISOString(),
+      ...fields,
+      attachments: attachments.map(documentMeta),
+    };
+    saveJSON(STORAGE_KEY, [entry, ...loadJSON(STORAGE_KEY, [])]);
+    return settle({ reference });
+  },
+};
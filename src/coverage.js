@@ -0,0 +1,50 @@
+// src/coverage.js
+import coverageRegions from "./data/coverageRegions.json";
+import stateBounds from "./data/usStateBounds.json";
+
+export { coverageRegions };
+
+export function regionForState(state) {
+  if (!state) return null;
+  const st = state.toUpperCase();
+  return coverageRegions.find((r) => r.states.includes(st)) || null;
+}
+
+// A pinned place knows its state; free text like "Anchorage, AK 99501" or
+// "Miami, FL (Haulover)" usually has one right after the city.
+export function stateOf(text, place) {
+  if (place && place.state) return place.state.toUpperCase();
+  const match = /,\s*([A-Za-z]{2})\b/.exec(text || "");
+  return match ? match[1].toUpperCase() : null;
+}
+
+// Bounding boxes of every state in a region, for the shaded map layer.
+export function regionBounds(region) {
+  return stateBounds
+    .filter((b) => region.states.includes(b.state))
+    .map((b) => ({
+      state: b.state,
+      bounds: [
+        [b.minLat, b.minLon],
+        [b.maxLat, b.maxLon],
+      ],
+    }));
+}
+
+// One warning per lane end that only the partner network serves.
+export function coverageWarnings(quote) {
+  return [
+    ["Origin", quote.origin, quote.originPlace],
+    ["Destination", quote.destination, quote.destinationPlace],
+  ]
+    .map(([end, text, place]) => {
+      const region = regionForState(stateOf(text, place));
+      if (!region || !region.partnerNetwork) return null;
+      return {
+        end,
+        region: region.id,
+        message: `${end} is in ${region.name}, which we serve through our partner network. Dispatch confirms capacity, transit and final rate.`,
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,27 @@
+import { coverageWarnings, regionForState, stateOf } from "./coverage";
+
+test("maps states to their coverage region", () => {
+  expect(regionForState("fl").name).toBe("Southeast");
+  expect(regionForState("AK").partnerNetwork).toBe(true);
+  expect(regionForState("ZZ")).toBeNull();
+});
+
+test("reads the state from a pinned place or free text", () => {
+  expect(stateOf("Anchorage, AK 99501")).toBe("AK");
+  expect(stateOf("Miami", { state: "FL" })).toBe("FL");
+  expect(stateOf("Miami")).toBeNull();
+});
+
+test("warns for each lane end in a partner-network area", () => {
+  const warnings = coverageWarnings({
+    origin: "Seattle, WA",
+    destination: "Fairbanks",
+    destinationPlace: { city: "Fairbanks", state: "AK" },
+  });
+  expect(warnings).toHaveLength(1);
+  expect(warnings[0].end).toBe("Destination");
+  expect(warnings[0].region).toBe("alaska");
+  expect(
+    coverageWarnings({ origin: "Miami, FL", destination: "Atlanta, GA" })
+  ).toEqual([]);
+});
@@ -0,0 +1,41 @@
+// src/dates.js
+// <input type="date"> values are "YYYY-MM-DD" in the user's local calendar;
+// new Date("YYYY-MM-DD") would read them as UTC midnight and shift the day
+// west of Greenwich, so parse them as local dates instead.
+export function parseDateInput(value) {
+  if (!value) return null;
+  if (value instanceof Date) return new Date(value.getTime());
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const d = m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function toDateInput(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+export function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+export function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+export function formatDate(value) {
+  const d = parseDateInput(value);
+  return d
+    ? d.toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "—";
+}
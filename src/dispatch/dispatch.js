@@ -0,0 +1,148 @@
+// src/dispatch/dispatch.js
+// Quote requests and bookings as dispatch sees them: one queue item each,
+// carrying the estimate the customer was shown, dispatch's rate override
+// and the review decision.
+import { parseDateInput, toDateInput } from "../dates";
+
+export const REVIEW_STATUSES = [
+  { key: "new", label: "New" },
+  { key: "accepted", label: "Accepted" },
+  { key: "countered", label: "Countered" },
+  { key: "declined", label: "Declined" },
+];
+
+export const ITEM_KINDS = [
+  { key: "quote", label: "Quote request" },
+  { key: "booking", label: "Booking" },
+];
+
+const normalize = (text) =>
+  String(text || "")
+    .trim()
+    .toLowerCase();
+
+const newItem = (fields) => ({
+  status: "new",
+  override: null,
+  history: [{ at: fields.submittedAt, status: "new", note: "Received" }],
+  ...fields,
+});
+
+// An inquiry only carries the estimate if it's for the lane that was priced;
+// a visitor can type a different lane into the contact form.
+export function itemFromInquiry(
+  inquiry,
+  { reference, quote, estimate, now = new Date() }
+) {
+  const priced =
+    estimate &&
+    normalize(inquiry.origin) === normalize(quote.origin) &&
+    normalize(inquiry.destination) === normalize(quote.destination);
+  return newItem({
+    id: reference || `TSC-${now.getTime().toString(36).toUpperCase()}`,
+    kind: "quote",
+    submittedAt: now.toISOString(),
+    contact: {
+      company: inquiry.company,
+      name: inquiry.name,
+      phone: inquiry.phone,
+      email: inquiry.email,
+    },
+    origin: inquiry.origin,
+    destination: inquiry.destination,
+    pickupDate: inquiry.pickupDate,
+    notes: inquiry.message,
+    quote: priced ? quote : null,
+    estimate: priced ? estimate : null,
+  });
+}
+
+export function itemFromBooking(booking) {
+  return newItem({
+    id: booking.confirmationNumber,
+    kind: "booking",
+    submittedAt: booking.bookedAt,
+    contact: booking.details.shipper,
+    origin: booking.quote.origin,
+    destination: booking.quote.destination,
+    pickupDate: booking.quote.pickupDate,
+    notes: booking.details.instructions,
+    quote: booking.quote,
+    estimate: booking.estimate,
+    payment: booking.payment,
+  });
+}
+
+// The rate dispatch stands behind: the override if there is one, otherwise
+// the estimator's total (null for unpriced inquiries).
+export const quotedTotal = (item) =>
+  item.override
+    ? item.override.amount
+    : item.estimate
+    ? item.estimate.total
+    : null;
+
+// lane: words that must all appear in the origin or destination.
+// from / to: date inputs ("YYYY-MM-DD") bounding the submission day.
+// status / kind: "" or "all" for everything.
+export function filterItems(items, { lane, from, to, status, kind } = {}) {
+  const words = normalize(lane).split(/\s+/).filter(Boolean);
+  const fromDay = parseDateInput(from);
+  const toDay = parseDateInput(to);
+  return items.filter((item) => {
+    const haystack = normalize(`${item.origin} ${item.destination}`);
+    if (!words.every((w) => haystack.includes(w))) return false;
+    const day = parseDateInput(toDateInput(new Date(item.submittedAt)));
+    if (fromDay && day < fromDay) return false;
+    if (toDay && day > toDay) return false;
+    if (status && status !== "all" && item.status !== status) return false;
+    if (kind && kind !== "all" && item.kind !== kind) return false;
+    return true;
+  });
+}
+
+// Returns { valid, errors: { field: message } }.
+export function validateOverride({ amount, reason }) {
+  const errors = {};
+  const value = Number(amount);
+  if (amount === "" || !Number.isFinite(value) || value <= 0) {
+    errors.amount = "Enter a rate above $0.";
+  }
+  if (!String(reason || "").trim()) {
+    errors.reason = "Say why the rate changed.";
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+const money = (amount) => `$${amount.toFixed(2)}`;
+
+// Applies a dispatcher's override and/or decision, logging each to the
+// item's history. A counter needs an overridden rate to counter with.
+export function reviewItem(
+  item,
+  { status, override },
+  { by, now = new Date() }
+) {
+  const at = now.toISOString();
+  const next = { ...item, history: [...item.history] };
+  if (override) {
+    const amount = Math.round(Number(override.amount) * 100) / 100;
+    next.override = { amount, reason: override.reason.trim(), by, at };
+    next.history.push({
+      at,
+      by,
+      note: `Rate set to ${money(amount)}: ${next.override.reason}`,
+    });
+  }
+  if (status) {
+    if (!REVIEW_STATUSES.some((s) => s.key === status)) {
+      throw new Error(`Unknown review status "${status}"`);
+    }
+    if (status === "countered" && !next.override) {
+      throw new Error("Override the rate before countering.");
+    }
+    next.status = status;
+    next.history.push({ at, by, status });
+  }
+  return next;
+}
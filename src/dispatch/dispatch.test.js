@@ -0,0 +1,126 @@
+import {
+  filterItems,
+  itemFromBooking,
+  itemFromInquiry,
+  quotedTotal,
+  reviewItem,
+  validateOverride,
+} from "./dispatch";
+
+const quote = { origin: "Miami, FL", destination: "Atlanta, GA" };
+const estimate = { total: 812.5, lineItems: [] };
+const inquiry = {
+  name: "Ana Ruiz",
+  company: "Ruiz Imports",
+  email: "ana@ruiz.example",
+  phone: "305-555-0100",
+  origin: "miami, fl ",
+  destination: "Atlanta, GA",
+  pickupDate: "2026-10-21",
+  message: "Two pallets of tile",
+};
+const now = new Date("2026-10-19T15:00:00");
+
+test("attaches the estimate only when the inquiry is for the priced lane", () => {
+  const priced = itemFromInquiry(inquiry, {
+    reference: "TSC-1",
+    quote,
+    estimate,
+    now,
+  });
+  expect(priced).toMatchObject({
+    id: "TSC-1",
+    kind: "quote",
+    status: "new",
+    override: null,
+    estimate,
+  });
+  expect(quotedTotal(priced)).toBe(812.5);
+
+  const other = itemFromInquiry(
+    { ...inquiry, destination: "Orlando, FL" },
+    { reference: null, quote, estimate, now }
+  );
+  expect(other.id).toMatch(/^TSC-/);
+  expect(other.estimate).toBeNull();
+  expect(quotedTotal(other)).toBeNull();
+});
+
+test("builds a booking item from the confirmation", () => {
+  const item = itemFromBooking({
+    confirmationNumber: "TSB-20261019-ABCDE",
+    bookedAt: now.toISOString(),
+    details: { shipper: { company: "Ruiz Imports" }, instructions: "" },
+    quote: { ...quote, pickupDate: "2026-10-21" },
+    estimate,
+    payment: null,
+  });
+
+  expect(item).toMatchObject({
+    id: "TSB-20261019-ABCDE",
+    kind: "booking",
+    contact: { company: "Ruiz Imports" },
+    pickupDate: "2026-10-21",
+  });
+});
+
+test("filters by lane words, submission day, status and kind", () => {
+  const items = [
+    { ...itemFromInquiry(inquiry, { quote, estimate, now }), id: "a" },
+    {
+      ...itemFromInquiry(
+        { ...inquiry, origin: "Haulover, FL", destination: "Orlando, FL" },
+        { quote, estimate, now: new Date("2026-10-17T09:00:00") }
+      ),
+      id: "b",
+      status: "declined",
+    },
+  ];
+  const ids = (filters) => filterItems(items, filters).map((i) => i.id);
+
+  expect(ids({ lane: "miami atlanta" })).toEqual(["a"]);
+  expect(ids({ lane: "fl" })).toEqual(["a", "b"]);
+  expect(ids({ from: "2026-10-18" })).toEqual(["a"]);
+  expect(ids({ to: "2026-10-17" })).toEqual(["b"]);
+  expect(ids({ status: "declined" })).toEqual(["b"]);
+  expect(ids({ status: "all", kind: "booking" })).toEqual([]);
+});
+
+test("requires a positive rate and a reason to override", () => {
+  expect(validateOverride({ amount: "", reason: "" }).errors).toEqual({
+    amount: expect.any(String),
+    reason: expect.any(String),
+  });
+  expect(validateOverride({ amount: "750", reason: "Backhaul" }).valid).toBe(
+    true
+  );
+});
+
+test("logs overrides and decisions, and counters only with a new rate", () => {
+  const item = itemFromInquiry(inquiry, { quote, estimate, now });
+  expect(() =>
+    reviewItem(item, { status: "countered" }, { by: "Dispatch", now })
+  ).toThrow("Override the rate");
+
+  const countered = reviewItem(
+    item,
+    {
+      status: "countered",
+      override: { amount: "749.999", reason: " Backhaul lane " },
+    },
+    { by: "Dispatch", now }
+  );
+  expect(countered.status).toBe("countered");
+  expect(countered.override).toMatchObject({
+    amount: 750,
+    reason: "Backhaul lane",
+    by: "Dispatch",
+  });
+  expect(quotedTotal(countered)).toBe(750);
+  expect(countered.history.map((h) => h.note || h.status)).toEqual([
+    "Received",
+    "Rate set to $750.00: Backhaul lane",
+    "countered",
+  ]);
+  expect(item.history).toHaveLength(1);
+});
@@ -0,0 +1,21 @@
+// src/dispatch/index.js
+//
+// Dispatch stores all expose the same calls:
+//   record(item) -> item        (a new quote request or booking)
+//   listItems() -> [item], newest first
+//   updateItem(id, { status, override: { amount, reason } }, { by })
+//     -> item
+// Items are built by itemFromInquiry / itemFromBooking in ./dispatch, and
+// updateItem applies reviewItem there, so every store logs the same
+// history.
+import { localDispatchStore } from "./localStore";
+
+const STORES = {
+  local: localDispatchStore,
+};
+
+export function createDispatchStore(name) {
+  const store = STORES[name || "local"];
+  if (!store) throw new Error(`Unknown dispatch store "${name}"`);
+  return store;
+}
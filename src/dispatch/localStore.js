@@ -0,0 +1,40 @@
+// src/dispatch/localStore.js
+// Keeps the dispatch queue in this browser, so the console shows whatever
+// was quoted and booked here. Enough to work the flow without a backend.
+import { loadJSON, saveJSON } from "../storage";
+import { reviewItem } from "./dispatch";
+
+const STORAGE_KEY = "dispatchQueue";
+
+const settle = (value) =>
+  new Promise((resolve) =>
+    setTimeout(() => resolve(value), localDispatchStore.latencyMs)
+  );
+
+export const localDispatchStore = {
+  id: "local",
+  label: "Local dispatch queue (this browser)",
+  latencyMs: 300,
+
+  async record(item) {
+    const items = loadJSON(STORAGE_KEY, []).filter((i) => i.id !== item.id);
+    saveJSON(STORAGE_KEY, [item, ...items]);
+    return settle(item);
+  },
+
+  async listItems() {
+    return settle(loadJSON(STORAGE_KEY, []));
+  },
+
+  async updateItem(id, changes, { by }) {
+    const items = loadJSON(STORAGE_KEY, []);
+    const item = items.find((i) => i.id === id);
+    if (!item) throw new Error(`Unknown dispatch item ${id}`);
+    const updated = reviewItem(item, changes, { by });
+    saveJSON(
+      STORAGE_KEY,
+      items.map((i) => (i.id === id ? updated : i))
+    );
+    return settle(updated);
+  },
+};
@@ -0,0 +1,45 @@
+import { localDispatchStore } from "./localStore";
+import { itemFromInquiry } from "./dispatch";
+
+const item = itemFromInquiry(
+  {
+    name: "Ana Ruiz",
+    company: "",
+    email: "ana@ruiz.example",
+    phone: "",
+    origin: "Miami, FL",
+    destination: "Atlanta, GA",
+    pickupDate: "",
+    message: "",
+  },
+  { reference: "TSC-1", quote: {}, estimate: null }
+);
+
+beforeEach(() => {
+  window.localStorage.clear();
+  localDispatchStore.latencyMs = 0;
+});
+
+test("records items newest first and updates them in place", async () => {
+  await localDispatchStore.record(item);
+  await localDispatchStore.record({ ...item, id: "TSC-2" });
+
+  const updated = await localDispatchStore.updateItem(
+    "TSC-1",
+    { status: "declined" },
+    { by: "Demo Dispatcher" }
+  );
+  expect(updated.status).toBe("declined");
+
+  const items = await localDispatchStore.listItems();
+  expect(items.map((i) => [i.id, i.status])).toEqual([
+    ["TSC-2", "new"],
+    ["TSC-1", "declined"],
+  ]);
+});
+
+test("rejects updates to unknown items", async () => {
+  await expect(
+    localDispatchStore.updateItem("nope", { status: "accepted" }, { by: "x" })
+  ).rejects.toThrow("Unknown dispatch item");
+});
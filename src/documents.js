@@ -0,0 +1,77 @@
+// src/documents.js
+// Shipping paperwork and freight photos attached to inquiries and bookings.
+
+export const DOCUMENT_KINDS = {
+  bol: "Bill of lading",
+  packingList: "Packing list",
+  invoice: "Commercial invoice",
+  photo: "Freight photo",
+  other: "Other",
+};
+
+export const ACCEPTED_TYPES = {
+  "application/pdf": "PDF",
+  "image/jpeg": "JPEG",
+  "image/png": "PNG",
+  "image/webp": "WebP",
+};
+
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const MAX_FILES = 5;
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const guessKind = (file) =>
+  file.type.startsWith("image/")
+    ? "photo"
+    : /packing/i.test(file.name)
+    ? "packingList"
+    : /invoice/i.test(file.name)
+    ? "invoice"
+    : /bol|lading/i.test(file.name)
+    ? "bol"
+    : "other";
+
+let nextId = 0;
+
+// Splits dropped files into documents to keep and rejections to explain,
+// respecting what's already attached.
+export function addDocuments(existing, files) {
+  const documents = [...existing];
+  const rejected = [];
+  Array.from(files).forEach((file) => {
+    if (!ACCEPTED_TYPES[file.type]) {
+      rejected.push({
+        name: file.name,
+        reason: "Only PDF, JPEG, PNG or WebP.",
+      });
+    } else if (file.size > MAX_FILE_BYTES) {
+      rejected.push({
+        name: file.name,
+        reason: `Over the ${formatBytes(MAX_FILE_BYTES)} limit.`,
+      });
+    } else if (documents.length >= MAX_FILES) {
+      rejected.push({
+        name: file.name,
+        reason: `At most ${MAX_FILES} files per request.`,
+      });
+    } else {
+      nextId += 1;
+      documents.push({ id: `doc-${nextId}`, file, kind: guessKind(file) });
+    }
+  });
+  return { documents, rejected };
+}
+
+// What gets stored or logged about a document; the file itself goes only to
+// the submission endpoint.
+export const documentMeta = (doc) => ({
+  name: doc.file.name,
+  type: doc.file.type,
+  size: doc.file.size,
+  kind: doc.kind,
+});
@@ -0,0 +1,47 @@
+import {
+  MAX_FILES,
+  addDocuments,
+  documentMeta,
+  formatBytes,
+} from "./documents";
+
+const file = (name, type, size = 2048) => ({ name, type, size });
+
+test("keeps accepted files and guesses their document type", () => {
+  const { documents, rejected } = addDocuments(
+    [],
+    [
+      file("BOL-4471.pdf", "application/pdf"),
+      file("pallets.jpg", "image/jpeg"),
+      file("packing list.pdf", "application/pdf"),
+    ]
+  );
+  expect(rejected).toEqual([]);
+  expect(documents.map((d) => d.kind)).toEqual(["bol", "photo", "packingList"]);
+  expect(documentMeta(documents[0])).toEqual({
+    name: "BOL-4471.pdf",
+    type: "application/pdf",
+    size: 2048,
+    kind: "bol",
+  });
+});
+
+test("rejects wrong types, oversized files and extras past the limit", () => {
+  const { documents, rejected } = addDocuments(
+    [],
+    [
+      file("notes.docx", "application/msword"),
+      file("scan.pdf", "application/pdf", 11 * 1024 * 1024),
+      ...Array.from({ length: MAX_FILES + 1 }, (_, i) =>
+        file(`photo-${i}.png`, "image/png")
+      ),
+    ]
+  );
+  expect(documents).toHaveLength(MAX_FILES);
+  expect(rejected.map((r) => r.reason)).toEqual([
+    "Only PDF, JPEG, PNG or WebP.",
+    "Over the 10.0 MB limit.",
+    `At most ${MAX_FILES} files per request.`,
+  ]);
+  expect(formatBytes(1536)).toBe("2 KB");
+});
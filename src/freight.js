@@ -0,0 +1,62 @@
+// src/freight.js
+const CUBIC_IN_PER_FT = 1728;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export const makePieceId = () => Math.random().toString(36).slice(2, 10);
+
+export const emptyPiece = () => ({
+  id: makePieceId(),
+  lengthIn: "",
+  widthIn: "",
+  heightIn: "",
+  count: 1,
+  stackable: true,
+});
+
+const isComplete = (p) =>
+  Number(p.lengthIn) > 0 && Number(p.widthIn) > 0 && Number(p.heightIn) > 0;
+
+// Nothing can ride on top of a non-stackable piece, so it is billed for the
+// full cargo height of the vehicle rather than its own height.
+export function pieceCubicIn(piece, cargoHeightIn) {
+  const height =
+    !piece.stackable && cargoHeightIn
+      ? Math.max(Number(piece.heightIn), cargoHeightIn)
+      : Number(piece.heightIn);
+  return (
+    Number(piece.lengthIn) *
+    Number(piece.widthIn) *
+    height *
+    Math.max(1, Math.floor(Number(piece.count) || 1))
+  );
+}
+
+// Cube, density and dimensional weight for the entered pieces. Billable
+// weight is the greater of actual and dim weight; with no complete pieces
+// the actual weight is all there is.
+export function freightMetrics(
+  pieces,
+  { weightLbs, dimDivisor, cargoHeightIn } = {}
+) {
+  const actual = Number(weightLbs) || 0;
+  const complete = (pieces || []).filter(isComplete);
+  const cubicIn = complete.reduce(
+    (sum, p) => sum + pieceCubicIn(p, cargoHeightIn),
+    0
+  );
+  const dimWeightLbs =
+    cubicIn && dimDivisor ? Math.ceil(cubicIn / dimDivisor) : 0;
+  const cubicFt = cubicIn / CUBIC_IN_PER_FT;
+
+  return {
+    pieces: complete.length,
+    cubicFt: round1(cubicFt),
+    densityPcf: cubicFt ? round1(actual / cubicFt) : null,
+    actualWeightLbs: actual,
+    dimWeightLbs,
+    dimDivisor,
+    billableWeightLbs: Math.max(actual, dimWeightLbs),
+    basis: dimWeightLbs > actual ? "dim" : "actual",
+  };
+}
@@ -0,0 +1,51 @@
+import { freightMetrics } from "./freight";
+import { defaultRateCard, priceQuote } from "./rateCard";
+
+const crate = {
+  id: "a",
+  lengthIn: 48,
+  widthIn: 40,
+  heightIn: 48,
+  count: 2,
+  stackable: true,
+};
+
+test("computes cube, density and dim weight", () => {
+  const m = freightMetrics([crate], { weightLbs: 120, dimDivisor: 166 });
+  // 2 × 48 × 40 × 48 = 184,320 in³ = 106.7 ft³
+  expect(m.cubicFt).toBe(106.7);
+  expect(m.densityPcf).toBe(1.1);
+  expect(m.dimWeightLbs).toBe(Math.ceil(184320 / 166));
+  expect(m.billableWeightLbs).toBe(m.dimWeightLbs);
+  expect(m.basis).toBe("dim");
+});
+
+test("bills non-stackable pieces to the full cargo height", () => {
+  const m = freightMetrics([{ ...crate, count: 1, stackable: false }], {
+    weightLbs: 100,
+    dimDivisor: 166,
+    cargoHeightIn: 72,
+  });
+  expect(m.dimWeightLbs).toBe(Math.ceil((48 * 40 * 72) / 166));
+});
+
+test("ignores incomplete pieces and falls back to actual weight", () => {
+  const m = freightMetrics([{ ...crate, heightIn: "" }], {
+    weightLbs: 400,
+    dimDivisor: 166,
+  });
+  expect(m).toMatchObject({ pieces: 0, billableWeightLbs: 400 });
+});
+
+test("weight breaks apply to the billable weight", () => {
+  const estimate = priceQuote(defaultRateCard, {
+    distanceMi: 100,
+    weightLbs: 120,
+    pallets: 2,
+    pieces: [crate],
+    urgency: "standard",
+    accessories: {},
+  });
+  expect(estimate.billing.basis).toBe("dim");
+  expect(estimate.heavySurcharge).toBe(45);
+});
@@ -0,0 +1,70 @@
+// src/fuelSurcharge.js
+import defaultDieselPrice from "./data/dieselPrice.json";
+import { loadJSON, removeKey, saveJSON } from "./storage";
+import { formatDate } from "./dates";
+
+const STORAGE_KEY = "dieselPrice";
+
+export { defaultDieselPrice };
+
+// Dispatch can post this week's price before the data file is updated; the
+// override wins until it is cleared.
+export const loadDieselPrice = () =>
+  loadJSON(STORAGE_KEY, null) || defaultDieselPrice;
+export const saveDieselPrice = (diesel) => saveJSON(STORAGE_KEY, diesel);
+export const clearDieselPrice = () => removeKey(STORAGE_KEY);
+
+// Bands are ascending like mileage tiers: a price below upToPrice falls in
+// that band, and the last band (upToPrice: null) covers everything above.
+export function fuelBands(schedule) {
+  let from = 0;
+  return schedule.map((band) => {
+    const withFloor = { fromPrice: from, ...band };
+    from = band.upToPrice;
+    return withFloor;
+  });
+}
+
+export function fuelBandFor(schedule, price) {
+  const bands = fuelBands(schedule);
+  return (
+    bands.find((b) => b.upToPrice == null || price < b.upToPrice) ||
+    bands[bands.length - 1]
+  );
+}
+
+// What priceQuote bills for fuel. Without a schedule or a usable diesel price
+// the card's flat fuelSurcharge applies.
+export function resolveFuel(card, diesel) {
+  const price = diesel && Number(diesel.price);
+  if (!card.fuelSchedule || !card.fuelSchedule.length || !(price > 0)) {
+    return { surcharge: card.fuelSurcharge, band: null };
+  }
+  const band = fuelBandFor(card.fuelSchedule, price);
+  return {
+    surcharge: band.surcharge,
+    band,
+    dieselPrice: price,
+    effectiveDate: diesel.effectiveDate,
+    source: diesel.source,
+  };
+}
+
+export const describeBand = (band) =>
+  band.upToPrice == null
+    ? `$${band.fromPrice.toFixed(2)} and up`
+    : band.fromPrice === 0
+    ? `Under $${band.upToPrice.toFixed(2)}`
+    : `$${band.fromPrice.toFixed(2)}–$${(band.upToPrice - 0.01).toFixed(2)}`;
+
+// "Fuel surcharge (18%: diesel $3.85, $3.75–$3.99 band, effective Oct 13, 2026)"
+export function fuelLabel(estimate) {
+  const pct = `${Math.round(estimate.fuelSurcharge * 100)}%`;
+  const { fuel } = estimate;
+  if (!fuel || !fuel.band) return `Fuel surcharge (${pct})`;
+  return `Fuel surcharge (${pct}: diesel $${fuel.dieselPrice.toFixed(
+    2
+  )}, ${describeBand(fuel.band)} band, effective ${formatDate(
+    fuel.effectiveDate
+  )})`;
+}
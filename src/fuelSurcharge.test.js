@@ -0,0 +1,41 @@
+import { defaultRateCard, priceQuote } from "./rateCard";
+import {
+  describeBand,
+  fuelBandFor,
+  fuelLabel,
+  resolveFuel,
+} from "./fuelSurcharge";
+
+const schedule = defaultRateCard.fuelSchedule;
+
+test("maps diesel prices onto schedule bands", () => {
+  expect(fuelBandFor(schedule, 2.5).surcharge).toBe(0.12);
+  expect(fuelBandFor(schedule, 3.75).surcharge).toBe(0.18);
+  expect(fuelBandFor(schedule, 3.749).surcharge).toBe(0.16);
+  expect(fuelBandFor(schedule, 6).surcharge).toBe(0.26);
+  expect(describeBand(fuelBandFor(schedule, 2.5))).toBe("Under $3.00");
+  expect(describeBand(fuelBandFor(schedule, 3.85))).toBe("$3.75–$3.99");
+  expect(describeBand(fuelBandFor(schedule, 6))).toBe("$5.00 and up");
+});
+
+test("falls back to the flat surcharge without a diesel price", () => {
+  expect(resolveFuel(defaultRateCard, null)).toEqual({
+    surcharge: defaultRateCard.fuelSurcharge,
+    band: null,
+  });
+});
+
+test("bills fuel from the band the diesel price falls in", () => {
+  const estimate = priceQuote(defaultRateCard, {
+    distanceMi: 100,
+    weightLbs: 100,
+    pallets: 1,
+    urgency: "standard",
+    diesel: { price: 4.6, effectiveDate: "2026-10-13", source: "test" },
+  });
+  expect(estimate.fuelSurcharge).toBe(0.24);
+  expect(estimate.fuelAmount).toBe(Math.round(389 * 0.24 * 100) / 100);
+  expect(fuelLabel(estimate)).toBe(
+    "Fuel surcharge (24%: diesel $4.60, $4.50–$4.99 band, effective Oct 13, 2026)"
+  );
+});
@@ -0,0 +1,63 @@
+// src/lanePresets.js
+import builtInPresets from "./data/lanePresets.json";
+import { loadJSON, saveJSON } from "./storage";
+import { defaultQuoteName } from "./quoteHistory";
+
+const STORAGE_KEY = "lanePresets";
+
+export { builtInPresets };
+
+export const loadCustomPresets = () => loadJSON(STORAGE_KEY, []);
+export const saveCustomPresets = (presets) => saveJSON(STORAGE_KEY, presets);
+
+// The fields a preset carries; everything else in the form is left alone.
+export const PRESET_FIELDS = [
+  "origin",
+  "destination",
+  "distance",
+  "weight",
+  "pallets",
+  "urgency",
+  "accessories",
+];
+
+export function presetFromQuote(quote, { name, description = "" } = {}) {
+  const preset = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: (name || "").trim() || defaultQuoteName(quote),
+    description: description.trim(),
+    custom: true,
+  };
+  PRESET_FIELDS.forEach((field) => {
+    preset[field] = quote[field];
+  });
+  return preset;
+}
+
+// Typed addresses replace any pinned places, and extra stops belong to the
+// old lane, so both are cleared.
+export function applyPreset(quote, preset) {
+  const next = {
+    ...quote,
+    originPlace: null,
+    destinationPlace: null,
+    stops: [],
+  };
+  PRESET_FIELDS.forEach((field) => {
+    if (preset[field] !== undefined) next[field] = preset[field];
+  });
+  next.accessories = { ...quote.accessories, ...preset.accessories };
+  return next;
+}
+
+// Every word of the query has to appear somewhere in the preset.
+export function searchPresets(presets, query) {
+  const words = (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return presets;
+  return presets.filter((p) => {
+    const haystack = [p.name, p.origin, p.destination, p.description]
+      .join(" ")
+      .toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+}
@@ -0,0 +1,56 @@
+import {
+  applyPreset,
+  builtInPresets,
+  presetFromQuote,
+  searchPresets,
+} from "./lanePresets";
+import { DEFAULT_QUOTE } from "./quoteState";
+
+test("ships a dozen built-in lanes with unique ids", () => {
+  expect(builtInPresets).toHaveLength(12);
+  expect(new Set(builtInPresets.map((p) => p.id)).size).toBe(12);
+});
+
+test("searches across name, cities and description", () => {
+  expect(searchPresets(builtInPresets, "haulover")[0].id).toBe(
+    "hauloverExpress"
+  );
+  expect(
+    searchPresets(builtInPresets, "miami atlanta").map((p) => p.id)
+  ).toEqual(["miamiAtlanta"]);
+  expect(searchPresets(builtInPresets, "")).toHaveLength(12);
+});
+
+test("applies a preset and clears pinned places and stops", () => {
+  const quote = {
+    ...DEFAULT_QUOTE,
+    originPlace: { city: "Reno", state: "NV" },
+    stops: [{ id: "a", address: "Sparks, NV", place: null }],
+    notes: "Call ahead",
+  };
+  const preset = builtInPresets.find((p) => p.id === "miamiNewYork");
+  const next = applyPreset(quote, preset);
+  expect(next).toMatchObject({
+    origin: "Miami, FL",
+    destination: "New York, NY",
+    distance: 1280,
+    originPlace: null,
+    stops: [],
+    notes: "Call ahead",
+  });
+  expect(next.accessories.afterHours).toBe(true);
+});
+
+test("saves the current quote as a custom preset", () => {
+  const preset = presetFromQuote(
+    { ...DEFAULT_QUOTE, origin: "Tampa, FL", destination: "Miami, FL" },
+    { name: "  ", description: "Weekly run " }
+  );
+  expect(preset).toMatchObject({
+    custom: true,
+    name: "Tampa, FL → Miami, FL · Expedited",
+    description: "Weekly run",
+    distance: DEFAULT_QUOTE.distance,
+  });
+  expect(applyPreset(DEFAULT_QUOTE, preset).origin).toBe("Tampa, FL");
+});
@@ -0,0 +1,92 @@
+// src/laneRules.js
+// Lane rules in the rate card adjust or replace the linehaul for specific
+// origin/destination pairs. Each end is matched by state, named metro or a
+// radius around a point; rules are checked in card order and the first one
+// that applies wins, so contracted lanes go at the top.
+
+import { stateOf } from "./coverage";
+import { greatCircleMiles } from "./routing/units";
+
+const within = (end, center, radiusMi) =>
+  end.lat != null &&
+  end.lon != null &&
+  greatCircleMiles(end, center) <= radiusMi;
+
+// A metro matches on its names appearing in the typed address, so a preset
+// like "Miami, FL (Haulover)" qualifies before it has been geocoded.
+function inMetro(end, metro) {
+  if (!metro) return false;
+  const text = (end.text || "").toLowerCase();
+  if ((metro.names || []).some((n) => text.includes(n.toLowerCase()))) {
+    return true;
+  }
+  return within(end, metro, metro.radiusMi);
+}
+
+export function matchesEnd(matcher, end, metros = {}) {
+  if (!matcher) return true;
+  if (!end) return false;
+  if (matcher.states && !matcher.states.includes(end.state)) return false;
+  if (
+    matcher.excludeStates &&
+    (!end.state || matcher.excludeStates.includes(end.state))
+  ) {
+    return false;
+  }
+  if (matcher.metro && !inMetro(end, metros[matcher.metro])) return false;
+  if (matcher.near && !within(end, matcher.near, matcher.near.radiusMi)) {
+    return false;
+  }
+  return true;
+}
+
+function applies(rule, lane, metros, vehicleKey) {
+  if (rule.kind === "contract" && !(rule.rates && vehicleKey in rule.rates)) {
+    return false;
+  }
+  const { origin, destination } = lane;
+  if (rule.either) {
+    return (
+      matchesEnd(rule.either, origin, metros) ||
+      matchesEnd(rule.either, destination, metros)
+    );
+  }
+  return (
+    matchesEnd(rule.origin, origin, metros) &&
+    matchesEnd(rule.destination, destination, metros)
+  );
+}
+
+export function findLaneRule(card, lane, vehicleKey) {
+  if (!lane || !card.laneRules) return null;
+  return (
+    card.laneRules.find((rule) =>
+      applies(rule, lane, card.metros, vehicleKey)
+    ) || null
+  );
+}
+
+// Pinned places carry their own coordinates; otherwise use the routed
+// waypoint, as long as the address hasn't been edited since routing.
+function endFor(text, place, waypoint) {
+  const located =
+    place || (waypoint && waypoint.text === text ? waypoint : null);
+  return {
+    text,
+    state: stateOf(text, located),
+    lat: located ? located.lat : null,
+    lon: located ? located.lon : null,
+  };
+}
+
+export function laneEndsFor(quote, route) {
+  const stops = (route && route.waypoints) || [];
+  return {
+    origin: endFor(quote.origin, quote.originPlace, stops[0]),
+    destination: endFor(
+      quote.destination,
+      quote.destinationPlace,
+      stops[stops.length - 1]
+    ),
+  };
+}
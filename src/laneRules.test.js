@@ -0,0 +1,50 @@
+import { defaultRateCard } from "./rateCard";
+import { findLaneRule, laneEndsFor, matchesEnd } from "./laneRules";
+
+const { metros } = defaultRateCard;
+
+test("matches metros by name or by radius", () => {
+  expect(
+    matchesEnd({ metro: "haulover" }, { text: "Miami, FL (Haulover)" }, metros)
+  ).toBe(true);
+  expect(
+    matchesEnd(
+      { metro: "haulover" },
+      { text: "Sunny Isles Beach, FL", lat: 25.95, lon: -80.12 },
+      metros
+    )
+  ).toBe(true);
+  expect(
+    matchesEnd(
+      { metro: "haulover" },
+      { text: "Homestead, FL", lat: 25.47, lon: -80.48 },
+      metros
+    )
+  ).toBe(false);
+});
+
+test("skips contract lanes the vehicle has no rate for", () => {
+  const lane = {
+    origin: { text: "Miami, FL (Haulover)", state: "FL" },
+    destination: { text: "Orlando, FL", state: "FL" },
+  };
+  expect(findLaneRule(defaultRateCard, lane, "cargoVan").id).toBe(
+    "hauloverExpress"
+  );
+  expect(findLaneRule(defaultRateCard, lane, "boxTruck")).toBeNull();
+});
+
+test("uses routed waypoints only while the address is unchanged", () => {
+  const route = {
+    waypoints: [
+      { text: "Reno, NV", state: "NV", lat: 39.53, lon: -119.81 },
+      { text: "Boise, ID", state: "ID", lat: 43.62, lon: -116.2 },
+    ],
+  };
+  const ends = laneEndsFor({ origin: "Reno, NV", destination: "Boise" }, route);
+  expect(ends.origin).toMatchObject({ state: "NV", lat: 39.53 });
+  expect(
+    laneEndsFor({ origin: "Sparks", destination: "Boise" }, route).origin
+  ).toMatchObject({ state: null, lat: null });
+  expect(findLaneRule(defaultRateCard, ends, "cargoVan").id).toBe("westCoast");
+});
@@ -0,0 +1,137 @@
+// src/payments/card.js
+// Client-side card checks and input masking. These only catch typos before
+// the gateway sees the card; the gateway still has the final say.
+
+export const digitsOnly = (value) => String(value || "").replace(/\D/g, "");
+
+// Prefix rules for the brands dispatch accepts; gaps are where the masked
+// input puts spaces.
+const BRANDS = [
+  {
+    id: "amex",
+    label: "American Express",
+    pattern: /^3[47]/,
+    lengths: [15],
+    cvcLength: 4,
+    gaps: [4, 10],
+  },
+  {
+    id: "visa",
+    label: "Visa",
+    pattern: /^4/,
+    lengths: [13, 16, 19],
+    cvcLength: 3,
+    gaps: [4, 8, 12, 16],
+  },
+  {
+    id: "mastercard",
+    label: "Mastercard",
+    pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/,
+    lengths: [16],
+    cvcLength: 3,
+    gaps: [4, 8, 12],
+  },
+  {
+    id: "discover",
+    label: "Discover",
+    pattern: /^(6011|65|64[4-9])/,
+    lengths: [16, 19],
+    cvcLength: 3,
+    gaps: [4, 8, 12, 16],
+  },
+];
+
+const UNKNOWN_BRAND = {
+  id: "unknown",
+  label: "Card",
+  lengths: [16],
+  cvcLength: 3,
+  gaps: [4, 8, 12],
+};
+
+export function detectBrand(number) {
+  const digits = digitsOnly(number);
+  return BRANDS.find((b) => b.pattern.test(digits)) || UNKNOWN_BRAND;
+}
+
+export function luhnValid(number) {
+  const digits = digitsOnly(number);
+  if (digits.length < 12) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// "4242424242424242" → "4242 4242 4242 4242", capped at the brand's
+// longest length.
+export function formatCardNumber(value) {
+  const brand = detectBrand(value);
+  const digits = digitsOnly(value).slice(0, Math.max(...brand.lengths));
+  let out = "";
+  for (let i = 0; i < digits.length; i++) {
+    if (brand.gaps.includes(i)) out += " ";
+    out += digits[i];
+  }
+  return out;
+}
+
+// "1" → "1", "13" → "01/3", "1228" → "12/28"
+export function formatExpiry(value) {
+  let digits = digitsOnly(value).slice(0, 4);
+  if (digits.length === 1 && digits > "1") digits = `0${digits}`;
+  return digits.length > 2
+    ? `${digits.slice(0, 2)}/${digits.slice(2)}`
+    : digits;
+}
+
+export function parseExpiry(value) {
+  const m = /^(\d{2})\/(\d{2})$/.exec(value || "");
+  if (!m) return null;
+  const month = Number(m[1]);
+  if (month < 1 || month > 12) return null;
+  return { month, year: 2000 + Number(m[2]) };
+}
+
+// Returns { valid, errors: { field: message }, brand }.
+export function validateCard(card, { today = new Date() } = {}) {
+  const errors = {};
+  const digits = digitsOnly(card.number);
+  const brand = detectBrand(digits);
+
+  if (!String(card.name || "").trim()) {
+    errors.name = "Enter the name on the card.";
+  }
+
+  if (!digits) {
+    errors.number = "Enter the card number.";
+  } else if (!brand.lengths.includes(digits.length) || !luhnValid(digits)) {
+    errors.number = "That card number isn't valid.";
+  }
+
+  const expiry = parseExpiry(card.expiry);
+  if (!expiry) {
+    errors.expiry = "Use MM/YY.";
+  } else {
+    // Cards are good through the last day of their expiry month.
+    const expiresAfter = new Date(expiry.year, expiry.month, 1);
+    if (expiresAfter <= today) errors.expiry = "This card has expired.";
+  }
+
+  const cvc = digitsOnly(card.cvc);
+  if (cvc.length !== brand.cvcLength) {
+    errors.cvc = `Enter the ${brand.cvcLength}-digit security code.`;
+  }
+
+  if (!/^[A-Za-z0-9][A-Za-z0-9 -]{2,9}$/.test(String(card.zip || "").trim())) {
+    errors.zip = "Enter the billing ZIP / postal code.";
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, brand };
+}
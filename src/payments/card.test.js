@@ -0,0 +1,59 @@
+import {
+  detectBrand,
+  formatCardNumber,
+  formatExpiry,
+  luhnValid,
+  validateCard,
+} from "./card";
+
+const today = new Date(2026, 9, 19);
+
+test("runs the Luhn check", () => {
+  expect(luhnValid("4242 4242 4242 4242")).toBe(true);
+  expect(luhnValid("4242 4242 4242 4241")).toBe(false);
+  expect(luhnValid("378282246310005")).toBe(true);
+});
+
+test("detects brands and masks to the brand's grouping", () => {
+  expect(detectBrand("4242").id).toBe("visa");
+  expect(detectBrand("2221 00").id).toBe("mastercard");
+  expect(detectBrand("3782").id).toBe("amex");
+  expect(formatCardNumber("4242424242424242999")).toBe(
+    "4242 4242 4242 4242 999"
+  );
+  expect(formatCardNumber("378282246310005")).toBe("3782 822463 10005");
+  expect(formatExpiry("1228")).toBe("12/28");
+  expect(formatExpiry("3")).toBe("03");
+});
+
+test("validates number, expiry, CVC and ZIP", () => {
+  const good = {
+    name: "Ana Ruiz",
+    number: "4242 4242 4242 4242",
+    expiry: "10/26",
+    cvc: "123",
+    zip: "33101",
+  };
+  expect(validateCard(good, { today }).valid).toBe(true);
+
+  const { errors } = validateCard(
+    {
+      ...good,
+      number: "4242 4242 4242 4241",
+      expiry: "09/26",
+      cvc: "12",
+      zip: "",
+    },
+    { today }
+  );
+  expect(Object.keys(errors).sort()).toEqual([
+    "cvc",
+    "expiry",
+    "number",
+    "zip",
+  ]);
+  expect(
+    validateCard({ ...good, number: "378282246310005", cvc: "123" }, { today })
+      .errors.cvc
+  ).toBe("Enter the 4-digit security code.");
+});
@@ -0,0 +1,22 @@
+// src/payments/index.js
+//
+// Payment gateways all expose the same calls:
+//   tokenize({ number, expiry, cvc, name, zip })
+//     -> { token, brand, last4, expMonth, expYear }
+//   createPaymentIntent({ amount, currency, description })
+//     -> { id, amountCents, currency, status }
+//   confirmPaymentIntent(intentId, { token })
+//     -> intent with status "succeeded" | "declined" | "requires_action"
+//   completeThreeDS(intentId, { approved }) -> intent
+// The app only ever holds the token and the card's last 4 digits.
+import { mockPaymentGateway } from "./mockGateway";
+
+const GATEWAYS = {
+  mock: mockPaymentGateway,
+};
+
+export function createPaymentGateway(name) {
+  const gateway = GATEWAYS[name || "mock"];
+  if (!gateway) throw new Error(`Unknown payment gateway "${name}"`);
+  return gateway;
+}
@@ -0,0 +1,110 @@
+// src/payments/mockGateway.js
+// Offline stand-in for a card processor. It keeps the same shape as a real
+// gateway (tokenize → intent → confirm) and reacts to the usual test card
+// numbers, so the checkout can be exercised end to end without a network.
+import { detectBrand, digitsOnly } from "./card";
+
+// Outcomes by full test PAN; any other valid card succeeds. PANs are strings,
+// not numbers, so the keys stay quoted.
+// prettier-ignore
+export const TEST_CARDS = {
+  "4242424242424242": "succeeded",
+  "5555555555554444": "succeeded",
+  "4000000000000002": "card_declined",
+  "4000000000009995": "insufficient_funds",
+  "4000002760003184": "requires_3ds",
+};
+
+const DECLINE_MESSAGES = {
+  card_declined: "The card was declined. Try another card.",
+  insufficient_funds: "The card has insufficient funds.",
+  authentication_failed: "Card authentication failed.",
+};
+
+const randomId = (prefix) =>
+  `${prefix}_mock_${Math.random().toString(36).slice(2, 12)}`;
+
+// A real processor does this server-side; the mock keeps it in memory.
+const tokens = new Map();
+const intents = new Map();
+
+// Simulated network latency so the UI's processing state is visible.
+const settle = (value) =>
+  new Promise((resolve) =>
+    setTimeout(() => resolve(value), mockPaymentGateway.latencyMs)
+  );
+
+const publicIntent = (intent) => ({ ...intent });
+
+function decline(intent, code) {
+  intent.status = "declined";
+  intent.declineCode = code;
+  intent.message = DECLINE_MESSAGES[code];
+  return publicIntent(intent);
+}
+
+export const mockPaymentGateway = {
+  id: "mock",
+  label: "Offline test gateway",
+  testMode: true,
+  latencyMs: 400,
+
+  // Swaps the card for a single-use token; only brand, last 4 and expiry
+  // come back, so the PAN never needs to be stored anywhere.
+  async tokenize({ number, expiry }) {
+    const digits = digitsOnly(number);
+    const [month, year] = String(expiry).split("/").map(Number);
+    const token = randomId("tok");
+    tokens.set(token, TEST_CARDS[digits] || "succeeded");
+    return settle({
+      token,
+      brand: detectBrand(digits).id,
+      last4: digits.slice(-4),
+      expMonth: month,
+      expYear: 2000 + year,
+    });
+  },
+
+  async createPaymentIntent({ amount, currency = "USD", description = "" }) {
+    const intent = {
+      id: randomId("pi"),
+      amountCents: Math.round(Number(amount) * 100),
+      currency,
+      description,
+      status: "requires_payment_method",
+    };
+    intents.set(intent.id, intent);
+    return settle(publicIntent(intent));
+  },
+
+  // Resolves to the intent with status "succeeded", "declined" or
+  // "requires_action" (3-D Secure challenge pending).
+  async confirmPaymentIntent(intentId, { token }) {
+    const intent = intents.get(intentId);
+    const outcome = tokens.get(token);
+    if (!intent) throw new Error(`Unknown payment intent ${intentId}`);
+    if (!outcome) throw new Error("Card token is invalid or already used.");
+    tokens.delete(token);
+
+    if (outcome === "requires_3ds") {
+      intent.status = "requires_action";
+      intent.nextAction = { type: "three_d_secure" };
+      return settle(publicIntent(intent));
+    }
+    if (outcome !== "succeeded") return settle(decline(intent, outcome));
+    intent.status = "succeeded";
+    return settle(publicIntent(intent));
+  },
+
+  // Stands in for the issuer's challenge window: approve or abandon it.
+  async completeThreeDS(intentId, { approved }) {
+    const intent = intents.get(intentId);
+    if (!intent || intent.status !== "requires_action") {
+      throw new Error("No authentication is pending for this payment.");
+    }
+    delete intent.nextAction;
+    if (!approved) return settle(decline(intent, "authentication_failed"));
+    intent.status = "succeeded";
+    return settle(publicIntent(intent));
+  },
+};
@@ -0,0 +1,58 @@
+import { mockPaymentGateway as gateway } from "./mockGateway";
+
+beforeAll(() => {
+  gateway.latencyMs = 0;
+});
+
+const pay = async (number, amount = 812.4) => {
+  const card = await gateway.tokenize({ number, expiry: "12/28" });
+  const intent = await gateway.createPaymentIntent({ amount });
+  return {
+    card,
+    intent: await gateway.confirmPaymentIntent(intent.id, {
+      token: card.token,
+    }),
+  };
+};
+
+test("tokenizes without returning the card number", async () => {
+  const { card, intent } = await pay("4242 4242 4242 4242");
+  expect(card).toMatchObject({ brand: "visa", last4: "4242", expYear: 2028 });
+  expect(JSON.stringify(card)).not.toContain("4242424242424242");
+  expect(intent).toMatchObject({ status: "succeeded", amountCents: 81240 });
+});
+
+test("declines the decline test cards", async () => {
+  const { intent } = await pay("4000 0000 0000 9995");
+  expect(intent.status).toBe("declined");
+  expect(intent.declineCode).toBe("insufficient_funds");
+});
+
+test("tokens are single use", async () => {
+  const card = await gateway.tokenize({
+    number: "4242424242424242",
+    expiry: "12/28",
+  });
+  const intent = await gateway.createPaymentIntent({ amount: 10 });
+  await gateway.confirmPaymentIntent(intent.id, { token: card.token });
+  await expect(
+    gateway.confirmPaymentIntent(intent.id, { token: card.token })
+  ).rejects.toThrow(/token/);
+});
+
+test("asks for 3-D Secure and settles on the challenge result", async () => {
+  const first = await pay("4000 0027 6000 3184");
+  expect(first.intent.status).toBe("requires_action");
+  expect(
+    (await gateway.completeThreeDS(first.intent.id, { approved: true })).status
+  ).toBe("succeeded");
+
+  const second = await pay("4000 0027 6000 3184");
+  const failed = await gateway.completeThreeDS(second.intent.id, {
+    approved: false,
+  });
+  expect(failed).toMatchObject({
+    status: "declined",
+    declineCode: "authentication_failed",
+  });
+});
@@ -0,0 +1,14 @@
+// src/pricingInputs.js
+// Rate card versions and the diesel override are dispatch settings kept in
+// this browser's storage. Both follow one rule: they only price dispatcher
+// sessions. Customers and signed-out visitors always get the bundled card
+// and the published weekly diesel price, whatever the browser has stored.
+import { defaultDieselPrice } from "./fuelSurcharge";
+import { activeVersion, BUNDLED_VERSION } from "./rateCardVersions";
+
+export function pricingInputs({ isDispatcher, versions, diesel, today }) {
+  if (!isDispatcher) {
+    return { rateCard: BUNDLED_VERSION.card, diesel: defaultDieselPrice };
+  }
+  return { rateCard: activeVersion(versions, today).card, diesel };
+}
@@ -0,0 +1,41 @@
+import { defaultDieselPrice } from "./fuelSurcharge";
+import { pricingInputs } from "./pricingInputs";
+import {
+  BUNDLED_VERSION,
+  publishVersion,
+  saveDraftVersion,
+} from "./rateCardVersions";
+
+const today = new Date("2026-10-20T10:00:00");
+const override = { ...defaultDieselPrice, price: 5.25 };
+const versions = publishVersion(
+  saveDraftVersion(
+    [BUNDLED_VERSION],
+    { ...BUNDLED_VERSION.card, base: 99 },
+    { effectiveDate: "2026-10-20", by: "Demo Dispatcher", now: today }
+  ),
+  "v2",
+  { by: "Demo Dispatcher" }
+);
+
+test("dispatchers are priced on the published version and their diesel override", () => {
+  const inputs = pricingInputs({
+    isDispatcher: true,
+    versions,
+    diesel: override,
+    today,
+  });
+  expect(inputs.rateCard.base).toBe(99);
+  expect(inputs.diesel).toBe(override);
+});
+
+test("everyone else gets the bundled card and the weekly diesel price", () => {
+  const inputs = pricingInputs({
+    isDispatcher: false,
+    versions,
+    diesel: override,
+    today,
+  });
+  expect(inputs.rateCard).toBe(BUNDLED_VERSION.card);
+  expect(inputs.diesel).toBe(defaultDieselPrice);
+});
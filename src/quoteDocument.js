@@ -0,0 +1,190 @@
+// src/quoteDocument.js
+// Builds the standalone, printable quote that customers attach to a PO.
+// Everything is inlined (styles, map snapshot) so the browser's
+// "Save as PDF" output matches what's on screen.
+
+import { formatDate } from "./dates";
+import { fuelLabel } from "./fuelSurcharge";
+
+const escapeHtml = (value) =>
+  String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const money = (n) =>
+  `${n < 0 ? "−" : ""}$${Math.abs(Number(n || 0)).toFixed(2)}`;
+
+const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+export function makeQuoteNumber(now = new Date()) {
+  const day = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(
+    now.getDate()
+  )}`;
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+  return `TSQ-${day}-${suffix}`;
+}
+
+// Projects [lat, lon] pairs into an SVG viewBox. Longitude is scaled by
+// cos(mid-latitude) so lanes keep roughly their real shape.
+export function routeSnapshotSvg(coords, { width = 560, height = 260 } = {}) {
+  if (!coords || coords.length < 2) return "";
+
+  const lats = coords.map((c) => c[0]);
+  const lons = coords.map((c) => c[1]);
+  const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const kx = Math.cos((midLat * Math.PI) / 180);
+  const xs = lons.map((lon) => lon * kx);
+  const minX = Math.min(...xs);
+  const maxY = Math.max(...lats);
+  const spanX = Math.max(...xs) - minX || 1e-6;
+  const spanY = maxY - Math.min(...lats) || 1e-6;
+  const margin = 24;
+  const scale = Math.min(
+    (width - margin * 2) / spanX,
+    (height - margin * 2) / spanY
+  );
+  const offX = (width - spanX * scale) / 2;
+  const offY = (height - spanY * scale) / 2;
+
+  const points = coords.map(([lat], i) => [
+    offX + (xs[i] - minX) * scale,
+    offY + (maxY - lat) * scale,
+  ]);
+  const fmt = ([x, y]) => [x.toFixed(1), y.toFixed(1)];
+  const path = points.map((p) => fmt(p).join(",")).join(" ");
+  const [sx, sy] = fmt(points[0]);
+  const [ex, ey] = fmt(points[points.length - 1]);
+  const dot = (cx, cy, fill) =>
+    `<circle cx="${cx}" cy="${cy}" r="7" fill="${fill}" stroke="#fff" stroke-width="2"/>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Route map">`,
+    `<rect width="${width}" height="${height}" rx="12" fill="#eef5ff"/>`,
+    `<polyline points="${path}" fill="none" stroke="#2563eb" stroke-width="4" stroke-linejoin="round" stroke-linecap="round"/>`,
+    dot(sx, sy, "#10b981"),
+    dot(ex, ey, "#111827"),
+    "</svg>",
+  ].join("\n");
+}
+
+export function buildQuoteDocument({
+  brand,
+  logoUrl,
+  quote,
+  estimate,
+  route,
+  quoteNumber,
+  issuedAt,
+  validUntil,
+}) {
+  const lane = [
+    quote.origin,
+    ...quote.stops.map((s) => s.address).filter((a) => a.trim()),
+    quote.destination,
+  ];
+  const accessorials = estimate.accessorials.map((a) => a.label);
+  const row = (label, amount, cls = "") =>
+    `<tr class="${cls}"><td>${escapeHtml(label)}</td>` +
+    `<td class="num">${money(amount)}</td></tr>`;
+  const lineRows = estimate.lineItems
+    .filter((item) => item.amount !== 0)
+    .map((item) => row(item.label, item.amount))
+    .join("");
+  const map = route ? routeSnapshotSvg(route.coords) : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Quote ${escapeHtml(quoteNumber)} · ${escapeHtml(brand.name)}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 32px; color: #0f172a; font: 13px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #0f172a; padding-bottom: 16px; }
+  header img { height: 64px; border-radius: 12px; }
+  h1 { margin: 0; font-size: 22px; }
+  h2 { margin: 24px 0 8px; font-size: 13px; text-transform: uppercase; letter-spacing: .08em; color: #475569; }
+  .muted { color: #64748b; }
+  .meta { text-align: right; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 8px 24px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 6px 0; border-bottom: 1px solid #e2e8f0; }
+  td.num { text-align: right; }
+  tr.total td { border-bottom: 0; border-top: 2px solid #0f172a; font-size: 16px; font-weight: 600; }
+  .notes { white-space: pre-wrap; background: #f8fafc; border-radius: 8px; padding: 12px; }
+  footer { margin-top: 32px; font-size: 11px; color: #64748b; }
+  .sign { margin-top: 32px; display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+  .sign div { border-top: 1px solid #0f172a; padding-top: 4px; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <div>
+    ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="" />` : ""}
+    <h1>${escapeHtml(brand.name)}</h1>
+    <div class="muted">${escapeHtml(brand.tagline)}</div>
+    <div>${escapeHtml(brand.phone)} · ${escapeHtml(brand.email)}</div>
+  </div>
+  <div class="meta">
+    <h1>Freight Quote</h1>
+    <div><strong>Quote #</strong> ${escapeHtml(quoteNumber)}</div>
+    <div><strong>Issued</strong> ${formatDate(issuedAt)}</div>
+    <div><strong>Valid until</strong> ${formatDate(validUntil)}</div>
+  </div>
+</header>
+
+<h2>Lane</h2>
+<div>${lane.map(escapeHtml).join(" → ")}</div>
+<div class="muted">${estimate.dist} miles${
+    route ? ` · routed via ${escapeHtml(route.provider.label)}` : ""
+  }</div>
+${map ? `<div style="margin-top:12px">${map}</div>` : ""}
+
+<h2>Freight details</h2>
+<div class="grid">
+  <div><strong>Weight:</strong> ${escapeHtml(quote.weight)} lbs</div>
+  <div><strong>Pallets:</strong> ${escapeHtml(quote.pallets)}</div>
+  <div><strong>Vehicle:</strong> ${
+    estimate.vehicle ? escapeHtml(estimate.vehicle.label) : "—"
+  }</div>
+  <div><strong>Service:</strong> ${
+    quote.urgency === "expedited" ? "Expedited / Hot Shot" : "Standard"
+  }</div>
+  <div><strong>Accessorials:</strong> ${
+    accessorials.length ? accessorials.map(escapeHtml).join(", ") : "None"
+  }</div>
+  <div><strong>Pickup date:</strong> ${formatDate(quote.pickupDate)}</div>
+  <div><strong>Delivery date:</strong> ${formatDate(quote.deliveryDate)}</div>
+</div>
+
+<h2>Price breakdown</h2>
+<table>
+  ${lineRows}
+  ${row("Subtotal (before fuel)", estimate.subtotal)}
+  ${row(fuelLabel(estimate), estimate.fuelAmount)}
+  ${row("Estimated total", estimate.total, "total")}
+</table>
+
+${
+  quote.notes
+    ? `<h2>Notes</h2><div class="notes">${escapeHtml(quote.notes)}</div>`
+    : ""
+}
+
+<div class="sign">
+  <div>Customer approval</div>
+  <div>Date</div>
+</div>
+
+<footer>
+  Non-binding estimate based on the information above. Final rate is
+  confirmed by dispatch against live capacity and exact requirements.
+  Prices valid until ${formatDate(validUntil)}.
+</footer>
+</body>
+</html>`;
+}
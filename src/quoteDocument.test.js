@@ -0,0 +1,60 @@
+import { defaultRateCard, priceQuote } from "./rateCard";
+import { DEFAULT_QUOTE } from "./quoteState";
+import {
+  buildQuoteDocument,
+  makeQuoteNumber,
+  routeSnapshotSvg,
+} from "./quoteDocument";
+
+const brand = {
+  name: "T&S EXPRESS LOGISTICS",
+  tagline: "On-time. Every time.",
+  phone: "+1 (305) 555-0137",
+  email: "hello@ts-logistics.com",
+};
+
+test("renders every line item, escaped notes and the route snapshot", () => {
+  const quote = {
+    ...DEFAULT_QUOTE,
+    notes: "<b>Dock 4</b> & call ahead",
+    accessories: { ...DEFAULT_QUOTE.accessories, inside: true },
+  };
+  const estimate = priceQuote(defaultRateCard, {
+    distanceMi: quote.distance,
+    weightLbs: quote.weight,
+    pallets: quote.pallets,
+    urgency: quote.urgency,
+    accessories: quote.accessories,
+  });
+  const html = buildQuoteDocument({
+    brand,
+    quote,
+    estimate,
+    route: {
+      coords: [
+        [25.76, -80.19],
+        [33.75, -84.39],
+      ],
+      provider: { label: "Offline estimate" },
+    },
+    quoteNumber: "TSQ-20261019-AB12",
+    issuedAt: new Date(2026, 9, 19),
+    validUntil: new Date(2026, 9, 26),
+  });
+
+  expect(html).toContain("T&amp;S EXPRESS LOGISTICS");
+  expect(html).toContain("TSQ-20261019-AB12");
+  expect(html).toContain("Oct 26, 2026");
+  expect(html).toContain("Inside Delivery");
+  expect(html).toContain("Expedited / rush fee");
+  expect(html).toContain(`$${estimate.total.toFixed(2)}`);
+  expect(html).toContain("&lt;b&gt;Dock 4&lt;/b&gt; &amp; call ahead");
+  expect(html).toContain("<polyline");
+});
+
+test("numbers quotes by issue date", () => {
+  expect(makeQuoteNumber(new Date(2026, 0, 5))).toMatch(
+    /^TSQ-20260105-[A-Z0-9]{4}$/
+  );
+  expect(routeSnapshotSvg([[25, -80]])).toBe("");
+});
@@ -0,0 +1,67 @@
+// src/quoteHistory.js
+import { loadJSON, saveJSON } from "./storage";
+
+const STORAGE_KEY = "quoteHistory";
+export const MAX_HISTORY = 50;
+export const MAX_COMPARE = 3;
+
+export const loadQuoteHistory = () => loadJSON(STORAGE_KEY, []);
+export const saveQuoteHistory = (entries) => saveJSON(STORAGE_KEY, entries);
+
+export const defaultQuoteName = (quote) =>
+  `${quote.origin} → ${quote.destination} · ${
+    quote.urgency === "expedited" ? "Expedited" : "Standard"
+  }`;
+
+// Freezes the form and its priced breakdown together so later rate card
+// changes don't rewrite what the customer was shown.
+export function snapshotQuote(quote, estimate, now = new Date()) {
+  return {
+    id: `q-${now.getTime().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`,
+    name: defaultQuoteName(quote),
+    savedAt: now.toISOString(),
+    quote,
+    estimate,
+  };
+}
+
+// Rows for the side-by-side table: every line item that appears in any of
+// the compared quotes, in first-seen order, plus the roll-up totals.
+export function comparisonRows(entries) {
+  const rows = [];
+  const seen = new Map();
+  entries.forEach((entry, col) => {
+    entry.estimate.lineItems.forEach((item) => {
+      if (!seen.has(item.key)) {
+        seen.set(item.key, rows.length);
+        rows.push({
+          key: item.key,
+          label: item.label,
+          values: entries.map(() => 0),
+        });
+      }
+      rows[seen.get(item.key)].values[col] = item.amount;
+    });
+  });
+
+  return [
+    ...rows.filter((row) => row.values.some((v) => v !== 0)),
+    {
+      key: "subtotal",
+      label: "Subtotal (before fuel)",
+      values: entries.map((e) => e.estimate.subtotal),
+    },
+    {
+      key: "fuel",
+      label: "Fuel surcharge",
+      values: entries.map((e) => e.estimate.fuelAmount),
+    },
+    {
+      key: "total",
+      label: "Estimated total",
+      values: entries.map((e) => e.estimate.total),
+    },
+  ];
+}
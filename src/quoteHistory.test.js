@@ -0,0 +1,39 @@
+import { defaultRateCard, priceQuote } from "./rateCard";
+import { DEFAULT_QUOTE } from "./quoteState";
+import { comparisonRows, snapshotQuote } from "./quoteHistory";
+
+const snapshot = (overrides) => {
+  const quote = { ...DEFAULT_QUOTE, ...overrides };
+  const estimate = priceQuote(defaultRateCard, {
+    distanceMi: quote.distance,
+    weightLbs: quote.weight,
+    pallets: quote.pallets,
+    urgency: quote.urgency,
+    accessories: quote.accessories,
+  });
+  return snapshotQuote(quote, estimate);
+};
+
+test("lines up line items across compared quotes", () => {
+  const expedited = snapshot({});
+  const standard = snapshot({
+    urgency: "standard",
+    accessories: { ...DEFAULT_QUOTE.accessories, whiteGlove: true },
+  });
+  const rows = comparisonRows([expedited, standard]);
+  const byKey = Object.fromEntries(rows.map((r) => [r.key, r.values]));
+
+  expect(byKey.rushFee).toEqual([95, 0]);
+  expect(byKey["acc:whiteGlove"]).toEqual([0, 55]);
+  expect(byKey.total).toEqual([
+    expedited.estimate.total,
+    standard.estimate.total,
+  ]);
+  expect(byKey).not.toHaveProperty("heavySurcharge");
+});
+
+test("names snapshots after the lane and urgency", () => {
+  expect(snapshot({ urgency: "standard" }).name).toBe(
+    "Miami, FL → Atlanta, GA · Standard"
+  );
+});
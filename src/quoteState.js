@@ -0,0 +1,125 @@
+// src/quoteState.js
+import { loadJSON, saveJSON } from "./storage";
+
+export const DEFAULT_QUOTE = {
+  origin: "Miami, FL",
+  destination: "Atlanta, GA",
+  // Places picked from the typeahead: { label, city, state, zip, lat, lon }
+  originPlace: null,
+  destinationPlace: null,
+  stops: [],
+  distance: 663,
+  weight: 120,
+  pallets: 2,
+  // Optional per-piece dimensions for cube / dim weight pricing.
+  pieces: [],
+  // Vehicle class key from the rate card; "" lets the form recommend one.
+  vehicle: "",
+  urgency: "expedited",
+  // Passed to the routing provider on Auto Distance.
+  avoid: {
+    tolls: false,
+    highways: false,
+    ferries: false,
+  },
+  pickupDate: "",
+  deliveryDate: "",
+  accessories: {
+    inside: false,
+    whiteGlove: false,
+    afterHours: false,
+  },
+  notes: "",
+};
+
+const STORAGE_KEY = "quote";
+const URL_PARAM = "quote";
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isNumberOrString = (v) => typeof v === "number" || typeof v === "string";
+
+// The map and router read lat/lon straight off a place.
+const isPlace = (v) =>
+  isPlainObject(v) && isFiniteNumber(v.lat) && isFiniteNumber(v.lon);
+
+// List items the form renders field by field; anything else is dropped
+// rather than left to crash the render.
+const ITEM_CHECKS = {
+  stops: (stop) =>
+    isPlainObject(stop) &&
+    typeof stop.id === "string" &&
+    typeof stop.address === "string" &&
+    (stop.place == null || isPlace(stop.place)),
+  pieces: (piece) =>
+    isPlainObject(piece) &&
+    typeof piece.id === "string" &&
+    ["lengthIn", "widthIn", "heightIn", "count"].every((k) =>
+      isNumberOrString(piece[k])
+    ),
+};
+
+// Only keys the form knows about survive, and each keeps the shape of its
+// default, so a hand-edited or stale link can't inject odd state.
+export function mergeQuote(defaults, raw) {
+  if (!isPlainObject(raw)) return defaults;
+  const merged = { ...defaults };
+  Object.keys(defaults).forEach((key) => {
+    if (!(key in raw)) return;
+    const def = defaults[key];
+    const val = raw[key];
+    if (def === null) {
+      // The only nullable keys are typeahead places.
+      merged[key] = isPlace(val) ? val : null;
+    } else if (Array.isArray(def)) {
+      if (Array.isArray(val)) {
+        merged[key] = ITEM_CHECKS[key] ? val.filter(ITEM_CHECKS[key]) : val;
+      }
+    } else if (isPlainObject(def)) {
+      merged[key] = mergeQuote(def, val);
+    } else if (typeof def === "number") {
+      // Number inputs hold strings while editing; keep either form.
+      if (isNumberOrString(val)) merged[key] = val;
+    } else if (typeof val === typeof def) {
+      merged[key] = val;
+    }
+  });
+  return merged;
+}
+
+export const serializeQuote = (quote) => JSON.stringify(quote);
+
+export function deserializeQuote(text, defaults = DEFAULT_QUOTE) {
+  try {
+    return mergeQuote(defaults, JSON.parse(text));
+  } catch (err) {
+    return null;
+  }
+}
+
+// A shared link wins over the last quote saved on this device.
+export function restoreQuote(defaults = DEFAULT_QUOTE) {
+  const fromUrl = new URLSearchParams(window.location.search).get(URL_PARAM);
+  if (fromUrl) {
+    const quote = deserializeQuote(fromUrl, defaults);
+    if (quote) return quote;
+  }
+  return mergeQuote(defaults, loadJSON(STORAGE_KEY, null));
+}
+
+export function shareUrlFor(quote) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(URL_PARAM, serializeQuote(quote));
+  url.hash = "quote";
+  return url.toString();
+}
+
+// Keeps localStorage and the address bar in step with the form without
+// adding history entries or touching the section hash.
+export function persistQuote(quote) {
+  saveJSON(STORAGE_KEY, quote);
+  const url = new URL(window.location.href);
+  url.searchParams.set(URL_PARAM, serializeQuote(quote));
+  window.history.replaceState(window.history.state, "", url.toString());
+}
@@ -0,0 +1,79 @@
+import {
+  DEFAULT_QUOTE,
+  deserializeQuote,
+  persistQuote,
+  restoreQuote,
+  serializeQuote,
+  shareUrlFor,
+} from "./quoteState";
+
+const lane = {
+  ...DEFAULT_QUOTE,
+  origin: "Tampa, FL",
+  destination: "Charlotte, NC",
+  weight: "800",
+  urgency: "standard",
+  pickupDate: "2026-11-02",
+  accessories: { ...DEFAULT_QUOTE.accessories, inside: true },
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+test("round-trips a quote through its serialized form", () => {
+  expect(deserializeQuote(serializeQuote(lane))).toEqual(lane);
+});
+
+test("drops unknown keys and mistyped values", () => {
+  const quote = deserializeQuote(
+    JSON.stringify({ origin: 42, admin: true, accessories: { inside: true } })
+  );
+  expect(quote.origin).toBe(DEFAULT_QUOTE.origin);
+  expect(quote).not.toHaveProperty("admin");
+  expect(quote.accessories).toEqual({
+    ...DEFAULT_QUOTE.accessories,
+    inside: true,
+  });
+  expect(deserializeQuote("not json")).toBeNull();
+});
+
+test("drops malformed stops, pieces and places", () => {
+  const stop = { id: "s1", address: "Orlando, FL", place: null };
+  const piece = {
+    id: "p1",
+    lengthIn: "48",
+    widthIn: 40,
+    heightIn: "",
+    count: 1,
+  };
+  const quote = deserializeQuote(
+    JSON.stringify({
+      stops: [
+        null,
+        {},
+        { id: "s2", address: 7 },
+        { id: "s3", address: "Tampa, FL", place: { label: "Tampa" } },
+        stop,
+      ],
+      pieces: ["48x40", { id: "p0" }, piece],
+      originPlace: { label: "Miami, FL" },
+      destinationPlace: { label: "Atlanta, GA", lat: 33.75, lon: -84.39 },
+    })
+  );
+  expect(quote.stops).toEqual([stop]);
+  expect(quote.pieces).toEqual([piece]);
+  expect(quote.originPlace).toBeNull();
+  expect(quote.destinationPlace.lat).toBe(33.75);
+});
+
+test("restores from localStorage, with a shared link taking priority", () => {
+  persistQuote(lane);
+  window.history.replaceState(null, "", "/");
+  expect(restoreQuote()).toEqual(lane);
+
+  const shared = { ...lane, origin: "Miami, FL (Haulover)" };
+  window.history.replaceState(null, "", new URL(shareUrlFor(shared)).search);
+  expect(restoreQuote().origin).toBe("Miami, FL (Haulover)");
+});
@@ -0,0 +1,114 @@
+// src/quoteValidation.js
+import { parseDateInput, startOfDay } from "./dates";
+import { defaultRateCard } from "./rateCard";
+import { vehicleLimits } from "./vehicles";
+
+// What a single cargo van can legally and physically take; the form passes
+// the limits of whichever vehicle class is selected.
+export const CARGO_VAN_LIMITS = vehicleLimits({
+  key: "cargoVan",
+  ...defaultRateCard.vehicles.cargoVan,
+});
+
+// Fields that feed the price; if any is invalid there is nothing to price.
+export const PRICED_FIELDS = ["distance", "weight", "pallets"];
+
+const FIELD_LABELS = {
+  origin: "Origin",
+  destination: "Destination",
+  distance: "Distance",
+  weight: "Weight",
+  pallets: "Pallets",
+  pieces: "Dimensions",
+  pickupDate: "Pickup date",
+  deliveryDate: "Delivery date",
+};
+
+const isBlank = (v) => v === "" || v == null || String(v).trim() === "";
+
+// Returns { valid, errors: { field: message }, messages: [summary lines] }.
+export function validateQuote(
+  quote,
+  { today = new Date(), limits = CARGO_VAN_LIMITS } = {}
+) {
+  const errors = {};
+
+  if (isBlank(quote.origin)) errors.origin = "Enter a pickup city or ZIP.";
+  if (isBlank(quote.destination)) {
+    errors.destination = "Enter a delivery city or ZIP.";
+  }
+
+  const distance = Number(quote.distance);
+  if (isBlank(quote.distance)) {
+    errors.distance = "Enter the lane distance or use Auto Distance.";
+  } else if (!Number.isFinite(distance) || distance <= 0) {
+    errors.distance = "Distance must be greater than 0 miles.";
+  }
+
+  const weight = Number(quote.weight);
+  if (isBlank(quote.weight)) {
+    errors.weight = "Enter the total shipment weight.";
+  } else if (!Number.isFinite(weight) || weight <= 0) {
+    errors.weight = "Weight must be greater than 0 lbs.";
+  } else if (weight > limits.maxWeightLbs) {
+    errors.weight = `Over the ${
+      limits.label
+    } limit of ${limits.maxWeightLbs.toLocaleString()} lbs.`;
+  }
+
+  const pallets = Number(quote.pallets);
+  if (isBlank(quote.pallets)) {
+    errors.pallets = "Enter the number of pallets.";
+  } else if (!Number.isInteger(pallets) || pallets < 1) {
+    errors.pallets = "Pallets must be a whole number of at least 1.";
+  } else if (pallets > limits.maxPallets) {
+    errors.pallets = `A ${limits.label} fits at most ${limits.maxPallets} pallets.`;
+  }
+
+  const pieces = quote.pieces || [];
+  const badPiece = pieces.find(
+    (p) =>
+      !(Number(p.lengthIn) > 0) ||
+      !(Number(p.widthIn) > 0) ||
+      !(Number(p.heightIn) > 0) ||
+      !Number.isInteger(Number(p.count)) ||
+      Number(p.count) < 1
+  );
+  const cargo = limits.cargoIn;
+  const oversize =
+    cargo &&
+    pieces.find((p) => {
+      const [long, short] = [Number(p.lengthIn), Number(p.widthIn)].sort(
+        (a, b) => b - a
+      );
+      return (
+        long > cargo.length ||
+        short > cargo.width ||
+        Number(p.heightIn) > cargo.height
+      );
+    });
+  if (badPiece) {
+    errors.pieces =
+      "Each piece needs length, width and height above 0 and a whole-number count.";
+  } else if (oversize) {
+    errors.pieces = `A ${oversize.lengthIn}×${oversize.widthIn}×${oversize.heightIn} in piece won't fit the ${limits.label} cargo area.`;
+  }
+
+  const pickup = parseDateInput(quote.pickupDate);
+  const delivery = parseDateInput(quote.deliveryDate);
+  if (!pickup) {
+    errors.pickupDate = "Choose a pickup date.";
+  } else if (pickup < startOfDay(today)) {
+    errors.pickupDate = "Pickup date can't be in the past.";
+  }
+  if (quote.deliveryDate && !delivery) {
+    errors.deliveryDate = "Enter a valid delivery date.";
+  } else if (pickup && delivery && delivery < pickup) {
+    errors.deliveryDate = "Delivery must be on or after the pickup date.";
+  }
+
+  const messages = Object.entries(errors).map(
+    ([field, msg]) => `${FIELD_LABELS[field] || field}: ${msg}`
+  );
+  return { valid: messages.length === 0, errors, messages };
+}
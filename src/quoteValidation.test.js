@@ -0,0 +1,72 @@
+import { DEFAULT_QUOTE } from "./quoteState";
+import { CARGO_VAN_LIMITS, validateQuote } from "./quoteValidation";
+
+const today = new Date(2026, 9, 19);
+const valid = {
+  ...DEFAULT_QUOTE,
+  pickupDate: "2026-10-20",
+  deliveryDate: "2026-10-21",
+};
+
+test("accepts a complete, feasible quote", () => {
+  expect(validateQuote(valid, { today })).toEqual({
+    valid: true,
+    errors: {},
+    messages: [],
+  });
+});
+
+test("rejects non-positive or missing numbers", () => {
+  const { errors, valid: ok } = validateQuote(
+    { ...valid, distance: "-5", weight: "0", pallets: "" },
+    { today }
+  );
+  expect(ok).toBe(false);
+  expect(Object.keys(errors)).toEqual(["distance", "weight", "pallets"]);
+});
+
+test("enforces cargo van capacity", () => {
+  const { errors } = validateQuote(
+    {
+      ...valid,
+      weight: CARGO_VAN_LIMITS.maxWeightLbs + 1,
+      pallets: CARGO_VAN_LIMITS.maxPallets + 1,
+    },
+    { today }
+  );
+  expect(errors.weight).toMatch(/cargo van limit/);
+  expect(errors.pallets).toMatch(/at most/);
+});
+
+test("applies pickup and delivery date rules", () => {
+  expect(
+    validateQuote({ ...valid, pickupDate: "2026-10-18" }, { today }).errors
+  ).toHaveProperty("pickupDate");
+  expect(
+    validateQuote({ ...valid, pickupDate: "2026-10-19" }, { today }).valid
+  ).toBe(true);
+  expect(
+    validateQuote({ ...valid, deliveryDate: "2026-10-19" }, { today }).errors
+      .deliveryDate
+  ).toMatch(/on or after/);
+  expect(
+    validateQuote({ ...valid, pickupDate: "" }, { today }).messages
+  ).toContain("Pickup date: Choose a pickup date.");
+});
+
+test("checks piece dimensions against the vehicle cargo area", () => {
+  const piece = { id: "p", lengthIn: 48, widthIn: 40, heightIn: 40, count: 1 };
+  expect(validateQuote({ ...valid, pieces: [piece] }, { today }).valid).toBe(
+    true
+  );
+  expect(
+    validateQuote({ ...valid, pieces: [{ ...piece, heightIn: 0 }] }, { today })
+      .errors.pieces
+  ).toMatch(/above 0/);
+  expect(
+    validateQuote(
+      { ...valid, pieces: [{ ...piece, lengthIn: 200 }] },
+      { today }
+    ).errors.pieces
+  ).toMatch(/won't fit the cargo van/);
+});
@@ -0,0 +1,204 @@
+// src/rateCard.js
+import defaultRateCard from "./data/rateCard.json";
+import { resolveVehicle } from "./vehicles";
+import { freightMetrics } from "./freight";
+import { findLaneRule } from "./laneRules";
+import { resolveFuel } from "./fuelSurcharge";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// 0.9 → "−10%", 1.08 → "+8%"
+const percent = (multiplier) => {
+  const pct = Math.round((multiplier - 1) * 100);
+  return `${pct < 0 ? "−" : "+"}${Math.abs(pct)}%`;
+};
+
+export { defaultRateCard };
+
+// Graduated mileage: each tier bills only the miles that fall inside it.
+// A tier with upToMi = null covers everything past the previous tier.
+export function mileageCharge(tiers, miles) {
+  let charged = 0;
+  let floor = 0;
+  for (const tier of tiers) {
+    if (miles <= floor) break;
+    const ceiling = tier.upToMi == null ? Infinity : tier.upToMi;
+    const band = Math.min(miles, ceiling) - floor;
+    charged += band * tier.perMile;
+    floor = ceiling;
+  }
+  return round2(charged);
+}
+
+// The highest weight break the freight clears wins; breaks don't stack.
+export function weightSurcharge(breaks, weightLbs) {
+  return breaks.reduce(
+    (acc, b) =>
+      weightLbs > b.overLbs && b.surcharge > acc ? b.surcharge : acc,
+    0
+  );
+}
+
+export function palletCharge(pricing, pallets) {
+  if (!pricing) return 0;
+  const extra = Math.max(0, Math.ceil(pallets) - pricing.includedPallets);
+  return extra * pricing.perPallet;
+}
+
+export function accessorialLines(table, accessories) {
+  return Object.entries(table)
+    .filter(([key]) => accessories && accessories[key])
+    .map(([key, a]) => ({ key, label: a.label, amount: a.amount }));
+}
+
+// Prices a lane against a rate card. Returns null until there is a distance,
+// matching what the Pricing Snapshot expects.
+export function priceQuote(
+  card,
+  {
+    distanceMi,
+    weightLbs,
+    pallets,
+    pieces = [],
+    stops = 0,
+    urgency,
+    accessories,
+    vehicle: vehicleKey = "",
+    lane,
+    diesel,
+  }
+) {
+  const dist = Number(distanceMi || 0);
+  if (!dist) return null;
+
+  const weight = Number(weightLbs || 0);
+  // Each vehicle class can carry its own base, mileage multiplier and floor;
+  // anything it leaves out falls back to the card-wide value.
+  const vehicle = card.vehicles
+    ? resolveVehicle(card, vehicleKey, weight, pallets)
+    : null;
+  const base = vehicle && vehicle.base != null ? vehicle.base : card.base;
+  const multiplier = (vehicle && vehicle.mileageMultiplier) || 1;
+  const minimum =
+    vehicle && vehicle.minimumCharge != null
+      ? vehicle.minimumCharge
+      : card.minimumCharge || 0;
+  const miles = round2(mileageCharge(card.mileageTiers, dist) * multiplier);
+  const standardLinehaul = round2(Math.max(base + miles, minimum));
+  // A contracted lane replaces the linehaul outright; a regional or
+  // head/backhaul rule scales it and shows the difference as its own line.
+  const laneRule = findLaneRule(card, lane, vehicle && vehicle.key);
+  let linehaul = standardLinehaul;
+  if (laneRule && laneRule.kind === "contract") {
+    linehaul = laneRule.rates[vehicle.key];
+  } else if (laneRule) {
+    linehaul = round2(
+      Math.max(standardLinehaul * laneRule.multiplier, minimum)
+    );
+  }
+  const laneAdjustment = round2(linehaul - standardLinehaul);
+  const billing = freightMetrics(pieces, {
+    weightLbs: weight,
+    dimDivisor: card.dimDivisor,
+    cargoHeightIn: vehicle && vehicle.cargoIn && vehicle.cargoIn.height,
+  });
+  const heavySurcharge = weightSurcharge(
+    card.weightBreaks,
+    billing.billableWeightLbs
+  );
+  const palletFee = palletCharge(card.palletPricing, Number(pallets || 0));
+  const stopCount = Math.max(0, Number(stops) || 0);
+  const stopFee = stopCount * (card.stopCharge || 0);
+  const rushFee = card.rushFees[urgency] || 0;
+  const accessorials = accessorialLines(card.accessorials, accessories);
+  const accessorialsTotal = accessorials.reduce((sum, a) => sum + a.amount, 0);
+
+  const subtotal = round2(
+    linehaul +
+      heavySurcharge +
+      palletFee +
+      stopFee +
+      rushFee +
+      accessorialsTotal
+  );
+  const fuel = resolveFuel(card, diesel);
+  const fuelSurcharge = fuel.surcharge;
+  const total = round2(subtotal * (1 + fuelSurcharge));
+  const fuelAmount = round2(total - subtotal);
+
+  const lineItems = [
+    laneRule && laneRule.kind === "contract"
+      ? {
+          key: "linehaul",
+          label: `Contract linehaul: ${laneRule.label} (${vehicle.label})`,
+          amount: linehaul,
+        }
+      : {
+          key: "linehaul",
+          label: vehicle
+            ? `Linehaul (base + miles, ${vehicle.label})`
+            : "Linehaul (base + miles)",
+          amount: standardLinehaul,
+        },
+    ...(laneRule && laneRule.kind !== "contract"
+      ? [
+          {
+            key: `lane:${laneRule.id}`,
+            label: `${laneRule.label} (${percent(laneRule.multiplier)})`,
+            amount: laneAdjustment,
+          },
+        ]
+      : []),
+    {
+      key: "heavySurcharge",
+      label:
+        billing.basis === "dim"
+          ? `Heavy freight surcharge (dim weight ${billing.dimWeightLbs} lbs)`
+          : "Heavy freight surcharge",
+      amount: heavySurcharge,
+    },
+    { key: "palletCharge", label: "Additional pallets", amount: palletFee },
+    {
+      key: "stopCharge",
+      label: `Additional stops (${stopCount} × $${card.stopCharge || 0})`,
+      amount: stopFee,
+    },
+    { key: "rushFee", label: "Expedited / rush fee", amount: rushFee },
+    ...accessorials.map((a) => ({
+      key: `acc:${a.key}`,
+      label: a.label,
+      amount: a.amount,
+    })),
+  ];
+
+  return {
+    rateCard: card.name,
+    validityDays: card.quoteValidityDays || 7,
+    vehicle: vehicle && { key: vehicle.key, label: vehicle.label },
+    base,
+    perMile: round2(card.mileageTiers[0].perMile * multiplier),
+    mileageCharge: miles,
+    fuelSurcharge,
+    fuelAmount,
+    fuel,
+    billing,
+    heavySurcharge,
+    palletCharge: palletFee,
+    stops: stopCount,
+    stopCharge: stopFee,
+    rushFee,
+    accessorials,
+    accessorialsTotal,
+    dist,
+    laneRule: laneRule && {
+      id: laneRule.id,
+      label: laneRule.label,
+      kind: laneRule.kind,
+    },
+    laneAdjustment,
+    linehaul,
+    subtotal,
+    total,
+    lineItems,
+  };
+}
@@ -0,0 +1,108 @@
+import { defaultRateCard, mileageCharge, priceQuote } from "./rateCard";
+import { recommendVehicle } from "./vehicles";
+
+const lane = {
+  distanceMi: 663,
+  weightLbs: 120,
+  pallets: 2,
+  urgency: "expedited",
+  accessories: { inside: false, whiteGlove: false, afterHours: false },
+};
+
+test("prices the default lane from the rate card", () => {
+  const estimate = priceQuote(defaultRateCard, lane);
+  expect(estimate.linehaul).toBe(89 + 663 * 3);
+  expect(estimate.heavySurcharge).toBe(0);
+  expect(estimate.rushFee).toBe(95);
+  expect(estimate.total).toBe(2564.14);
+});
+
+test("returns null without a distance", () => {
+  expect(priceQuote(defaultRateCard, { ...lane, distanceMi: "" })).toBeNull();
+});
+
+test("bills graduated mileage tiers", () => {
+  const tiers = [
+    { upToMi: 100, perMile: 4 },
+    { upToMi: null, perMile: 2 },
+  ];
+  expect(mileageCharge(tiers, 50)).toBe(200);
+  expect(mileageCharge(tiers, 150)).toBe(500);
+});
+
+test("applies weight breaks, extra pallets, accessorials and minimums", () => {
+  const estimate = priceQuote(defaultRateCard, {
+    ...lane,
+    distanceMi: 2,
+    weightLbs: 400,
+    pallets: 4,
+    vehicle: "sprinter",
+    urgency: "standard",
+    accessories: { inside: true, afterHours: true },
+  });
+  expect(estimate.linehaul).toBe(defaultRateCard.minimumCharge);
+  expect(estimate.heavySurcharge).toBe(45);
+  expect(estimate.palletCharge).toBe(50);
+  expect(estimate.accessorialsTotal).toBe(75);
+  expect(estimate.lineItems.map((i) => i.key)).toContain("acc:inside");
+});
+
+test("charges per extra stop on multi-stop routes", () => {
+  const estimate = priceQuote(defaultRateCard, { ...lane, stops: 2 });
+  expect(estimate.stopCharge).toBe(2 * defaultRateCard.stopCharge);
+  expect(estimate.subtotal).toBe(89 + 663 * 3 + 95 + 100);
+});
+
+test("prices each vehicle class from its own base and multiplier", () => {
+  const sprinter = priceQuote(defaultRateCard, {
+    ...lane,
+    vehicle: "sprinter",
+  });
+  const { base, mileageMultiplier } = defaultRateCard.vehicles.sprinter;
+  expect(sprinter.vehicle.key).toBe("sprinter");
+  expect(sprinter.linehaul).toBeCloseTo(base + 663 * 3 * mileageMultiplier);
+});
+
+test("auto-selects the smallest vehicle that fits the load", () => {
+  expect(recommendVehicle(defaultRateCard, 120, 2).key).toBe("cargoVan");
+  expect(recommendVehicle(defaultRateCard, 3200, 2).key).toBe("sprinter");
+  expect(recommendVehicle(defaultRateCard, 800, 6).key).toBe("boxTruck");
+  expect(recommendVehicle(defaultRateCard, 20000, 2)).toBeNull();
+
+  const auto = priceQuote(defaultRateCard, { ...lane, pallets: 4 });
+  expect(auto.vehicle.key).toBe("sprinter");
+});
+
+test("prices the Haulover Express contract lane at its fixed rate", () => {
+  const estimate = priceQuote(defaultRateCard, {
+    ...lane,
+    distanceMi: 235,
+    lane: {
+      origin: { text: "Miami, FL (Haulover)", state: "FL" },
+      destination: { text: "Orlando, FL", state: "FL" },
+    },
+  });
+  expect(estimate.laneRule.id).toBe("hauloverExpress");
+  expect(estimate.linehaul).toBe(650);
+  expect(estimate.lineItems[0].label).toMatch(/Haulover Express/);
+});
+
+test("shows a regional lane adjustment as its own line item", () => {
+  const estimate = priceQuote(defaultRateCard, {
+    ...lane,
+    lane: {
+      origin: { text: "Atlanta, GA", state: "GA" },
+      destination: { text: "Miami, FL", state: "FL" },
+    },
+  });
+  const standard = 89 + 663 * 3;
+  expect(estimate.laneRule.id).toBe("floridaBackhaul");
+  expect(estimate.linehaul).toBe(standard * 0.9);
+  expect(
+    estimate.lineItems.find((i) => i.key === "lane:floridaBackhaul")
+  ).toEqual({
+    key: "lane:floridaBackhaul",
+    label: "Backhaul into Florida (−10%)",
+    amount: -0.1 * standard,
+  });
+});
@@ -0,0 +1,216 @@
+// src/rateCardForm.js
+// The rate card admin edits a flat form of strings (like the quote form)
+// and only turns it back into a rate card once it validates. Everything the
+// form doesn't cover (capacities, lane rules, metros…) is carried over from
+// the card it was opened from.
+import { applyPreset, builtInPresets } from "./lanePresets";
+import { DEFAULT_QUOTE } from "./quoteState";
+import { laneEndsFor } from "./laneRules";
+
+const str = (n) => (n == null ? "" : String(n));
+// Fractions are edited as percentages: 0.18 → "18".
+const pct = (fraction) => str(Math.round(fraction * 10000) / 100);
+
+export function formFromCard(card) {
+  return {
+    base: str(card.base),
+    minimumCharge: str(card.minimumCharge),
+    vehicleBase: Object.fromEntries(
+      Object.entries(card.vehicles || {}).map(([key, v]) => [key, str(v.base)])
+    ),
+    mileageTiers: card.mileageTiers.map((t) => ({
+      upToMi: str(t.upToMi),
+      perMile: str(t.perMile),
+    })),
+    fuelPct: pct(card.fuelSurcharge),
+    fuelSchedule: (card.fuelSchedule || []).map((b) => ({
+      upToPrice: str(b.upToPrice),
+      surchargePct: pct(b.surcharge),
+    })),
+    weightBreaks: card.weightBreaks.map((b) => ({
+      overLbs: str(b.overLbs),
+      surcharge: str(b.surcharge),
+    })),
+    rushFees: Object.fromEntries(
+      Object.entries(card.rushFees).map(([key, fee]) => [key, str(fee)])
+    ),
+    accessorials: Object.fromEntries(
+      Object.entries(card.accessorials).map(([key, a]) => [key, str(a.amount)])
+    ),
+  };
+}
+
+const num = (value) => (String(value).trim() === "" ? NaN : Number(value));
+const ceiling = (value) => (String(value).trim() === "" ? null : num(value));
+
+function amountError(value, { positive = false, max } = {}) {
+  const n = num(value);
+  if (!Number.isFinite(n)) return "Enter a number.";
+  if (positive ? n <= 0 : n < 0) {
+    return positive ? "Must be above 0." : "Can't be negative.";
+  }
+  if (max != null && n > max) return `Can't be over ${max}.`;
+  return null;
+}
+
+// Ascending ceilings where only the last row may be open-ended ("").
+function ladderErrors(rows, field, key, errors) {
+  let previous = 0;
+  rows.forEach((row, i) => {
+    const last = i === rows.length - 1;
+    const value = ceiling(row[field]);
+    if (value === null) {
+      if (!last) errors[`${key}.${i}.${field}`] = "Only the last row is open.";
+    } else if (last) {
+      errors[`${key}.${i}.${field}`] = "Leave the last row open (blank).";
+    } else if (!Number.isFinite(value) || value <= previous) {
+      errors[`${key}.${i}.${field}`] = "Must be above the row before.";
+    } else {
+      previous = value;
+    }
+  });
+}
+
+const GROUP_LABELS = {
+  base: "Base rate",
+  minimumCharge: "Minimum charge",
+  vehicleBase: "Vehicle base",
+  mileageTiers: "Per-mile tiers",
+  fuelPct: "Fuel surcharge",
+  fuelSchedule: "Fuel schedule",
+  weightBreaks: "Heavy thresholds",
+  rushFees: "Rush fees",
+  accessorials: "Accessorials",
+};
+
+const setError = (errors, key, message) => {
+  if (message) errors[key] = message;
+};
+
+// Returns { valid, errors: { "mileageTiers.0.perMile": message }, messages }.
+export function validateRateCardForm(form) {
+  const errors = {};
+  setError(errors, "base", amountError(form.base));
+  setError(errors, "minimumCharge", amountError(form.minimumCharge));
+  Object.entries(form.vehicleBase).forEach(([key, value]) =>
+    setError(errors, `vehicleBase.${key}`, amountError(value))
+  );
+
+  if (!form.mileageTiers.length) {
+    errors.mileageTiers = "Add at least one per-mile tier.";
+  }
+  ladderErrors(form.mileageTiers, "upToMi", "mileageTiers", errors);
+  form.mileageTiers.forEach((t, i) =>
+    setError(
+      errors,
+      `mileageTiers.${i}.perMile`,
+      amountError(t.perMile, { positive: true })
+    )
+  );
+
+  setError(errors, "fuelPct", amountError(form.fuelPct, { max: 100 }));
+  ladderErrors(form.fuelSchedule, "upToPrice", "fuelSchedule", errors);
+  form.fuelSchedule.forEach((b, i) =>
+    setError(
+      errors,
+      `fuelSchedule.${i}.surchargePct`,
+      amountError(b.surchargePct, { max: 100 })
+    )
+  );
+
+  form.weightBreaks.forEach((b, i) => {
+    setError(
+      errors,
+      `weightBreaks.${i}.overLbs`,
+      amountError(b.overLbs, { positive: true })
+    );
+    setError(errors, `weightBreaks.${i}.surcharge`, amountError(b.surcharge));
+  });
+  Object.entries(form.rushFees).forEach(([key, value]) =>
+    setError(errors, `rushFees.${key}`, amountError(value))
+  );
+  Object.entries(form.accessorials).forEach(([key, value]) =>
+    setError(errors, `accessorials.${key}`, amountError(value))
+  );
+
+  const messages = Object.entries(errors).map(
+    ([key, msg]) => `${GROUP_LABELS[key.split(".")[0]]}: ${msg}`
+  );
+  return { valid: messages.length === 0, errors, messages };
+}
+
+// Only call with a form that validates.
+export function cardFromForm(card, form) {
+  const vehicles =
+    card.vehicles &&
+    Object.fromEntries(
+      Object.entries(card.vehicles).map(([key, v]) => [
+        key,
+        { ...v, base: num(form.vehicleBase[key]) },
+      ])
+    );
+  return {
+    ...card,
+    base: num(form.base),
+    minimumCharge: num(form.minimumCharge),
+    ...(vehicles && { vehicles }),
+    mileageTiers: form.mileageTiers.map((t) => ({
+      upToMi: ceiling(t.upToMi),
+      perMile: num(t.perMile),
+    })),
+    fuelSurcharge: num(form.fuelPct) / 100,
+    ...(card.fuelSchedule && {
+      fuelSchedule: form.fuelSchedule.map((b) => ({
+        upToPrice: ceiling(b.upToPrice),
+        surcharge: num(b.surchargePct) / 100,
+      })),
+    }),
+    weightBreaks: form.weightBreaks.map((b) => ({
+      overLbs: num(b.overLbs),
+      surcharge: num(b.surcharge),
+    })),
+    rushFees: Object.fromEntries(
+      Object.keys(card.rushFees).map((key) => [key, num(form.rushFees[key])])
+    ),
+    accessorials: Object.fromEntries(
+      Object.entries(card.accessorials).map(([key, a]) => [
+        key,
+        { ...a, amount: num(form.accessorials[key]) },
+      ])
+    ),
+  };
+}
+
+// Built-in presets the preview prices against: a short and a long lane, the
+// Haulover contract lane and a lane-rule headhaul.
+export const SAMPLE_LANE_IDS = [
+  "miamiAtlanta",
+  "hauloverExpress",
+  "miamiNewYork",
+  "miamiChicago",
+  "fortLauderdaleFinalMile",
+];
+
+// useQuoteEstimate inputs for each sample lane. Lanes are matched on the
+// typed names, since the preview doesn't geocode.
+export const sampleLanes = (presets = builtInPresets) =>
+  SAMPLE_LANE_IDS.map((id) => presets.find((p) => p.id === id))
+    .filter(Boolean)
+    .map((preset) => {
+      const quote = applyPreset(DEFAULT_QUOTE, preset);
+      return {
+        id: preset.id,
+        label: `${quote.origin} → ${quote.destination}`,
+        inputs: {
+          distanceMi: quote.distance,
+          weightLbs: quote.weight,
+          pallets: quote.pallets,
+          pieces: [],
+          stops: 0,
+          urgency: quote.urgency,
+          accessories: quote.accessories,
+          vehicle: "",
+          lane: laneEndsFor(quote, null),
+        },
+      };
+    });
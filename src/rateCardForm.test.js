@@ -0,0 +1,71 @@
+import {
+  cardFromForm,
+  formFromCard,
+  sampleLanes,
+  validateRateCardForm,
+} from "./rateCardForm";
+import { defaultRateCard, priceQuote } from "./rateCard";
+
+test("round-trips the bundled rate card through the form", () => {
+  const form = formFromCard(defaultRateCard);
+
+  expect(form.fuelPct).toBe("18");
+  expect(form.mileageTiers[1]).toEqual({ upToMi: "", perMile: "2.75" });
+  expect(validateRateCardForm(form).valid).toBe(true);
+  expect(cardFromForm(defaultRateCard, form)).toEqual(defaultRateCard);
+});
+
+test("flags blanks, negatives and out-of-order tiers", () => {
+  const form = formFromCard(defaultRateCard);
+  const { errors, messages } = validateRateCardForm({
+    ...form,
+    base: "",
+    rushFees: { ...form.rushFees, expedited: "-5" },
+    mileageTiers: [
+      { upToMi: "", perMile: "3" },
+      { upToMi: "500", perMile: "0" },
+    ],
+    fuelPct: "120",
+  });
+
+  expect(errors).toEqual({
+    base: "Enter a number.",
+    "rushFees.expedited": "Can't be negative.",
+    "mileageTiers.0.upToMi": "Only the last row is open.",
+    "mileageTiers.1.upToMi": "Leave the last row open (blank).",
+    "mileageTiers.1.perMile": "Must be above 0.",
+    fuelPct: "Can't be over 100.",
+  });
+  expect(messages).toContain("Rush fees: Can't be negative.");
+});
+
+test("edited prices flow through to the quote", () => {
+  const form = formFromCard(defaultRateCard);
+  const card = cardFromForm(defaultRateCard, {
+    ...form,
+    rushFees: { ...form.rushFees, expedited: "120" },
+    accessorials: { ...form.accessorials, inside: "50" },
+  });
+  const inputs = {
+    distanceMi: 663,
+    weightLbs: 120,
+    pallets: 2,
+    urgency: "expedited",
+    accessories: { inside: true },
+  };
+
+  const before = priceQuote(defaultRateCard, inputs);
+  const after = priceQuote(card, inputs);
+  expect(after.rushFee - before.rushFee).toBe(25);
+  expect(after.accessorialsTotal - before.accessorialsTotal).toBe(15);
+});
+
+test("sample lanes include Miami → Atlanta and the Haulover contract", () => {
+  const lanes = sampleLanes();
+  expect(lanes[0].label).toBe("Miami, FL → Atlanta, GA");
+
+  const haulover = lanes.find((l) => l.id === "hauloverExpress");
+  expect(priceQuote(defaultRateCard, haulover.inputs).laneRule.id).toBe(
+    "hauloverExpress"
+  );
+});
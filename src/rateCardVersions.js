@@ -0,0 +1,100 @@
+// src/rateCardVersions.js
+// Rate card versions saved from the admin screen. A version starts as a
+// draft, is previewed against sample lanes and then published; the card
+// pricing the site is the published version with the latest effective date
+// that has arrived. The bundled rate card is always version 1.
+import { defaultRateCard } from "./rateCard";
+import { parseDateInput, startOfDay } from "./dates";
+import { loadJSON, saveJSON } from "./storage";
+
+const STORAGE_KEY = "rateCardVersions";
+
+export const BUNDLED_VERSION = {
+  id: "v1",
+  version: 1,
+  status: "published",
+  effectiveDate: defaultRateCard.effectiveDate,
+  note: "Bundled rate card",
+  card: { ...defaultRateCard, version: 1 },
+};
+
+export const loadRateCardVersions = () => [
+  BUNDLED_VERSION,
+  ...loadJSON(STORAGE_KEY, []),
+];
+
+export const saveRateCardVersions = (versions) =>
+  saveJSON(
+    STORAGE_KEY,
+    versions.filter((v) => v.id !== BUNDLED_VERSION.id)
+  );
+
+// Latest effective date first; same day, the higher version wins.
+const byEffective = (a, b) =>
+  b.effectiveDate.localeCompare(a.effectiveDate) || b.version - a.version;
+
+export function activeVersion(versions, today = new Date()) {
+  const day = startOfDay(today);
+  return (
+    versions
+      .filter(
+        (v) =>
+          v.status === "published" && parseDateInput(v.effectiveDate) <= day
+      )
+      .sort(byEffective)[0] || BUNDLED_VERSION
+  );
+}
+
+// "draft", "active", "scheduled" (published, effective later) or
+// "superseded".
+export function versionState(version, versions, today = new Date()) {
+  if (version.status === "draft") return "draft";
+  if (version.id === activeVersion(versions, today).id) return "active";
+  return parseDateInput(version.effectiveDate) > startOfDay(today)
+    ? "scheduled"
+    : "superseded";
+}
+
+// Returns an error message, or null when the date can be used.
+export function effectiveDateError(effectiveDate, today = new Date()) {
+  const day = parseDateInput(effectiveDate);
+  if (!day) return "Choose an effective date.";
+  if (day < startOfDay(today)) return "Effective date can't be in the past.";
+  return null;
+}
+
+export function saveDraftVersion(
+  versions,
+  card,
+  { effectiveDate, note = "", by, now = new Date() }
+) {
+  const version = Math.max(...versions.map((v) => v.version)) + 1;
+  return [
+    ...versions,
+    {
+      id: `v${version}`,
+      version,
+      status: "draft",
+      effectiveDate,
+      note: note.trim(),
+      savedBy: by,
+      savedAt: now.toISOString(),
+      card: { ...card, version, effectiveDate },
+    },
+  ];
+}
+
+export const publishVersion = (versions, id, { by, now = new Date() }) =>
+  versions.map((v) =>
+    v.id === id && v.status === "draft"
+      ? {
+          ...v,
+          status: "published",
+          publishedBy: by,
+          publishedAt: now.toISOString(),
+        }
+      : v
+  );
+
+export const discardDraft = (versions, id) =>
+  versions.filter((v) => !(v.id === id && v.status === "draft"));
@@ -0,0 +1,77 @@
+import {
+  BUNDLED_VERSION,
+  activeVersion,
+  discardDraft,
+  effectiveDateError,
+  loadRateCardVersions,
+  publishVersion,
+  saveDraftVersion,
+  saveRateCardVersions,
+  versionState,
+} from "./rateCardVersions";
+
+const today = new Date("2026-10-20T10:00:00");
+const card = { ...BUNDLED_VERSION.card, base: 99 };
+
+beforeEach(() => window.localStorage.clear());
+
+test("drafts get the next version number and their effective date", () => {
+  const versions = saveDraftVersion([BUNDLED_VERSION], card, {
+    effectiveDate: "2026-10-26",
+    note: " Q4 rates ",
+    by: "Demo Dispatcher",
+    now: today,
+  });
+  const draft = versions[1];
+
+  expect(draft).toMatchObject({
+    id: "v2",
+    version: 2,
+    status: "draft",
+    effectiveDate: "2026-10-26",
+    note: "Q4 rates",
+    savedBy: "Demo Dispatcher",
+  });
+  expect(draft.card).toMatchObject({
+    base: 99,
+    version: 2,
+    effectiveDate: "2026-10-26",
+  });
+  expect(activeVersion(versions, today).id).toBe("v1");
+  expect(versionState(draft, versions, today)).toBe("draft");
+});
+
+test("a published version takes over on its effective date", () => {
+  let versions = saveDraftVersion([BUNDLED_VERSION], card, {
+    effectiveDate: "2026-10-26",
+    by: "Demo Dispatcher",
+    now: today,
+  });
+  versions = publishVersion(versions, "v2", { by: "Demo Dispatcher" });
+
+  expect(activeVersion(versions, today).id).toBe("v1");
+  expect(versionState(versions[1], versions, today)).toBe("scheduled");
+
+  const later = new Date("2026-10-26T08:00:00");
+  expect(activeVersion(versions, later).card.base).toBe(99);
+  expect(versionState(versions[0], versions, later)).toBe("superseded");
+});
+
+test("persists everything but the bundled version", () => {
+  const versions = saveDraftVersion([BUNDLED_VERSION], card, {
+    effectiveDate: "2026-10-21",
+    by: "x",
+    now: today,
+  });
+  saveRateCardVersions(versions);
+
+  expect(loadRateCardVersions().map((v) => v.id)).toEqual(["v1", "v2"]);
+  expect(discardDraft(versions, "v2")).toEqual([BUNDLED_VERSION]);
+  expect(discardDraft(versions, "v1")).toHaveLength(2);
+});
+
+test("effective dates can't be in the past", () => {
+  expect(effectiveDateError("", today)).toBe("Choose an effective date.");
+  expect(effectiveDateError("2026-10-19", today)).toMatch(/past/);
+  expect(effectiveDateError("2026-10-20", today)).toBeNull();
+});
@@ -0,0 +1,84 @@
+// src/routeStats.js
+import stateBounds from "./data/usStateBounds.json";
+import { metersToMiles } from "./routing/units";
+
+const MAX_SAMPLES = 200;
+
+// Bounding boxes overlap along borders, so a point is assigned to the box
+// whose center it is relatively closest to. Good enough for a "states
+// crossed" summary; not for permits or tax reporting.
+export function stateAt(lat, lon) {
+  let best = null;
+  let bestScore = Infinity;
+  stateBounds.forEach((b) => {
+    if (lat < b.minLat || lat > b.maxLat || lon < b.minLon || lon > b.maxLon) {
+      return;
+    }
+    const dy =
+      Math.abs(lat - (b.minLat + b.maxLat) / 2) / ((b.maxLat - b.minLat) / 2);
+    const dx =
+      Math.abs(lon - (b.minLon + b.maxLon) / 2) / ((b.maxLon - b.minLon) / 2);
+    const score = Math.max(dx, dy);
+    if (score < bestScore) {
+      best = b.state;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Ordered, de-duplicated states along [lat, lon] coords. The geocoded
+// origin and destination states, when known, pin down both ends.
+export function statesAlong(coords, { fromState, toState } = {}) {
+  if (!coords || !coords.length) return [];
+  const step = Math.max(1, Math.floor(coords.length / MAX_SAMPLES));
+  const sampled = [];
+  for (let i = 0; i < coords.length; i += step) sampled.push(coords[i]);
+  sampled.push(coords[coords.length - 1]);
+
+  const states = [];
+  if (fromState) states.push(fromState);
+  sampled.forEach(([lat, lon]) => {
+    const st = stateAt(lat, lon);
+    if (st && st !== states[states.length - 1]) states.push(st);
+  });
+  if (toState && states[states.length - 1] !== toState) states.push(toState);
+
+  // A lane that clips a neighbour's box and comes back counts the state once.
+  return states.filter((st, i) => states.indexOf(st) === i);
+}
+
+// Flattens ORS segment steps into one turn-by-turn list, grouped by leg.
+export function turnByTurn(route) {
+  return (route.legs || []).map((leg, i) => ({
+    leg: i,
+    from: leg.from,
+    to: leg.to,
+    steps: (leg.steps || []).map((s) => ({
+      instruction: s.instruction,
+      miles: Math.round(metersToMiles(s.distance) * 10) / 10,
+      minutes: Math.round((s.duration || 0) / 60),
+    })),
+  }));
+}
+
+export function formatDuration(seconds) {
+  const mins = Math.round((seconds || 0) / 60);
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  return h ? `${h} h ${m} min` : `${m} min`;
+}
+
+// Miles, drive time and states crossed for the overlay on the lane map.
+export function summarizeRoute(route) {
+  if (!route) return null;
+  const stops = route.waypoints || [];
+  return {
+    miles: Math.round(route.distanceMi),
+    durationS: route.durationS,
+    states: statesAlong(route.coords, {
+      fromState: stops.length ? stops[0].state : undefined,
+      toState: stops.length ? stops[stops.length - 1].state : undefined,
+    }),
+  };
+}
@@ -0,0 +1,59 @@
+import {
+  formatDuration,
+  statesAlong,
+  summarizeRoute,
+  turnByTurn,
+} from "./routeStats";
+
+// Miami → Atlanta along I-75, roughly.
+const miamiToAtlanta = [
+  [25.77, -80.19],
+  [26.64, -81.87],
+  [28.0, -82.4],
+  [29.65, -82.32],
+  [30.45, -83.3],
+  [31.2, -83.5],
+  [32.84, -83.63],
+  [33.75, -84.39],
+];
+
+test("lists the states a lane passes through, in order", () => {
+  expect(statesAlong(miamiToAtlanta)).toEqual(["FL", "GA"]);
+});
+
+test("geocoded end states win over overlapping bounding boxes", () => {
+  const route = {
+    coords: [
+      [40.71, -74.0],
+      [40.73, -74.17],
+    ],
+    distanceMi: 9.6,
+    durationS: 1500,
+    waypoints: [{ state: "NY" }, { state: "NJ" }],
+  };
+  expect(summarizeRoute(route)).toEqual({
+    miles: 10,
+    durationS: 1500,
+    states: ["NY", "NJ"],
+  });
+});
+
+test("flattens ORS steps per leg in miles and minutes", () => {
+  const legs = turnByTurn({
+    legs: [
+      {
+        from: "Miami, FL",
+        to: "Orlando, FL",
+        steps: [
+          { instruction: "Head north", distance: 1609.344, duration: 90 },
+          { instruction: "Arrive", distance: 0, duration: 0 },
+        ],
+      },
+    ],
+  });
+  expect(legs[0].steps).toEqual([
+    { instruction: "Head north", miles: 1, minutes: 2 },
+    { instruction: "Arrive", miles: 0, minutes: 0 },
+  ]);
+  expect(formatDuration(3.5 * 3600)).toBe("3 h 30 min");
+});
@@ -0,0 +1,72 @@
+// src/routing/index.js
+//
+// Routing providers all expose the same two calls:
+//   geocode(text, { size }) -> [{ label, city, state, zip, lat, lon }]
+//   route(points, { avoid: { tolls, highways, ferries }, alternatives })
+//     -> { coords, legs, distanceMi, durationS, alternatives: [...] } | null
+// Providers are tried in order; a provider that throws (missing key, API
+// down) hands off to the next one, so the offline table always answers.
+// If that next provider finds nothing, the caller gets null, not the error.
+import { createOrsProvider } from "./orsProvider";
+import { offlineProvider } from "./offlineProvider";
+
+export { offlineProvider };
+
+export function createRoutingProviders(apiKey) {
+  return apiKey
+    ? [createOrsProvider(apiKey), offlineProvider]
+    : [offlineProvider];
+}
+
+async function firstAnswer(providers, call) {
+  let lastError = null;
+  for (const provider of providers) {
+    try {
+      const result = await call(provider);
+      if (result) return { provider, result };
+      // A later "not found" is the real answer, not the earlier outage.
+      lastError = null;
+    } catch (err) {
+      console.error(`[routing] ${provider.id} failed`, err);
+      lastError = err;
+    }
+  }
+  if (lastError) throw lastError;
+  return null;
+}
+
+// Resolves each address to a place; null entries mean no provider found it.
+export async function geocodeAll(providers, texts) {
+  return Promise.all(
+    texts.map(async (text) => {
+      const answer = await firstAnswer(providers, async (p) => {
+        const matches = await p.geocode(text, { size: 1 });
+        return matches[0] || null;
+      });
+      return answer && answer.result;
+    })
+  );
+}
+
+// Routes through the ordered places and tags the result with its provider.
+export async function routeThrough(providers, points, options = {}) {
+  const answer = await firstAnswer(providers, (p) => p.route(points, options));
+  if (!answer) return null;
+  return {
+    ...answer.result,
+    provider: {
+      id: answer.provider.id,
+      label: answer.provider.label,
+      supportsRouteOptions: answer.provider.supportsRouteOptions,
+    },
+  };
+}
+
+// Typeahead candidates from the first provider that has any.
+export async function geocodeSuggestions(providers, text, size = 5) {
+  const answer = await firstAnswer(providers, async (p) => {
+    const matches = await p.geocode(text, { size });
+    return matches.length ? matches : null;
+  });
+  return answer ? answer.result : [];
+}
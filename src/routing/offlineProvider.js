@@ -0,0 +1,82 @@
+// src/routing/offlineProvider.js
+import places from "../data/usPlaces.json";
+import { greatCircleMiles } from "./units";
+
+// Roads are rarely straight: scale great-circle miles up to approximate
+// driving miles, and assume a conservative van average for drive time.
+export const ROAD_CIRCUITY = 1.2;
+export const AVERAGE_MPH = 50;
+
+const normalize = (s) =>
+  s
+    .toLowerCase()
+    .replace(/\(.*?\)/g, " ")
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const toPlace = (p) => ({
+  label: `${p.city}, ${p.state} ${p.zip}`,
+  city: p.city,
+  state: p.state,
+  zip: p.zip,
+  lat: p.lat,
+  lon: p.lon,
+});
+
+function score(place, query) {
+  const zip = query.match(/\b(\d{5})\b/);
+  if (zip) {
+    if (place.zip === zip[1]) return 100;
+    if (place.zip.slice(0, 3) === zip[1].slice(0, 3)) return 60;
+  }
+
+  const q = normalize(query);
+  const city = normalize(place.city);
+  const state = place.state.toLowerCase();
+  const words = q.split(" ");
+  const hasState = words.includes(state);
+
+  if (q === `${city} ${state}`) return 95;
+  if (q.startsWith(city) && hasState) return 90;
+  if (q === city) return 70;
+  if (city.startsWith(q) && q.length >= 3) return hasState ? 65 : 50;
+  if (q.includes(city) && hasState) return 45;
+  return 0;
+}
+
+const geocode = async (text, { size = 1 } = {}) =>
+  places
+    .map((p) => ({ p, s: score(p, text || "") }))
+    .filter((m) => m.s > 0)
+    .sort((a, b) => b.s - a.s)
+    .slice(0, size)
+    .map((m) => toPlace(m.p));
+
+const route = async (points) => {
+  const legs = points.slice(1).map((to, i) => {
+    const distanceMi = greatCircleMiles(points[i], to) * ROAD_CIRCUITY;
+    return {
+      distanceMi,
+      durationS: (distanceMi / AVERAGE_MPH) * 3600,
+      steps: [],
+    };
+  });
+
+  return {
+    coords: points.map((p) => [p.lat, p.lon]),
+    legs,
+    distanceMi: legs.reduce((sum, leg) => sum + leg.distanceMi, 0),
+    durationS: legs.reduce((sum, leg) => sum + leg.durationS, 0),
+    alternatives: [],
+  };
+};
+
+export const offlineProvider = {
+  id: "offline",
+  label: `Offline estimate (great-circle × ${ROAD_CIRCUITY} road factor)`,
+  // Straight-line legs: no alternatives, and avoid options can't apply.
+  supportsRouteOptions: false,
+  geocode,
+  route,
+};
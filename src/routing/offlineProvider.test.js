@@ -0,0 +1,57 @@
+import { offlineProvider } from "./offlineProvider";
+import { geocodeAll, routeThrough } from ".";
+
+test("geocodes city / state and ZIP text from the bundled table", async () => {
+  const [miami] = await offlineProvider.geocode("Miami, FL (Haulover)");
+  expect(miami).toMatchObject({ city: "Miami", state: "FL" });
+
+  const [atlanta] = await offlineProvider.geocode("30303");
+  expect(atlanta.city).toBe("Atlanta");
+
+  expect(await offlineProvider.geocode("Nowhere, ZZ")).toEqual([]);
+});
+
+test("routes with great-circle miles times the circuity factor", async () => {
+  const places = await geocodeAll(
+    [offlineProvider],
+    ["Miami, FL", "Orlando, FL", "Atlanta, GA"]
+  );
+  const route = await routeThrough([offlineProvider], places);
+
+  expect(route.provider.id).toBe("offline");
+  expect(route.legs).toHaveLength(2);
+  expect(route.distanceMi).toBeGreaterThan(600);
+  expect(route.distanceMi).toBeLessThan(800);
+});
+
+test("falls back to the next provider when one throws", async () => {
+  const broken = {
+    id: "broken",
+    geocode: () => Promise.reject(new Error("down")),
+    route: () => Promise.reject(new Error("down")),
+  };
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  const places = await geocodeAll([broken, offlineProvider], ["Tampa, FL"]);
+  expect(places[0].city).toBe("Tampa");
+
+  const route = await routeThrough(
+    [broken, offlineProvider],
+    [places[0], places[0]]
+  );
+  expect(route.provider.id).toBe("offline");
+  console.error.mockRestore();
+});
+
+test("reports not found when the fallback finds nothing after a failure", async () => {
+  const broken = {
+    id: "broken",
+    geocode: () => Promise.reject(new Error("quota exceeded")),
+  };
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  expect(await geocodeAll([broken, offlineProvider], ["Nowhere, ZZ"])).toEqual([
+    null,
+  ]);
+  console.error.mockRestore();
+});
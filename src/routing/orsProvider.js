@@ -0,0 +1,107 @@
+// src/routing/orsProvider.js
+import { metersToMiles } from "./units";
+
+const ORS_URL = "https://api.openrouteservice.org";
+
+const AVOID_FEATURES = {
+  tolls: "tollways",
+  highways: "highways",
+  ferries: "ferries",
+};
+
+const ALTERNATIVE_ROUTES = {
+  target_count: 3,
+  weight_factor: 1.4,
+  share_factor: 0.6,
+};
+
+const toPlace = (feature) => {
+  const [lon, lat] = feature.geometry.coordinates;
+  const p = feature.properties || {};
+  return {
+    label: p.label || p.name,
+    city: p.locality || p.name || "",
+    state: p.region_a || "",
+    zip: p.postalcode || "",
+    lat,
+    lon,
+  };
+};
+
+// ORS returns one feature per route and one segment per leg between waypoints.
+const toRoute = (feature) => {
+  const legs = (feature.properties?.segments || []).map((seg) => ({
+    distanceMi: metersToMiles(seg.distance),
+    durationS: seg.duration || 0,
+    steps: seg.steps || [],
+  }));
+  return {
+    coords: (feature.geometry.coordinates || []).map(([lon, lat]) => [
+      lat,
+      lon,
+    ]),
+    legs,
+    distanceMi: legs.reduce((sum, leg) => sum + leg.distanceMi, 0),
+    durationS: legs.reduce((sum, leg) => sum + leg.durationS, 0),
+  };
+};
+
+export function createOrsProvider(apiKey) {
+  const geocode = async (text, { size = 1 } = {}) => {
+    const res = await fetch(
+      `${ORS_URL}/geocode/search?api_key=${apiKey}&text=${encodeURIComponent(
+        text
+      )}&boundary.country=US&size=${size}`
+    );
+    if (!res.ok) throw new Error(`ORS geocode failed (${res.status})`);
+    const data = await res.json();
+    return (data.features || []).map(toPlace);
+  };
+
+  const request = (body) =>
+    fetch(`${ORS_URL}/v2/directions/driving-hgv/geojson`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: apiKey,
+      },
+      body: JSON.stringify(body),
+    });
+
+  // points: ordered [{ lat, lon }]; returns null when ORS finds no route.
+  // ORS only offers alternatives between two waypoints and on shorter
+  // lanes, so a rejected alternatives request is retried as a single route.
+  const route = async (points, { avoid = {}, alternatives = false } = {}) => {
+    const avoidFeatures = Object.entries(AVOID_FEATURES)
+      .filter(([key]) => avoid[key])
+      .map(([, feature]) => feature);
+    const body = {
+      coordinates: points.map((p) => [p.lon, p.lat]),
+      ...(avoidFeatures.length && {
+        options: { avoid_features: avoidFeatures },
+      }),
+    };
+    const wantAlternatives = alternatives && points.length === 2;
+
+    let res = await request(
+      wantAlternatives
+        ? { ...body, alternative_routes: ALTERNATIVE_ROUTES }
+        : body
+    );
+    if (!res.ok && wantAlternatives) res = await request(body);
+    if (!res.ok) throw new Error(`ORS directions failed (${res.status})`);
+
+    const data = await res.json();
+    const routes = (data.features || []).map(toRoute);
+    if (!routes.length) return null;
+    return { ...routes[0], alternatives: routes.slice(1) };
+  };
+
+  return {
+    id: "ors",
+    label: "openrouteservice (HGV routing)",
+    supportsRouteOptions: true,
+    geocode,
+    route,
+  };
+}
@@ -0,0 +1,56 @@
+import { createOrsProvider } from "./orsProvider";
+
+const feature = (meters) => ({
+  geometry: {
+    coordinates: [
+      [-80.19, 25.76],
+      [-84.39, 33.75],
+    ],
+  },
+  properties: { segments: [{ distance: meters, duration: 36000, steps: [] }] },
+});
+
+const ok = (body) => Promise.resolve({ ok: true, json: () => body });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const points = [
+  { lat: 25.76, lon: -80.19 },
+  { lat: 33.75, lon: -84.39 },
+];
+
+test("sends avoid features and returns alternatives", async () => {
+  global.fetch = jest.fn(() =>
+    ok({ features: [feature(1066000), feature(1120000)] })
+  );
+  const ors = createOrsProvider("key");
+
+  const route = await ors.route(points, {
+    avoid: { tolls: true, ferries: true },
+    alternatives: true,
+  });
+
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body.options.avoid_features).toEqual(["tollways", "ferries"]);
+  expect(body.alternative_routes.target_count).toBe(3);
+  expect(Math.round(route.distanceMi)).toBe(662);
+  expect(route.coords[0]).toEqual([25.76, -80.19]);
+  expect(route.alternatives).toHaveLength(1);
+});
+
+test("retries as a single route when alternatives are rejected", async () => {
+  global.fetch = jest
+    .fn()
+    .mockReturnValueOnce(Promise.resolve({ ok: false, status: 400 }))
+    .mockReturnValueOnce(ok({ features: [feature(1066000)] }));
+  const ors = createOrsProvider("key");
+
+  const route = await ors.route(points, { alternatives: true });
+
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  const retry = JSON.parse(global.fetch.mock.calls[1][1].body);
+  expect(retry).not.toHaveProperty("alternative_routes");
+  expect(route.alternatives).toEqual([]);
+});
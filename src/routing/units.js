@@ -0,0 +1,16 @@
+// src/routing/units.js
+export const METERS_PER_MILE = 1609.344;
+
+export const metersToMiles = (m) => (m || 0) / METERS_PER_MILE;
+
+// Haversine distance between two { lat, lon } points, in miles.
+export function greatCircleMiles(a, b) {
+  const R = 3958.8;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,30 @@
+// src/storage.js
+// Thin localStorage wrapper: every key is namespaced, and private mode /
+// quota / corrupt JSON all degrade to the fallback instead of throwing.
+const PREFIX = "ts-logistics:";
+
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(`[storage] could not read ${key}`, err);
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`[storage] could not write ${key}`, err);
+  }
+}
+
+export function removeKey(key) {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch (err) {
+    console.error(`[storage] could not remove ${key}`, err);
+  }
+}
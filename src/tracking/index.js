@@ -0,0 +1,18 @@
+// src/tracking/index.js
+//
+// Trackers all expose one call:
+//   track(number) -> shipment | null
+// where a shipment is { pro, origin, destination, status, eta, events } and
+// each event is { status, at, location: { label, lat, lon } | null, note }.
+// Statuses follow TRACKING_STEPS in ./tracking.
+import { localTracker } from "./localTracker";
+
+const TRACKERS = {
+  local: localTracker,
+};
+
+export function createTracker(name) {
+  const tracker = TRACKERS[name || "local"];
+  if (!tracker) throw new Error(`Unknown tracker "${name}"`);
+  return tracker;
+}
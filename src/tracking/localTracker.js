@@ -0,0 +1,53 @@
+// src/tracking/localTracker.js
+// Answers from bundled fixtures, plus any load booked in this browser
+// through the local booking backend (status "booked" until dispatch picks
+// it up).
+import fixtures from "../data/trackingFixtures.json";
+import { localBookingBackend } from "../booking/localBackend";
+import { parseDateInput } from "../dates";
+import { RECEIVING_CLOSES_HOUR } from "../transitTime";
+import { normalizeTrackingNumber } from "./tracking";
+
+const settle = (value) =>
+  new Promise((resolve) =>
+    setTimeout(() => resolve(value), localTracker.latencyMs)
+  );
+
+// Bookings only know the requested delivery day, so the ETA is the end of
+// that receiving day.
+function fromBooking(booking) {
+  const { quote } = booking;
+  const place = quote.originPlace;
+  const delivery = parseDateInput(quote.deliveryDate);
+  if (delivery) delivery.setHours(RECEIVING_CLOSES_HOUR, 0, 0, 0);
+  return {
+    pro: booking.confirmationNumber,
+    origin: quote.origin,
+    destination: quote.destination,
+    status: "booked",
+    eta: delivery ? delivery.toISOString() : null,
+    events: [
+      {
+        status: "booked",
+        at: booking.bookedAt,
+        location: place
+          ? { label: quote.origin, lat: place.lat, lon: place.lon }
+          : null,
+      },
+    ],
+  };
+}
+
+export const localTracker = {
+  id: "local",
+  label: "Local tracking fixtures",
+  latencyMs: 300,
+
+  async track(number) {
+    const wanted = normalizeTrackingNumber(number);
+    const fixture = fixtures.find((s) => s.pro === wanted);
+    if (fixture) return settle(fixture);
+    const booking = await localBookingBackend.getBooking(wanted);
+    return settle(booking ? fromBooking(booking) : null);
+  },
+};
@@ -0,0 +1,39 @@
+import { localTracker } from "./localTracker";
+import { localBookingBackend } from "../booking/localBackend";
+import { EMPTY_BOOKING } from "../booking/booking";
+
+beforeAll(() => {
+  localTracker.latencyMs = 0;
+  localBookingBackend.latencyMs = 0;
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test("finds fixture shipments by PRO number", async () => {
+  const shipment = await localTracker.track(" ts-100377 ");
+  expect(shipment.status).toBe("delivered");
+  expect(await localTracker.track("TS-999999")).toBeNull();
+});
+
+test("tracks loads booked in this browser as booked", async () => {
+  const booking = await localBookingBackend.submitBooking({
+    details: EMPTY_BOOKING,
+    quote: {
+      origin: "Miami, FL",
+      destination: "Atlanta, GA",
+      originPlace: { lat: 25.76, lon: -80.19 },
+      deliveryDate: "2026-10-21",
+    },
+    estimate: { total: 900 },
+  });
+  const shipment = await localTracker.track(booking.confirmationNumber);
+  expect(shipment).toMatchObject({
+    pro: booking.confirmationNumber,
+    status: "booked",
+    destination: "Atlanta, GA",
+  });
+  expect(new Date(shipment.eta).getDate()).toBe(21);
+  expect(shipment.events[0].location).toMatchObject({ lat: 25.76 });
+});
@@ -0,0 +1,37 @@
+// src/tracking/tracking.js
+
+export const TRACKING_STEPS = [
+  { key: "booked", label: "Booked" },
+  { key: "dispatched", label: "Dispatched" },
+  { key: "picked_up", label: "Picked up" },
+  { key: "in_transit", label: "In transit" },
+  { key: "delivered", label: "Delivered" },
+];
+
+export const normalizeTrackingNumber = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase();
+
+// One entry per step; a step is done once an event for it (or any later
+// step) exists, and takes its time and place from the latest such event.
+export function timelineFor(shipment) {
+  const reached = TRACKING_STEPS.findIndex((s) => s.key === shipment.status);
+  return TRACKING_STEPS.map((step, i) => {
+    const events = shipment.events.filter((e) => e.status === step.key);
+    const last = events[events.length - 1] || null;
+    return {
+      ...step,
+      done: i <= reached,
+      current: i === reached,
+      at: last ? last.at : null,
+      location: last ? last.location : null,
+      note: last ? last.note : null,
+    };
+  });
+}
+
+export function lastKnownLocation(shipment) {
+  const located = shipment.events.filter((e) => e.location);
+  return located.length ? located[located.length - 1].location : null;
+}
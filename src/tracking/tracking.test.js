@@ -0,0 +1,22 @@
+import fixtures from "../data/trackingFixtures.json";
+import { lastKnownLocation, timelineFor } from "./tracking";
+
+const inTransit = fixtures.find((s) => s.pro === "TS-100482");
+
+test("marks steps up to the current status as done", () => {
+  const timeline = timelineFor(inTransit);
+  expect(timeline.map((s) => [s.key, s.done, s.current])).toEqual([
+    ["booked", true, false],
+    ["dispatched", true, false],
+    ["picked_up", true, false],
+    ["in_transit", true, true],
+    ["delivered", false, false],
+  ]);
+  expect(timeline[2].location.label).toBe("Doral, FL");
+  expect(timeline[4].at).toBeNull();
+});
+
+test("reports the latest located event", () => {
+  expect(lastKnownLocation(inTransit).label).toBe("Ocala, FL");
+  expect(lastKnownLocation({ events: [{ location: null }] })).toBeNull();
+});
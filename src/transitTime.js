@@ -0,0 +1,97 @@
+// src/transitTime.js
+import { AVERAGE_MPH } from "./routing/offlineProvider";
+import { addDays, parseDateInput, startOfDay } from "./dates";
+
+// FMCSA property-carrying hours of service, simplified to what matters for
+// a van lane: 11 h driving inside a 14 h duty window, a 30 min break after
+// 8 h behind the wheel, then 10 h off before the next duty day.
+export const HOS = {
+  maxDriveHours: 11,
+  breakAfterHours: 8,
+  breakHours: 0.5,
+  dutyCycleHours: 24,
+};
+
+// A team swaps seats instead of parking for the 10 h reset, so the van keeps
+// rolling apart from fuel and change-over stops.
+export const TEAM_DRIVE_HOURS_PER_DAY = 22;
+
+// Loading at pickup, unloading at delivery, and each extra stop.
+export const HANDLING_HOURS_PER_STOP = 1;
+
+export const PICKUP_HOUR = 8;
+export const RECEIVING_CLOSES_HOUR = 17;
+
+// Prefers the routed drive time, scaled if the distance was edited after
+// routing; otherwise falls back to miles at the average van speed.
+export function driveHoursFor(distanceMi, route) {
+  const miles = Number(distanceMi) || 0;
+  if (route && route.durationS > 0 && route.distanceMi > 0) {
+    return (route.durationS / 3600) * (miles / route.distanceMi);
+  }
+  return miles / AVERAGE_MPH;
+}
+
+export function elapsedHours(driveHours, { team = false, stops = 0 } = {}) {
+  const handling = (2 + stops) * HANDLING_HOURS_PER_STOP;
+  if (team) {
+    return (driveHours * 24) / TEAM_DRIVE_HOURS_PER_DAY + handling;
+  }
+  const dutyDays = Math.max(1, Math.ceil(driveHours / HOS.maxDriveHours));
+  const lastDayDrive = driveHours - (dutyDays - 1) * HOS.maxDriveHours;
+  const lastDayBreak = lastDayDrive > HOS.breakAfterHours ? HOS.breakHours : 0;
+  return (
+    (dutyDays - 1) * HOS.dutyCycleHours + lastDayDrive + lastDayBreak + handling
+  );
+}
+
+// Arrival after receiving hours rolls to the next morning.
+function deliveryDayFor(pickup, hours) {
+  const arrival = new Date(pickup.getTime() + hours * 3600 * 1000);
+  const day = startOfDay(arrival);
+  return arrival.getHours() >= RECEIVING_CLOSES_HOUR ? addDays(day, 1) : day;
+}
+
+export function estimateTransit({
+  distanceMi,
+  route,
+  urgency,
+  stops = 0,
+  pickupDate,
+  deliveryDate,
+  today = new Date(),
+}) {
+  const driveHours = driveHoursFor(distanceMi, route);
+  if (!driveHours) return null;
+
+  const pickupDay = parseDateInput(pickupDate) || addDays(startOfDay(today), 1);
+  const pickup = new Date(pickupDay);
+  pickup.setHours(PICKUP_HOUR, 0, 0, 0);
+
+  const team = urgency === "expedited";
+  const soloHours = elapsedHours(driveHours, { stops });
+  const teamHours = elapsedHours(driveHours, { team: true, stops });
+  const earliestSolo = deliveryDayFor(pickup, soloHours);
+  const earliestTeam = deliveryDayFor(pickup, teamHours);
+  const earliest = team ? earliestTeam : earliestSolo;
+
+  const requested = parseDateInput(deliveryDate);
+  const feasible = !requested || requested >= earliest;
+  let suggestion = null;
+  if (!feasible && !team && requested >= earliestTeam) {
+    suggestion = "expedited";
+  }
+
+  return {
+    driveHours,
+    source: route && route.durationS > 0 ? "route" : "average",
+    team,
+    elapsedHours: team ? teamHours : soloHours,
+    pickup,
+    earliestDelivery: earliest,
+    earliestTeamDelivery: earliestTeam,
+    requestedDelivery: requested,
+    feasible,
+    suggestion,
+  };
+}
@@ -0,0 +1,53 @@
+import { elapsedHours, estimateTransit } from "./transitTime";
+
+const today = new Date(2026, 9, 19);
+
+test("solo drivers reset after 11 hours of driving", () => {
+  // 20 h of driving: one full duty day, then 9 h the next day.
+  expect(elapsedHours(20)).toBe(24 + 9 + 0.5 + 2);
+  expect(elapsedHours(20, { team: true })).toBeCloseTo(20 * (24 / 22) + 2);
+});
+
+test("uses the routed drive time, scaled to the entered distance", () => {
+  const transit = estimateTransit({
+    distanceMi: 1000,
+    route: { distanceMi: 500, durationS: 8 * 3600 },
+    urgency: "standard",
+    pickupDate: "2026-10-20",
+    today,
+  });
+  expect(transit.driveHours).toBe(16);
+  expect(transit.source).toBe("route");
+});
+
+test("flags unrealistic delivery dates and suggests expedited", () => {
+  // Miami → Seattle is ~3,300 mi: ~66 h at 50 mph.
+  const lane = {
+    distanceMi: 3300,
+    urgency: "standard",
+    pickupDate: "2026-10-20",
+    deliveryDate: "2026-10-23",
+    today,
+  };
+  const solo = estimateTransit(lane);
+  expect(solo.feasible).toBe(false);
+  expect(solo.suggestion).toBe("expedited");
+  expect(solo.earliestTeamDelivery).toEqual(new Date(2026, 9, 23));
+
+  const team = estimateTransit({ ...lane, urgency: "expedited" });
+  expect(team.feasible).toBe(true);
+
+  const tooSoon = estimateTransit({ ...lane, deliveryDate: "2026-10-21" });
+  expect(tooSoon.suggestion).toBeNull();
+});
+
+test("late arrivals roll to the next receiving day", () => {
+  // 8 h drive + 2 h handling from an 8am pickup lands at 18:00.
+  const transit = estimateTransit({
+    distanceMi: 400,
+    urgency: "standard",
+    pickupDate: "2026-10-20",
+    today,
+  });
+  expect(transit.earliestDelivery).toEqual(new Date(2026, 9, 21));
+});
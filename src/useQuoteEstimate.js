@@ -0,0 +1,48 @@
+// src/useQuoteEstimate.js
+import { useMemo } from "react";
+import { defaultRateCard, priceQuote } from "./rateCard";
+
+// Memoized priceQuote for a component; the Instant Estimate and the rate
+// card preview both price through it.
+export default function useQuoteEstimate({
+  distanceMi,
+  weightLbs,
+  pallets,
+  pieces,
+  stops,
+  urgency,
+  accessories,
+  vehicle,
+  lane,
+  diesel,
+  rateCard = defaultRateCard,
+}) {
+  return useMemo(
+    () =>
+      priceQuote(rateCard, {
+        distanceMi,
+        weightLbs,
+        pallets,
+        pieces,
+        stops,
+        vehicle,
+        urgency,
+        accessories,
+        lane,
+        diesel,
+      }),
+    [
+      distanceMi,
+      weightLbs,
+      pallets,
+      pieces,
+      stops,
+      urgency,
+      accessories,
+      vehicle,
+      lane,
+      diesel,
+      rateCard,
+    ]
+  );
+}
@@ -0,0 +1,38 @@
+// src/vehicles.js
+// Vehicle classes live on the rate card (capacity + pricing), listed from
+// smallest to largest so the first one that fits is the cheapest option.
+
+export const vehicleList = (card) =>
+  Object.entries(card.vehicles || {}).map(([key, v]) => ({ key, ...v }));
+
+export const fits = (vehicle, weightLbs, pallets) =>
+  Number(weightLbs || 0) <= vehicle.payloadLbs &&
+  Number(pallets || 0) <= vehicle.pallets;
+
+export function recommendVehicle(card, weightLbs, pallets) {
+  return vehicleList(card).find((v) => fits(v, weightLbs, pallets)) || null;
+}
+
+// "" means "let the form pick": resolves to the recommendation, or the
+// largest class when nothing fits so validation can explain why.
+export function resolveVehicle(card, key, weightLbs, pallets) {
+  const list = vehicleList(card);
+  if (key && card.vehicles && card.vehicles[key]) {
+    return { key, ...card.vehicles[key] };
+  }
+  return recommendVehicle(card, weightLbs, pallets) || list[list.length - 1];
+}
+
+export const vehicleLimits = (vehicle) => ({
+  label: vehicle.label.toLowerCase(),
+  maxWeightLbs: vehicle.payloadLbs,
+  maxPallets: vehicle.pallets,
+  cargoIn: vehicle.cargoIn,
+});
+
+export function describeCapacity(vehicle) {
+  const { length, width, height } = vehicle.cargoIn;
+  return `${vehicle.payloadLbs.toLocaleString()} lbs · ${
+    vehicle.pallets
+  } pallets · ${length}×${width}×${height} in`;
+}